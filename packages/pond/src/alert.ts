@@ -0,0 +1,203 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import { TimeRange, timerange } from "./timerange";
+import util from "./util";
+
+import { AlertOptions, AlertState } from "./types";
+
+/**
+ * Why an alert condition is met
+ */
+type AlertReason = "above" | "below" | "absent";
+
+/**
+ * A `Processor` which watches a field of the incoming `Event`s and emits an
+ * `Event` each time an alert changes state. The alert condition is met when
+ * the value is `above` or `below` a threshold, or when there has been no valid
+ * value for the `absence` `Duration`. The states are:
+ *  * "pending" - the condition has been met, but not yet for the `for` `Duration`
+ *  * "firing" - the condition has been met for long enough (straight away if
+ *    there is no `for` `Duration`, or the data is absent)
+ *  * "resolved" - the condition has cleared after firing
+ *  * "ok" - the condition cleared while still pending
+ *
+ * Each emitted `Event` has a `TimeRange` key spanning the incident so far, from
+ * when the condition was first met (or, when the data is absent, from when it was
+ * last seen, or the first `Event` if it never was) to the `Event` causing the
+ * transition. Its data is of the form:
+ * ```
+ * {
+ *     name: string;           // the name of the alert, if given
+ *     state: AlertState;      // the new state
+ *     previous: AlertState;   // the previous state
+ *     reason: string;         // "above", "below" or "absent"
+ *     value: number;          // the value causing the transition
+ *     threshold: number;      // the threshold crossed, if any
+ * }
+ * ```
+ *
+ * With a `hysteresis`, once met, the condition only clears when the value is
+ * back within the threshold by that much, to stop a value hovering around the
+ * threshold from flapping between states.
+ *
+ * Since streams are driven by the times of their `Event`s, a gap in the data is
+ * only seen when the next `Event` arrives, at which point the alert fires and then
+ * resolves. To detect absent data as it happens, send `Event`s with a missing
+ * value (e.g. `null`) periodically. Otherwise, `Event`s with missing values are
+ * ignored.
+ */
+export class Alert<T extends Key> extends Processor<T, TimeRange> {
+    // Options
+    private name: string;
+    private fieldPath: string[];
+    private above: number;
+    private below: number;
+    private hysteresis: number;
+    private pendingFor: Duration;
+    private absence: Duration;
+
+    // Internal state
+    private state: AlertState;
+    private reason: AlertReason;
+    private begin: number;
+    private lastSeen: number;
+
+    constructor(options: AlertOptions) {
+        super();
+        const {
+            name = null,
+            fieldSpec = "value",
+            above = null,
+            below = null,
+            hysteresis = 0,
+            for: pendingFor = null,
+            absence = null
+        } = options;
+
+        if (!util.isValid(above) && !util.isValid(below) && !absence) {
+            throw new Error("An alert needs an above or below threshold, or an absence Duration");
+        }
+        if (hysteresis < 0) {
+            throw new Error("The hysteresis of an alert must not be negative");
+        }
+
+        // Options
+        this.name = name;
+        this.fieldPath = util.fieldAsArray(fieldSpec);
+        this.above = above;
+        this.below = below;
+        this.hysteresis = hysteresis;
+        this.pendingFor = pendingFor;
+        this.absence = absence;
+
+        this.state = "ok";
+        this.reason = null;
+        this.begin = null;
+        this.lastSeen = null;
+    }
+
+    /**
+     * Checks the alert condition against the `Event`, emitting an alert `Event`
+     * for each change of state.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<TimeRange>> {
+        const t = +event.timestamp();
+        const value = event.get(this.fieldPath);
+
+        // The absence clock starts with the first Event, whether or not it has a value
+        if (this.lastSeen === null) {
+            this.lastSeen = t;
+        }
+        const absent = this.absence && t - this.lastSeen >= +this.absence;
+
+        if (!util.isValid(value)) {
+            return absent ? this.transition("absent", t, null) : Immutable.List();
+        }
+
+        // A gap in the data before this event fires, and will then be resolved
+        let emitted = Immutable.List<Event<TimeRange>>();
+        if (absent && this.reason !== "absent") {
+            emitted = this.transition("absent", this.lastSeen + +this.absence, null);
+        }
+        this.lastSeen = t;
+        return emitted.concat(this.transition(this.thresholdReason(value), t, value));
+    }
+
+    /**
+     * Returns why the `value` meets the alert condition, allowing for the
+     * hysteresis if it's already met, or `null` if it doesn't.
+     */
+    private thresholdReason(value: number): AlertReason {
+        const h = this.hysteresis;
+        if (util.isValid(this.above) && value > this.above - (this.reason === "above" ? h : 0)) {
+            return "above";
+        }
+        if (util.isValid(this.below) && value < this.below + (this.reason === "below" ? h : 0)) {
+            return "below";
+        }
+        return null;
+    }
+
+    /**
+     * Moves the alert to the state resulting from the condition being met for the
+     * `reason` (or not, if `null`) at time `t`, returning the alert `Event`s emitted
+     */
+    private transition(
+        reason: AlertReason,
+        t: number,
+        value: number
+    ): Immutable.List<Event<TimeRange>> {
+        let emitted = Immutable.List<Event<TimeRange>>();
+
+        // The current incident ends
+        if (this.reason && reason !== this.reason) {
+            emitted = emitted.push(
+                this.emit(this.state === "firing" ? "resolved" : "ok", t, value)
+            );
+            this.state = "ok";
+            this.reason = null;
+        }
+
+        if (reason && !this.reason) {
+            // A new incident begins
+            const waitFor = reason === "absent" || !this.pendingFor ? 0 : +this.pendingFor;
+            this.reason = reason;
+            this.begin = reason === "absent" ? this.lastSeen : t;
+            emitted = emitted.push(this.emit(waitFor > 0 ? "pending" : "firing", t, value));
+        } else if (reason && this.state === "pending" && t - this.begin >= +this.pendingFor) {
+            emitted = emitted.push(this.emit("firing", t, value));
+        }
+        return emitted;
+    }
+
+    /**
+     * Changes to the `state`, returning the alert `Event` for the change
+     */
+    private emit(state: AlertState, t: number, value: number): Event<TimeRange> {
+        const thresholds = { above: this.above, below: this.below, absent: null };
+        const d = Immutable.Map({
+            name: this.name,
+            state,
+            previous: this.state,
+            reason: this.reason,
+            value,
+            threshold: thresholds[this.reason]
+        });
+        this.state = state;
+        return new Event<TimeRange>(timerange(this.begin, t), d);
+    }
+}
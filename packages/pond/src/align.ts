@@ -115,6 +115,19 @@ export class Align<T extends Key> extends Processor<T, T> {
         return Immutable.List(eventList);
     }
 
+    /**
+     * Returns the last `Event` if it falls exactly on a boundary, since that
+     * boundary would otherwise only be emitted once the next `Event` arrives.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        const eventList = new Array<Event<T>>();
+        if (this._previous && this.isAligned(this._previous)) {
+            eventList.push(this.interpolateHold(time(this._previous.timestamp())) as Event<any>);
+        }
+        this._previous = null;
+        return Immutable.List(eventList);
+    }
+
     /**
      * Test to see if an event is perfectly aligned. Used on first event.
      */
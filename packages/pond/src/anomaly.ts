@@ -0,0 +1,208 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { AnomalyMethod, AnomalyOptions } from "./types";
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * A `Processor` to detect anomalous values of a field of the incoming `Event`s.
+ * Each `Event` is emitted with two additional fields, named by adding suffixes to
+ * the field name: "_anomaly_score", holding the anomaly score of the value, and
+ * "_anomaly", which is true if the size of the score is above the `threshold`.
+ *
+ * To control the detection you need to specify an `AnomalyOptions` object
+ * in the constuctor, which takes the following form:
+ * ```
+ * {
+ *     fieldSpec?: string | string[];
+ *     method?: AnomalyMethod;
+ *     window?: number;
+ *     threshold?: number;
+ *     season?: Duration;
+ *     seasons?: number;
+ *     tolerance?: Duration;
+ * }
+ * ```
+ * Options:
+ *  * `fieldSpec` - the field to score, "value" by default
+ *  * `method` - one of:
+ *      * `AnomalyMethod.ZScore` (the default) - the number of standard deviations
+ *        the value is from the mean of the previous `window` values
+ *      * `AnomalyMethod.MAD` - the modified z-score, 0.6745 times the distance of
+ *        the value from the median of the previous `window` values, divided by
+ *        their median absolute deviation. Unlike the standard deviation, this
+ *        isn't inflated by outliers among the previous values.
+ *      * `AnomalyMethod.Seasonal` - the value is compared with its baseline, the
+ *        average of the values one `season` (a week by default) before it, over
+ *        the previous `seasons` seasons, to within the `tolerance`. The score is
+ *        then the z-score of the difference from the baseline, given the previous
+ *        `window` differences. With hourly data, this compares each hour with the
+ *        same hour of the weeks before.
+ *  * `window` - the number of previous values the score is based on, 30 by default
+ *  * `threshold` - the score beyond which a value is an anomaly, 3 by default
+ *
+ * The previous values are only kept as far back as needed, i.e. the last `window`
+ * values, plus for the `Seasonal` method, the values of the last `seasons` seasons.
+ *
+ * Until there are at least two previous values (and for the `Seasonal` method, a
+ * baseline), the score is `null` and no anomaly is flagged. If the previous values
+ * are all the same, the score is also `null`, but any other value is an anomaly.
+ * Missing values are not scored.
+ */
+export class Anomaly<T extends Key> extends Processor<T, T> {
+    // Options
+    private fieldPath: string[];
+    private method: AnomalyMethod;
+    private window: number;
+    private threshold: number;
+    private season: number;
+    private seasons: number;
+    private tolerance: number;
+
+    // Internal state
+    private history: number[];
+    private recent: Array<{ t: number; value: number }>;
+
+    constructor(options: AnomalyOptions) {
+        super();
+        const {
+            fieldSpec = "value",
+            method = AnomalyMethod.ZScore,
+            window = 30,
+            threshold = 3,
+            season,
+            seasons = 1,
+            tolerance
+        } = options;
+
+        if (!_.isInteger(window) || window < 2) {
+            throw new Error("The anomaly window must be a whole number of at least 2");
+        }
+        if (!_.isInteger(seasons) || seasons < 1) {
+            throw new Error("The number of seasons must be a positive whole number");
+        }
+
+        // Options
+        this.fieldPath = util.fieldAsArray(fieldSpec);
+        this.method = method;
+        this.window = window;
+        this.threshold = threshold;
+        this.season = season ? +season : WEEK;
+        this.seasons = seasons;
+        this.tolerance = tolerance ? +tolerance : 0;
+
+        this.history = [];
+        this.recent = [];
+    }
+
+    /**
+     * Scores the value of the `Event`, emitting it with its anomaly fields.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const t = +event.timestamp();
+        const value = event.get(this.fieldPath);
+
+        let score = null;
+        let anomaly = false;
+        if (util.isValid(value)) {
+            let x = value;
+            if (this.method === AnomalyMethod.Seasonal) {
+                const baseline = this.baselineAt(t);
+                this.recent.push({ t, value });
+                x = util.isValid(baseline) ? value - baseline : null;
+            }
+            if (util.isValid(x)) {
+                [score, anomaly] = this.score(x);
+                this.history.push(x);
+                if (this.history.length > this.window) {
+                    this.history.shift();
+                }
+            }
+        }
+
+        const d = event
+            .getData()
+            .setIn(util.suffixedPath(this.fieldPath, "_anomaly_score"), score)
+            .setIn(util.suffixedPath(this.fieldPath, "_anomaly"), anomaly);
+        return Immutable.List([event.setData(d)]);
+    }
+
+    /**
+     * Returns the seasonal baseline at time `t`, the average of the values
+     * nearest to each of the previous `seasons` seasons, dropping values
+     * that are now too old to be needed.
+     */
+    private baselineAt(t: number): number {
+        const oldest = t - this.seasons * this.season - this.tolerance;
+        while (this.recent.length && this.recent[0].t < oldest) {
+            this.recent.shift();
+        }
+        const baseline = _.range(1, this.seasons + 1)
+            .map(k => {
+                const target = t - k * this.season;
+
+                // The recent values are in time order, so the nearest is either
+                // side of where the target would go
+                const i = _.sortedIndexBy(this.recent, { t: target, value: null }, r => r.t);
+                const nearest = _.minBy(
+                    [this.recent[i - 1], this.recent[i]].filter(r => !!r),
+                    r => Math.abs(r.t - target)
+                );
+                return nearest && Math.abs(nearest.t - target) <= this.tolerance
+                    ? nearest.value
+                    : null;
+            })
+            .filter(v => util.isValid(v));
+        return baseline.length ? _.mean(baseline) : null;
+    }
+
+    /**
+     * Returns the score of `x` given the history, and whether it's an anomaly
+     */
+    private score(x: number): [number, boolean] {
+        if (this.history.length < 2) {
+            return [null, false];
+        }
+        let center: number;
+        let spread: number;
+        let scale = 1;
+        if (this.method === AnomalyMethod.MAD) {
+            center = medianOf(this.history);
+            spread = medianOf(this.history.map(h => Math.abs(h - center)));
+            scale = 0.6745;
+        } else {
+            center = _.mean(this.history);
+            spread = Math.sqrt(_.meanBy(this.history, h => Math.pow(h - center, 2)));
+        }
+        if (spread === 0) {
+            return [null, x !== center];
+        }
+        const score = (scale * (x - center)) / spread;
+        return [score, Math.abs(score) > this.threshold];
+    }
+}
+
+/**
+ * Returns the median of the `values`
+ */
+function medianOf(values: number[]): number {
+    const sorted = _.sortBy(values);
+    const i = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[i - 1] + sorted[i]) / 2 : sorted[i];
+}
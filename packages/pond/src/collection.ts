@@ -13,12 +13,13 @@ import * as _ from "lodash";
 
 import { Base } from "./base";
 import { Collapse } from "./collapse";
+import { Derive } from "./derive";
 import { Event } from "./event";
 import { Key } from "./key";
 import { Select } from "./select";
 import { timerange, TimeRange } from "./timerange";
 
-import { CollapseOptions, SelectOptions } from "./types";
+import { CollapseOptions, DeriveOptions, SelectOptions } from "./types";
 
 import { DedupFunction, ReducerFunction, ValueMap } from "./types";
 
@@ -923,6 +924,25 @@ export class Collection<T extends Key> extends Base {
         return this.flatMap(e => p.addEvent(e));
     }
 
+    /**
+     * Adds columns to each `Event` in the `Collection` by evaluating expressions
+     * against it. Each of the `expressions` is an assignment of an `Expression`
+     * to a column, which may be a nested path, and is written as a string so that
+     * column definitions can come from configuration rather than code. See
+     * `Expression` for the arithmetic, comparisons and functions supported.
+     *
+     * Example:
+     * ```
+     * const c1 = c.derive({
+     *     expressions: ["in_bps = in_octets * 8", "util = (in + out) / capacity"]
+     * });
+     * ```
+     */
+    public derive(options: DeriveOptions): Collection<T> {
+        const p = new Derive<T>(options);
+        return this.flatMap(e => p.addEvent(e));
+    }
+
     //
     // To be reimplemented by subclass
     //
@@ -0,0 +1,122 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import util from "./util";
+
+import { CorrelationMethod } from "./types";
+
+/**
+ * The correlation between two series, as returned by `TimeSeries.correlate()`
+ */
+export interface Correlation {
+    // The correlation coefficient with no lag
+    coefficient: number;
+    // The lag, in periods, with the strongest correlation
+    lag: number;
+    // The correlation coefficient at that lag
+    lagCoefficient: number;
+    // The correlation coefficient at each lag, from -maxLag to maxLag
+    lags: Array<{ lag: number; coefficient: number }>;
+}
+
+/**
+ * Returns the correlation coefficient between the `xs` and `ys` using the
+ * `method`, ignoring pairs with a missing value, or `null` if it's undefined
+ * because there are less than two pairs, or either has no variation.
+ */
+export function correlationOf(
+    xs: number[],
+    ys: number[],
+    method: CorrelationMethod = "pearson"
+): number {
+    const pairs = _.zip(xs, ys).filter(([x, y]) => util.isValid(x) && util.isValid(y));
+    if (pairs.length < 2) {
+        return null;
+    }
+    let a = pairs.map(([x]) => x);
+    let b = pairs.map(([, y]) => y);
+    if (method === "spearman") {
+        a = ranksOf(a);
+        b = ranksOf(b);
+    }
+    const meanA = _.mean(a);
+    const meanB = _.mean(b);
+    const covariance = _.sum(a.map((x, i) => (x - meanA) * (b[i] - meanB)));
+    const varianceA = _.sumBy(a, x => (x - meanA) * (x - meanA));
+    const varianceB = _.sumBy(b, y => (y - meanB) * (y - meanB));
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+/**
+ * Returns the `Correlation` of two series of evenly spaced values, given as
+ * maps from each time to the value at that time, `step` apart. At a lag of
+ * `k`, each value of `x` is paired with the value of `y` `k` steps later.
+ */
+export function crossCorrelation(
+    x: Immutable.Map<number, number>,
+    y: Immutable.Map<number, number>,
+    step: number,
+    maxLag: number,
+    method: CorrelationMethod
+): Correlation {
+    const times = x.keySeq().toArray();
+    const xs = times.map(t => x.get(t));
+
+    // Counting up from -maxLag, rather than a range from it, so there's no lag of -0
+    const lags = _.range(2 * maxLag + 1)
+        .map(i => i - maxLag)
+        .map(lag => ({
+            lag,
+            coefficient: correlationOf(
+                xs,
+                times.map(t => y.get(t + lag * step)),
+                method
+            )
+        }));
+
+    // The strongest correlation, or the one at the shortest lag if tied
+    const strongest = _.maxBy(
+        _.sortBy(
+            lags.filter(l => l.coefficient !== null),
+            l => Math.abs(l.lag)
+        ),
+        l => Math.abs(l.coefficient)
+    );
+    return {
+        coefficient: _.find(lags, l => l.lag === 0).coefficient,
+        lag: strongest ? strongest.lag : null,
+        lagCoefficient: strongest ? strongest.coefficient : null,
+        lags
+    };
+}
+
+/**
+ * Returns the rank of each of the `values`, from 1, with tied values all
+ * given the average of their ranks
+ */
+function ranksOf(values: number[]): number[] {
+    const order = _.sortBy(_.range(values.length), i => values[i]);
+    const ranks = new Array<number>(values.length);
+    let start = 0;
+    while (start < order.length) {
+        let end = start + 1;
+        while (end < order.length && values[order[end]] === values[order[start]]) {
+            end++;
+        }
+        order.slice(start, end).forEach(i => {
+            ranks[i] = (start + end + 1) / 2;
+        });
+        start = end;
+    }
+    return ranks;
+}
@@ -0,0 +1,217 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Key } from "./key";
+import { Period } from "./period";
+import { time } from "./time";
+import { timerange } from "./timerange";
+import util from "./util";
+
+import { DecomposeOptions } from "./types";
+
+/**
+ * The time and value of a valid value of the field being decomposed,
+ * along with the season it's in and its position within that season
+ */
+interface Point {
+    t: number;
+    value: number;
+    season: number;
+    phase: number;
+}
+
+/**
+ * Decomposes the `fieldSpec` fields of the `events` into trend, seasonal and
+ * residual components, as used by `SortedCollection.decompose()`. Each `Event`
+ * is returned with three additional fields, named by adding the suffixes
+ * "_trend", "_seasonal" and "_residual" to the field name, with the value being
+ * the sum of the three.
+ *
+ * This follows the inner loop of STL (Seasonal-Trend decomposition using Loess),
+ * starting from a trend which is the average over a season around each value,
+ * and repeated `iterations` times:
+ *  1. The trend is removed from the values, and the values at the same point in
+ *     each season (the cycle-subseries) are averaged, giving the seasonal
+ *     component. The seasons start at each time of the `period`.
+ *  2. Any level left in the seasonal component is removed by taking away its
+ *     average over a season centered on each value (or the first or last season).
+ *  3. The seasonal component is removed from the values, which are then smoothed
+ *     with a locally weighted linear regression over the `trendWindow`, giving
+ *     the trend.
+ *
+ * Values at the same point in each season are matched by their exact offset from
+ * the start of the season, so the `events` should be regularly spaced, e.g. by
+ * using `align()` first. Missing values are not decomposed, resulting in `null`
+ * components, and do not contribute to the decomposition of other values.
+ */
+export function decomposeEvents<T extends Key>(
+    events: Immutable.List<Event<T>>,
+    options: DecomposeOptions
+): Immutable.List<Event<T>> {
+    const {
+        fieldSpec = "value",
+        period: season,
+        trendWindow,
+        seasonalWindow,
+        iterations = 2
+    } = options;
+    if (!season) {
+        throw new Error("A period must be supplied to decompose by");
+    }
+    if (util.isValid(seasonalWindow) && (!_.isInteger(seasonalWindow) || seasonalWindow < 1)) {
+        throw new Error("The seasonal window must be a positive whole number of seasons");
+    }
+    if (!_.isInteger(iterations) || iterations < 1) {
+        throw new Error("The number of iterations must be a positive whole number");
+    }
+    const length = +season.frequency();
+    const bandwidth = trendWindow ? +trendWindow : 1.5 * length;
+
+    const fieldPaths = (_.isString(fieldSpec) ? [fieldSpec] : fieldSpec).map(f =>
+        util.fieldAsArray(f)
+    );
+    const components = fieldPaths.map(fieldPath => {
+        const points = pointsOf(events, fieldPath, season);
+        if (points.length && _.last(points).season < 1) {
+            throw new Error("Values from at least two seasons are needed to decompose");
+        }
+
+        // The trend starts as the average over a season around each value
+        const values = points.map(p => p.value);
+        let trend = recenter(points, values, length).map((v, i) => values[i] - v);
+        let seasonal: number[];
+        _.range(iterations).forEach(() => {
+            seasonal = recenter(points, smoothCycles(points, trend, seasonalWindow), length);
+            trend = loess(
+                points,
+                values.map((v, i) => v - seasonal[i]),
+                bandwidth
+            );
+        });
+        return Immutable.Map(
+            points.map((p, i) => [p.t, [trend[i], seasonal[i]]] as [number, number[]])
+        );
+    });
+
+    return events.map(e => {
+        let d = e.getData();
+        fieldPaths.forEach((fieldPath, i) => {
+            const value = e.get(fieldPath);
+            const [trend, seasonal] = util.isValid(value)
+                ? components[i].get(+e.timestamp())
+                : [null, null];
+            d = d
+                .setIn(util.suffixedPath(fieldPath, "_trend"), trend)
+                .setIn(util.suffixedPath(fieldPath, "_seasonal"), seasonal)
+                .setIn(
+                    util.suffixedPath(fieldPath, "_residual"),
+                    util.isValid(value) ? value - trend - seasonal : null
+                );
+        });
+        return e.setData(d);
+    });
+}
+
+/**
+ * Returns the `Point`s of the valid values of the `fieldPath`, each placed in
+ * the seasons starting at the times of the `season` `Period`
+ */
+function pointsOf<T extends Key>(
+    events: Immutable.List<Event<T>>,
+    fieldPath: string[],
+    season: Period
+): Point[] {
+    const valid = events.filter(e => util.isValid(e.get(fieldPath)));
+    if (valid.isEmpty()) {
+        return [];
+    }
+    const first = time(valid.first().timestamp());
+    const begin = season.isAligned(first) ? +first : +season.next(first) - +season.frequency();
+    const starts = season
+        .within(timerange(begin, +valid.last().timestamp() + 1))
+        .map(t => +t)
+        .toArray();
+
+    let current = 0;
+    return valid
+        .map(e => {
+            const t = +e.timestamp();
+            while (current + 1 < starts.length && starts[current + 1] <= t) {
+                current++;
+            }
+            return { t, value: e.get(fieldPath), season: current, phase: t - starts[current] };
+        })
+        .toArray();
+}
+
+/**
+ * Returns the detrended values of the `points`, each averaged with those at the
+ * same point of the other seasons, or of the `seasonalWindow` seasons around it
+ */
+function smoothCycles(points: Point[], trend: number[], seasonalWindow: number): number[] {
+    const cycles = _.groupBy(_.range(points.length), i => points[i].phase);
+    const smoothed = new Array<number>(points.length);
+    _.forEach(cycles, indices => {
+        indices.forEach(i => {
+            const neighbours = seasonalWindow
+                ? indices.filter(
+                      j => Math.abs(points[j].season - points[i].season) <= seasonalWindow / 2
+                  )
+                : indices;
+            smoothed[i] = _.meanBy(neighbours, j => points[j].value - trend[j]);
+        });
+    });
+    return smoothed;
+}
+
+/**
+ * Returns the `values` of the `points`, less their mean over a season centered
+ * on each point, or over the first or last season for points near the ends
+ */
+function recenter(points: Point[], values: number[], length: number): number[] {
+    const times = points.map(p => p.t);
+    const earliest = _.first(times);
+    const latest = _.last(times) - length + 1;
+    return values.map((v, i) => {
+        const begin = Math.min(Math.max(times[i] - length / 2, earliest), latest);
+        const season = _.range(_.sortedIndex(times, begin), _.sortedIndex(times, begin + length));
+        return v - _.meanBy(season, j => values[j]);
+    });
+}
+
+/**
+ * Smooths the `values` of the `points` by fitting a line to those within half
+ * the `bandwidth` of each, weighted by the tricube of their distance from it
+ */
+function loess(points: Point[], values: number[], bandwidth: number): number[] {
+    const h = bandwidth / 2;
+    const times = points.map(p => p.t);
+    return times.map((t, i) => {
+        let [sw, sx, sy, sxx, sxy] = [0, 0, 0, 0, 0];
+        const neighbours = _.range(_.sortedLastIndex(times, t - h), _.sortedIndex(times, t + h));
+        neighbours.forEach(j => {
+            const x = times[j] - t;
+            const w = Math.pow(1 - Math.pow(Math.abs(x) / h, 3), 3);
+            sw += w;
+            sx += w * x;
+            sy += w * values[j];
+            sxx += w * x * x;
+            sxy += w * x * values[j];
+        });
+        const denominator = sw * sxx - sx * sx;
+
+        // The fitted line at x = 0, or the weighted mean if a line can't be fitted
+        return denominator !== 0 ? (sy * sxx - sx * sxy) / denominator : sy / sw;
+    });
+}
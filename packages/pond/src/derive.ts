@@ -0,0 +1,58 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Expression } from "./expression";
+import { Key } from "./key";
+import { Processor } from "./processor";
+
+import { DeriveOptions } from "./types";
+
+/**
+ * A `Processor` which adds columns to each `Event` by evaluating `Expression`s
+ * against it. Each expression must be an assignment, such as
+ * `"util = (in + out) / capacity"`, naming the column to set, which may be a
+ * nested path such as `"traffic.total = in + out"`. The expressions are evaluated
+ * in order, so each can use the columns derived before it.
+ *
+ * The expressions are parsed when the `Processor` is constructed, so an invalid
+ * expression throws an `Error` straight away rather than for each `Event`.
+ */
+export class Derive<T extends Key> extends Processor<T, T> {
+    private expressions: Expression[];
+
+    constructor(options: DeriveOptions) {
+        super();
+        const { expressions } = options;
+        this.expressions = (_.isString(expressions) ? [expressions] : expressions).map(s => {
+            const expression = new Expression(s);
+            if (!expression.target()) {
+                throw new Error(`The expression "${s}" must assign to a column, e.g. "a = b + c"`);
+            }
+            return expression;
+        });
+    }
+
+    /**
+     * Returns the `Event` with the derived columns set
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const derived = _.reduce(
+            this.expressions,
+            (e, expression) =>
+                e.setData(e.getData().setIn(expression.target(), expression.evaluate(e))),
+            event
+        );
+        return Immutable.List([derived]);
+    }
+}
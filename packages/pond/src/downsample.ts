@@ -0,0 +1,267 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { DownsampleMethod, DownsampleOptions } from "./types";
+
+/**
+ * An `Event` along with the x (ms timestamp) and y (value) it is plotted at
+ */
+interface Point<T extends Key> {
+    event: Event<T>;
+    x: number;
+    y: number;
+}
+
+/**
+ * A `Processor` to downsample a stream of `Event`s for charting, keeping those
+ * `Event`s which preserve the visual shape of the series. The `Event`s are divided
+ * into buckets of the given `Duration` and some are kept from each bucket, depending
+ * on the method:
+ *  * "lttb" - Largest-Triangle-Three-Buckets keeps the `Event` of each bucket that forms
+ *    the largest triangle with the last `Event` kept and the average of the next
+ *    bucket. As this needs the next bucket, each bucket is emitted once the one
+ *    after it is complete. The first and last `Event`s are always kept.
+ *  * "minmax" - keeps the `Event`s with the minimum and maximum values of each bucket
+ *  * "m4" - keeps the first, last, minimum and maximum `Event`s of each bucket
+ *
+ * The `Event`s of each bucket are emitted, in order, when the bucket is complete,
+ * i.e. when an `Event` arrives in a later bucket, or when the processor is flushed.
+ * `Event`s without a valid value are dropped.
+ *
+ * To control the downsampling you need to specify a `DownsampleOptions` object
+ * in the constuctor, which takes the following form:
+ * ```
+ * {
+ *     fieldSpec?: string | string[];
+ *     method?: DownsampleMethod;
+ *     bucket: Duration;
+ * }
+ * ```
+ */
+export class Downsample<T extends Key> extends Processor<T, T> {
+    // Options
+    private fieldPath: string[];
+    private method: DownsampleMethod;
+    private bucket: Duration;
+
+    // Internal state
+    private current: number;
+    private points: Array<Point<T>>;
+    private pending: Array<Point<T>>;
+    private previous: Point<T>;
+
+    constructor(options: DownsampleOptions) {
+        super();
+        const { fieldSpec = "value", method = "lttb", bucket } = options;
+        if (!bucket) {
+            throw new Error("A bucket duration must be supplied to downsample a stream");
+        }
+
+        // Options
+        this.fieldPath = util.fieldAsArray(fieldSpec);
+        this.method = method;
+        this.bucket = bucket;
+
+        this.current = null;
+        this.points = [];
+        this.pending = null;
+        this.previous = null;
+    }
+
+    /**
+     * Adds the `Event` to its bucket, emitting the `Event`s kept from
+     * any bucket that is now complete.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const p = pointOf(event, this.fieldPath);
+        if (!p) {
+            return Immutable.List<Event<T>>();
+        }
+
+        let kept: Array<Point<T>> = [];
+        const b = Math.floor(p.x / +this.bucket);
+        if (this.method === "lttb" && !this.previous) {
+            // The first event is always kept
+            this.previous = p;
+            this.current = b;
+            return Immutable.List([event]);
+        }
+        if (this.current !== null && b !== this.current) {
+            kept = this.completeBucket();
+        }
+        this.current = b;
+        this.points.push(p);
+        return Immutable.List(kept.map(k => k.event));
+    }
+
+    /**
+     * Emits the `Event`s kept from the remaining buckets, including
+     * the last `Event` when using "lttb", and resets the processor.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        let kept: Array<Point<T>> = [];
+        if (this.method === "lttb") {
+            if (this.pending) {
+                kept = kept.concat(this.selectPending(this.points));
+            }
+            if (this.points.length) {
+                kept.push(_.last(this.points));
+            }
+        } else {
+            kept = selectExtremes(this.points, this.method);
+        }
+
+        // Reset
+        this.current = null;
+        this.points = [];
+        this.pending = null;
+        this.previous = null;
+
+        return Immutable.List(kept.map(k => k.event));
+    }
+
+    /**
+     * Completes the current bucket, returning the points to emit
+     */
+    private completeBucket(): Array<Point<T>> {
+        const completed = this.points;
+        this.points = [];
+        if (this.method !== "lttb") {
+            return selectExtremes(completed, this.method);
+        }
+
+        // LTTB emits the bucket before the completed one, now that its next
+        // bucket is known
+        const kept = this.pending ? this.selectPending(completed) : [];
+        this.pending = completed;
+        return kept;
+    }
+
+    /**
+     * Selects the largest triangle point of the pending bucket, given the bucket after it
+     */
+    private selectPending(next: Array<Point<T>>): Array<Point<T>> {
+        const selected = largestTriangle(this.previous, this.pending, averageOf(next));
+        this.previous = selected;
+        this.pending = null;
+        return [selected];
+    }
+}
+
+/**
+ * Downsamples the `events` to (at most) `targetPoints` `Event`s using the `method`
+ * of the `DownsampleOptions`, as used by `SortedCollection.downsample()`. For "lttb",
+ * the `Event`s between the first and last are divided into `targetPoints - 2`
+ * buckets, each with the same number of `Event`s, and one `Event` is kept from
+ * each. For "minmax" and "m4", the `Event`s are divided into buckets of equal
+ * time, with two or four `Event`s kept from each, respectively.
+ */
+export function downsampleEvents<T extends Key>(
+    events: Immutable.List<Event<T>>,
+    options: DownsampleOptions
+): Immutable.List<Event<T>> {
+    const { fieldSpec = "value", method = "lttb", targetPoints } = options;
+    const perBucket = { lttb: 1, minmax: 2, m4: 4 }[method];
+    const minimum = method === "lttb" ? 3 : perBucket;
+    if (!_.isInteger(targetPoints) || targetPoints < minimum) {
+        throw new Error(`The targetPoints must be a whole number of at least ${minimum}`);
+    }
+
+    const fieldPath = util.fieldAsArray(fieldSpec);
+    const points = events
+        .map(e => pointOf(e, fieldPath))
+        .filter(p => !!p)
+        .toArray();
+    if (points.length <= targetPoints) {
+        return Immutable.List(points.map(p => p.event));
+    }
+
+    let kept: Array<Point<T>> = [];
+    if (method === "lttb") {
+        const n = points.length;
+        const every = (n - 2) / (targetPoints - 2);
+        kept.push(points[0]);
+        for (let i = 0; i < targetPoints - 2; i++) {
+            const bucket = points.slice(Math.floor(i * every) + 1, Math.floor((i + 1) * every) + 1);
+            const next = points.slice(
+                Math.floor((i + 1) * every) + 1,
+                Math.min(Math.floor((i + 2) * every) + 1, n)
+            );
+            const nextAverage = next.length ? averageOf(next) : points[n - 1];
+            kept.push(largestTriangle(_.last(kept), bucket, nextAverage));
+        }
+        kept.push(points[n - 1]);
+    } else {
+        const count = Math.floor(targetPoints / perBucket);
+        const begin = points[0].x;
+        const width = (_.last(points).x - begin) / count || 1;
+        const buckets = _.groupBy(points, p =>
+            Math.min(Math.floor((p.x - begin) / width), count - 1)
+        );
+        _.range(count).forEach(b => {
+            kept = kept.concat(selectExtremes(buckets[b] || [], method));
+        });
+    }
+    return Immutable.List(kept.map(p => p.event));
+}
+
+/**
+ * Returns the `Point` to plot the `event` at, or `null` if its value is missing
+ */
+function pointOf<T extends Key>(event: Event<T>, fieldPath: string[]): Point<T> {
+    const y = event.get(fieldPath);
+    return util.isValid(y) ? { event, x: +event.timestamp(), y } : null;
+}
+
+/**
+ * Returns the average position of the `points`
+ */
+function averageOf<T extends Key>(points: Array<Point<T>>): { x: number; y: number } {
+    return { x: _.meanBy(points, p => p.x), y: _.meanBy(points, p => p.y) };
+}
+
+/**
+ * Returns the point of the `bucket` forming the largest triangle with
+ * point `a` and the point `c`
+ */
+function largestTriangle<T extends Key>(
+    a: Point<T>,
+    bucket: Array<Point<T>>,
+    c: { x: number; y: number }
+): Point<T> {
+    return _.maxBy(bucket, b => Math.abs((a.x - c.x) * (b.y - a.y) - (a.x - b.x) * (c.y - a.y)));
+}
+
+/**
+ * Returns the minimum and maximum points of the `bucket` for "minmax", along with
+ * the first and last for "m4", in time order and without duplicates
+ */
+function selectExtremes<T extends Key>(
+    bucket: Array<Point<T>>,
+    method: DownsampleMethod
+): Array<Point<T>> {
+    if (!bucket.length) {
+        return [];
+    }
+    let selected = [_.minBy(bucket, p => p.y), _.maxBy(bucket, p => p.y)];
+    if (method === "m4") {
+        selected = selected.concat([_.first(bucket), _.last(bucket)]);
+    }
+    return _.sortBy(_.uniq(selected), p => p.x);
+}
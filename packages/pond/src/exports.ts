@@ -1,23 +1,39 @@
+import { Alert } from "./alert";
 import { Align } from "./align";
+import { Anomaly } from "./anomaly";
 import { Base } from "./base";
 import { Collapse } from "./collapse";
 import { collection, Collection } from "./collection";
+import { Derive } from "./derive";
+import { Downsample } from "./downsample";
 import { event, Event, indexedEvent, timeEvent, timeRangeEvent } from "./event";
+import { expression, Expression } from "./expression";
 import { Fill } from "./fill";
 import {
     avg,
     count,
     difference,
+    durationAbove,
     filter,
     first,
+    histogram,
+    histogramPercentile,
+    integral,
     keep,
     last,
     max,
     median,
+    mergedHistogram,
+    mergedSketch,
+    mergeHistograms,
+    mergeSketches,
     min,
     percentile,
+    quantileSketch,
+    sketchQuantile,
     stdev,
-    sum
+    sum,
+    timeWeightedAvg
 } from "./functions";
 import { grouped, GroupedCollection } from "./groupedcollection";
 import { index, Index } from "./index";
@@ -25,36 +41,64 @@ import { Key } from "./key";
 import { period, Period } from "./period";
 import { Processor } from "./processor";
 import { Rate } from "./rate";
+import { Rolling } from "./rolling";
 import { Select } from "./select";
+import { Smooth } from "./smooth";
 import { sortedCollection, SortedCollection } from "./sortedcollection";
 import { stream } from "./stream";
 import { time, Time } from "./time";
 import { timerange, TimeRange } from "./timerange";
 import { indexedSeries, timeRangeSeries, timeSeries, TimeSeries } from "./timeseries";
-import { Trigger, WindowingOptions } from "./types";
+import { Transform } from "./transform";
+import {
+    AnomalyMethod,
+    CounterMode,
+    ForecastMethod,
+    JoinType,
+    SmoothingMethod,
+    TransformMethod,
+    Trigger,
+    WindowingOptions
+} from "./types";
 import util from "./util";
 import { windowed, WindowedCollection } from "./windowedcollection";
 
+export { Alert };
 export { Align };
+export { Anomaly };
 export { Base };
 export { Collapse };
 export { collection, Collection };
+export { Derive };
+export { Downsample };
 export { event, Event, timeEvent, timeRangeEvent, indexedEvent };
+export { expression, Expression };
 export { Fill };
 export {
     avg,
     count,
     difference,
+    durationAbove,
     filter,
     first,
+    histogram,
+    histogramPercentile,
+    integral,
     keep,
     last,
     max,
     median,
+    mergedHistogram,
+    mergedSketch,
+    mergeHistograms,
+    mergeSketches,
     min,
     percentile,
+    quantileSketch,
+    sketchQuantile,
     stdev,
-    sum
+    sum,
+    timeWeightedAvg
 };
 
 export { duration, Duration } from "./duration";
@@ -64,13 +108,40 @@ export { Key };
 export { period, Period };
 export { Processor };
 export { Rate };
+export { Rolling };
 export { Select };
+export { Smooth };
 export { sortedCollection, SortedCollection };
 export { stream };
 export { time, Time };
 export { timerange, TimeRange };
 export { timeSeries, indexedSeries, timeRangeSeries, TimeSeries };
-export { Trigger, WindowingOptions };
+export { Transform };
+export {
+    AnomalyMethod,
+    CounterMode,
+    ForecastMethod,
+    JoinType,
+    SmoothingMethod,
+    TransformMethod,
+    Trigger,
+    WindowingOptions
+};
 export { util };
-export { daily, DayWindow, window, Window } from "./window";
+export {
+    countWindow,
+    CountWindow,
+    daily,
+    DayWindow,
+    IsoWeekWindow,
+    monthly,
+    MonthWindow,
+    session,
+    SessionWindow,
+    weekly,
+    window,
+    Window,
+    yearly,
+    YearWindow
+} from "./window";
 export { windowed, WindowedCollection } from "./windowedcollection";
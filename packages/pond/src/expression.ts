@@ -0,0 +1,425 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Key } from "./key";
+import util from "./util";
+
+/**
+ * A token of an expression, with its position in the source for error messages
+ */
+interface Token {
+    type: "number" | "string" | "name" | "op" | "end";
+    value: any;
+    pos: number;
+}
+
+/**
+ * A node of the parsed expression tree
+ */
+interface ExpressionNode {
+    kind: "literal" | "field" | "unary" | "binary" | "call";
+    value?: any;
+    path?: string[];
+    op?: string;
+    args?: ExpressionNode[];
+}
+
+const OPERATORS = [
+    "==",
+    "!=",
+    "<=",
+    ">=",
+    "&&",
+    "||",
+    "<",
+    ">",
+    "+",
+    "-",
+    "*",
+    "/",
+    "%",
+    "^",
+    "!",
+    "(",
+    ")",
+    ",",
+    ".",
+    "="
+];
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * Returns the value, or `null` if it is missing (`null`, `undefined` or `NaN`)
+ */
+const clean = (v: any) => (util.isMissing(v) ? null : v);
+
+/**
+ * Returns a function applying `f` to its arguments, or `null` if any is missing
+ */
+const numeric = (f: (...args: number[]) => number) => (...args: any[]) =>
+    _.some(args, util.isMissing) ? null : clean(f(...args));
+
+/**
+ * The built-in functions, each with the minimum and maximum number of arguments
+ */
+const FUNCTIONS: { [name: string]: { arity: [number, number]; f: (...args) => any } } = {
+    abs: { arity: [1, 1], f: numeric(Math.abs) },
+    ceil: { arity: [1, 1], f: numeric(Math.ceil) },
+    floor: { arity: [1, 1], f: numeric(Math.floor) },
+    round: { arity: [1, 2], f: numeric((x, digits = 0) => _.round(x, digits)) },
+    sqrt: { arity: [1, 1], f: numeric(Math.sqrt) },
+    exp: { arity: [1, 1], f: numeric(Math.exp) },
+    log: { arity: [1, 1], f: numeric(Math.log) },
+    log10: { arity: [1, 1], f: numeric(Math.log10) },
+    pow: { arity: [2, 2], f: numeric(Math.pow) },
+    min: { arity: [1, Infinity], f: numeric(Math.min) },
+    max: { arity: [1, Infinity], f: numeric(Math.max) },
+    coalesce: {
+        arity: [1, Infinity],
+        f: (...args) => clean(_.find(args, a => !util.isMissing(a)))
+    },
+    isnull: { arity: [1, 1], f: x => util.isMissing(x) },
+    if: { arity: [3, 3], f: (condition, a, b) => (truthy(condition) ? a : b) }
+};
+
+/**
+ * Returns true if the value counts as true in a condition, where missing values
+ * count as false
+ */
+function truthy(v: any): boolean {
+    return !util.isMissing(v) && !!v;
+}
+
+/**
+ * Splits the `source` into tokens
+ */
+function tokenize(source: string): Token[] {
+    const tokens: Token[] = [];
+    const numberRegex = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+    const nameRegex = /^[A-Za-z_][A-Za-z0-9_]*/;
+    let pos = 0;
+    while (pos < source.length) {
+        const rest = source.slice(pos);
+        const c = source[pos];
+        if (/\s/.test(c)) {
+            pos++;
+        } else if (numberRegex.test(rest)) {
+            const match = numberRegex.exec(rest)[0];
+            tokens.push({ type: "number", value: parseFloat(match), pos });
+            pos += match.length;
+        } else if (nameRegex.test(rest)) {
+            const match = nameRegex.exec(rest)[0];
+            tokens.push({ type: "name", value: match, pos });
+            pos += match.length;
+        } else if (c === '"' || c === "'") {
+            let value = "";
+            let i = pos + 1;
+            while (i < source.length && source[i] !== c) {
+                value += source[i] === "\\" ? source[++i] : source[i];
+                i++;
+            }
+            if (i >= source.length) {
+                throw new Error(`Unterminated string at position ${pos} of "${source}"`);
+            }
+            tokens.push({ type: "string", value, pos });
+            pos = i + 1;
+        } else {
+            const op = _.find(OPERATORS, o => _.startsWith(rest, o));
+            if (!op) {
+                throw new Error(`Unexpected "${c}" at position ${pos} of "${source}"`);
+            }
+            tokens.push({ type: "op", value: op, pos });
+            pos += op.length;
+        }
+    }
+    tokens.push({ type: "end", value: null, pos });
+    return tokens;
+}
+
+/**
+ * A recursive descent parser of an expression's tokens into a tree
+ * of `ExpressionNode`s, lowest precedence first.
+ */
+class Parser {
+    private pos: number = 0;
+
+    constructor(private source: string, private tokens: Token[]) {}
+
+    public parse(): ExpressionNode {
+        const node = this.or();
+        this.expect("end");
+        return node;
+    }
+
+    public path(): string[] {
+        const path = [this.expect("name").value];
+        while (this.accept(".")) {
+            path.push(this.expect("name").value);
+        }
+        return path;
+    }
+
+    public accept(op: string): boolean {
+        const token = this.tokens[this.pos];
+        if (token.type === "op" && token.value === op) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    private expect(type: string, op?: string): Token {
+        const token = this.tokens[this.pos];
+        if (token.type !== type || (op && token.value !== op)) {
+            const found = token.type === "end" ? "the end" : `"${token.value}"`;
+            throw new Error(
+                `Expected ${op ? `"${op}"` : `a ${type}`} but found ${found} at position ` +
+                    `${token.pos} of "${this.source}"`
+            );
+        }
+        this.pos++;
+        return token;
+    }
+
+    private binary(next: () => ExpressionNode, ops: string[]): ExpressionNode {
+        let node = next();
+        let op = _.find(ops, o => this.accept(o));
+        while (op) {
+            node = { kind: "binary", op, args: [node, next()] };
+            op = _.find(ops, o => this.accept(o));
+        }
+        return node;
+    }
+
+    private or = () => this.binary(this.and, ["||"]);
+    private and = () => this.binary(this.equality, ["&&"]);
+    private equality = () => this.binary(this.comparison, ["==", "!="]);
+    private comparison = () => this.binary(this.additive, ["<=", ">=", "<", ">"]);
+    private additive = () => this.binary(this.multiplicative, ["+", "-"]);
+    private multiplicative = () => this.binary(() => this.unary(), ["*", "/", "%"]);
+
+    private unary(): ExpressionNode {
+        const op = _.find(["-", "!"], o => this.accept(o));
+        return op ? { kind: "unary", op, args: [this.unary()] } : this.power();
+    }
+
+    private power(): ExpressionNode {
+        const base = this.primary();
+        // Right associative, binding tighter than a unary minus on its left
+        return this.accept("^") ? { kind: "binary", op: "^", args: [base, this.unary()] } : base;
+    }
+
+    private primary(): ExpressionNode {
+        const token = this.tokens[this.pos];
+        if (token.type === "number" || token.type === "string") {
+            this.pos++;
+            return { kind: "literal", value: token.value };
+        }
+        if (this.accept("(")) {
+            const node = this.or();
+            this.expect("op", ")");
+            return node;
+        }
+        if (token.type === "name" && _.has(KEYWORDS, token.value)) {
+            this.pos++;
+            return { kind: "literal", value: KEYWORDS[token.value] };
+        }
+        if (token.type === "name" && this.tokens[this.pos + 1].value === "(") {
+            return this.call();
+        }
+        if (token.type === "name") {
+            return { kind: "field", path: this.path() };
+        }
+        const found = token.type === "end" ? "the end" : `"${token.value}"`;
+        throw new Error(
+            `Expected a value but found ${found} at position ${token.pos} of "${this.source}"`
+        );
+    }
+
+    private call(): ExpressionNode {
+        const token = this.expect("name");
+        if (!_.has(FUNCTIONS, token.value)) {
+            throw new Error(`Unknown function "${token.value}" in "${this.source}"`);
+        }
+        const fn = FUNCTIONS[token.value];
+        this.expect("op", "(");
+        const args = [];
+        if (!this.accept(")")) {
+            do {
+                args.push(this.or());
+            } while (this.accept(","));
+            this.expect("op", ")");
+        }
+        const [least, most] = fn.arity;
+        if (args.length < least || args.length > most) {
+            throw new Error(`Wrong number of arguments to "${token.value}" in "${this.source}"`);
+        }
+        return { kind: "call", value: token.value, args };
+    }
+}
+
+/**
+ * Evaluates the expression tree `node` against the `Event`
+ */
+function evaluate(node: ExpressionNode, event: Event<Key>): any {
+    switch (node.kind) {
+        case "literal":
+            return node.value;
+        case "field":
+            return clean(event.get(node.path));
+        case "call":
+            return FUNCTIONS[node.value].f(...node.args.map(arg => evaluate(arg, event)));
+        case "unary":
+            const v = evaluate(node.args[0], event);
+            return node.op === "!" ? !truthy(v) : util.isMissing(v) ? null : -v;
+        case "binary":
+            const [left, right] = node.args;
+            if (node.op === "&&") {
+                return truthy(evaluate(left, event)) && truthy(evaluate(right, event));
+            }
+            if (node.op === "||") {
+                return truthy(evaluate(left, event)) || truthy(evaluate(right, event));
+            }
+            return applyOperator(node.op, evaluate(left, event), evaluate(right, event));
+    }
+}
+
+/**
+ * Applies the binary operator `op` to the values `a` and `b`. Other than `==` and
+ * `!=`, the result is `null` if either is missing, as is division by zero.
+ */
+function applyOperator(op: string, a: any, b: any): any {
+    if (op === "==") {
+        return clean(a) === clean(b);
+    }
+    if (op === "!=") {
+        return clean(a) !== clean(b);
+    }
+    if (util.isMissing(a) || util.isMissing(b)) {
+        return null;
+    }
+    switch (op) {
+        case "+":
+            return a + b;
+        case "-":
+            return a - b;
+        case "*":
+            return a * b;
+        case "/":
+            return b !== 0 ? a / b : null;
+        case "%":
+            return b !== 0 ? a % b : null;
+        case "^":
+            return clean(Math.pow(a, b));
+        case "<":
+            return a < b;
+        case "<=":
+            return a <= b;
+        case ">":
+            return a > b;
+        case ">=":
+            return a >= b;
+    }
+}
+
+/**
+ * An `Expression` is a formula, written as a string, that is evaluated against
+ * the data of an `Event`. This allows derived columns to be defined in
+ * configuration, without writing any code and without the use of `eval()`.
+ *
+ * An expression may optionally be an assignment to a column, such as
+ * `"in_bps = in_octets * 8"`, which is how the `derive()` functions name the
+ * column they add. The expression itself supports:
+ *  * numbers, strings in single or double quotes, `true`, `false` and `null`
+ *  * the `Event`'s fields by name, including nested paths such as `in.octets`
+ *  * arithmetic: `+`, `-`, `*`, `/`, `%` and `^` (power)
+ *  * comparisons: `==`, `!=`, `<`, `<=`, `>` and `>=`
+ *  * logic: `&&`, `||` and `!`
+ *  * parentheses for grouping
+ *  * the functions `abs`, `ceil`, `floor`, `round(x, digits)`, `sqrt`, `exp`,
+ *    `log`, `log10`, `pow(x, y)`, `min(...)`, `max(...)`, `coalesce(...)`,
+ *    `isnull(x)` and `if(condition, a, b)`
+ *
+ * Missing values (`null`, `undefined` or `NaN`) propagate: arithmetic,
+ * comparisons and numeric functions involving a missing value are `null`,
+ * as is division by zero. Use `coalesce()` or `isnull()` to handle them, e.g.
+ * `"total = coalesce(in, 0) + coalesce(out, 0)"`. In conditions, a missing
+ * value counts as false.
+ *
+ * Example:
+ * ```
+ * const util = expression("util = (in + out) / capacity");
+ * util.target();            // ["util"]
+ * util.evaluate(e);         // e.g. 0.25
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class Expression {
+    private _source: string;
+    private _target: string[];
+    private _tree: ExpressionNode;
+
+    /**
+     * Parses the expression `source`, throwing an `Error` if it isn't valid
+     */
+    constructor(source: string) {
+        const tokens = tokenize(source);
+        const parser = new Parser(source, tokens);
+
+        // An assignment starts with a field path followed by "="
+        const equals = _.findIndex(tokens, t => t.type === "op" && t.value === "=");
+        const isPath = (t: Token, i: number) =>
+            i % 2 === 0 ? t.type === "name" : t.type === "op" && t.value === ".";
+        if (equals > 0 && _.every(tokens.slice(0, equals), isPath) && equals % 2 === 1) {
+            this._target = parser.path();
+            parser.accept("=");
+        } else {
+            this._target = null;
+        }
+
+        this._source = source;
+        this._tree = parser.parse();
+    }
+
+    /**
+     * Returns the field path the expression assigns to, or `null` if
+     * it isn't an assignment
+     */
+    public target(): string[] {
+        return this._target;
+    }
+
+    /**
+     * Evaluates the expression against the data of the `Event`
+     */
+    public evaluate(event: Event<Key>): any {
+        return evaluate(this._tree, event);
+    }
+
+    /**
+     * Returns the source of the expression
+     */
+    public toString(): string {
+        return this._source;
+    }
+}
+
+/**
+ * Parses the `source` into an `Expression`
+ */
+function expressionFactory(source: string): Expression {
+    return new Expression(source);
+}
+
+export { expressionFactory as expression };
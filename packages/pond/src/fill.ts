@@ -314,4 +314,18 @@ export class Fill<T extends Key> extends Processor<T, T> {
         }
         return Immutable.List(eventList);
     }
+
+    /**
+     * Returns any `Event`s still cached pending a linear fill. Since no further
+     * valid `Event` will arrive to fill them from, they are returned unfilled.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        const eventList = this._linearFillCache;
+
+        // Reset
+        this._linearFillCache = [];
+        this._lastGoodLinear = null;
+
+        return Immutable.List(eventList);
+    }
 }
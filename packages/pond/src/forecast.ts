@@ -0,0 +1,169 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as _ from "lodash";
+
+import { ForecastMethod } from "./types";
+
+/**
+ * A forecast value, along with the bounds of its confidence band
+ */
+export interface Prediction {
+    value: number;
+    lower: number;
+    upper: number;
+}
+
+/**
+ * The smoothing parameters of a Holt-Winters model
+ */
+export interface HoltWintersParameters {
+    seasonality?: number;
+    method?: ForecastMethod;
+    alpha?: number;
+    beta?: number;
+    gamma?: number;
+    confidence?: number;
+}
+
+/**
+ * Fits a Holt-Winters model to the evenly spaced `values` and forecasts the
+ * next `steps` values, as used by `TimeSeries.forecast()`. With a `seasonality`
+ * of 0 this is Holt's linear trend method.
+ *
+ * The model is initialized from the first two seasons (or values): the trend is
+ * the average change per step between them, and the seasonal components are the
+ * average difference (or ratio) of the values at that point of each season from
+ * the trend line. It's then updated with each value, recording the error of each
+ * one step ahead forecast after the first season.
+ *
+ * The confidence band of each forecast is based on the root mean squared error
+ * of the one step ahead forecasts, assumed to be normally distributed, widening
+ * with the square root of the number of steps ahead.
+ */
+export function holtWinters(
+    values: number[],
+    steps: number,
+    parameters: HoltWintersParameters
+): Prediction[] {
+    const {
+        seasonality = 0,
+        method = ForecastMethod.Additive,
+        alpha = 0.5,
+        beta = 0.1,
+        gamma = 0.1,
+        confidence = 0.95
+    } = parameters;
+    const m = seasonality;
+    const multiplicative = m > 0 && method === ForecastMethod.Multiplicative;
+
+    if (!_.isInteger(m) || m < 0) {
+        throw new Error("The seasonality must be a whole number of periods");
+    }
+    if (values.length < Math.max(2 * m, 2)) {
+        throw new Error(`At least ${Math.max(2 * m, 2)} values are needed to forecast`);
+    }
+    if (multiplicative && _.some(values, v => v <= 0)) {
+        throw new Error("Multiplicative forecasts need values that are all positive");
+    }
+    if (!(confidence > 0 && confidence < 1)) {
+        throw new Error("The confidence must be between 0 and 1");
+    }
+
+    // The initial trend, and the trend line through the first two seasons
+    // (or values), which the level starts on, one step before the first value
+    const means = m > 0 ? [_.mean(values.slice(0, m)), _.mean(values.slice(m, 2 * m))] : values;
+    const slope = (means[1] - means[0]) / Math.max(m, 1);
+    const trendLine = (i: number) => means[0] + slope * (i - (Math.max(m, 1) - 1) / 2);
+    let level = trendLine(-1);
+    let trend = slope;
+
+    // Each seasonal component is averaged over the first two seasons
+    const seasonal = _.range(m).map(i =>
+        _.mean(
+            [i, m + i].map(j =>
+                multiplicative ? values[j] / trendLine(j) : values[j] - trendLine(j)
+            )
+        )
+    );
+
+    // Seasonal component i steps from the start
+    const seasonOf = (i: number) => (m > 0 ? seasonal[i % m] : 0);
+    const combine = (base: number, season: number) =>
+        multiplicative ? base * season : base + season;
+
+    const errors = [];
+    values.forEach((y, i) => {
+        const s = seasonOf(i);
+        if (i >= m) {
+            errors.push(y - combine(level + trend, s));
+        }
+        const previousLevel = level;
+        const deseasonalized = multiplicative ? y / s : y - s;
+        level = alpha * deseasonalized + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        if (m > 0) {
+            const fresh = multiplicative ? y / level : y - level;
+            seasonal[i % m] = gamma * fresh + (1 - gamma) * s;
+        }
+    });
+
+    const rmse = errors.length ? Math.sqrt(_.meanBy(errors, e => e * e)) : 0;
+    const z = normalQuantile(0.5 + confidence / 2);
+    return _.range(1, steps + 1).map(h => {
+        const value = combine(level + h * trend, seasonOf(values.length + h - 1));
+        const width = z * rmse * Math.sqrt(h);
+        return { value, lower: value - width, upper: value + width };
+    });
+}
+
+/**
+ * Returns the quantile `p` of the standard normal distribution, using
+ * Acklam's rational approximation (with a relative error below 1.2e-9)
+ */
+function normalQuantile(p: number): number {
+    const a = [
+        -39.69683028665376,
+        220.9460984245205,
+        -275.9285104469687,
+        138.357751867269,
+        -30.66479806614716,
+        2.506628277459239
+    ];
+    const b = [
+        -54.47609879822406,
+        161.5858368580409,
+        -155.6989798598866,
+        66.80131188771972,
+        -13.28068155288572
+    ];
+    const c = [
+        -0.007784894002430293,
+        -0.3223964580411365,
+        -2.400758277161838,
+        -2.549732539343734,
+        4.374664141464968,
+        2.938163982698783
+    ];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+
+    // Evaluates the polynomial with the coefficients, highest power first
+    const poly = (coefficients: number[], x: number) =>
+        coefficients.reduce((total, coefficient) => total * x + coefficient, 0);
+
+    if (p < 0.02425 || p > 1 - 0.02425) {
+        const u = Math.sqrt(-2 * Math.log(Math.min(p, 1 - p)));
+        const x = poly(c, u) / (poly(d, u) * u + 1);
+        return p < 0.5 ? x : -x;
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (poly(a, r) * q) / (poly(b, r) * r + 1);
+}
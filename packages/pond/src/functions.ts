@@ -8,9 +8,21 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+import * as Immutable from "immutable";
 import * as _ from "lodash";
 
-import { ReducerFunction } from "./types";
+import { Collection } from "./collection";
+import { Event } from "./event";
+import { Key } from "./key";
+import {
+    AggregationContext,
+    AggregationMapFunction,
+    Histogram,
+    HistogramOptions,
+    QuantileSketch,
+    ReducerFunction,
+    SketchOptions
+} from "./types";
 import util from "./util";
 
 //
@@ -332,6 +344,9 @@ export enum InterpolationType {
  *                 missing value
  *              * `zeroMissing` - will replace missing values
  *                 with a zero
+ *
+ * This sorts all of the values, so for large numbers of values, or percentiles
+ * which need to be combined across windows or groups, see `quantileSketch()`.
  */
 export function percentile(
     q: number,
@@ -384,6 +399,548 @@ export function percentile(
     };
 }
 
+//
+// Time aware aggregations, which treat a field as a signal over time
+//
+
+/**
+ * Returns the points (ms timestamp, value) of the signal described by the `fieldPath`
+ * of the `collection`'s `Event`s, with missing values skipped. If the `context`
+ * has a window, the points are clipped to it and points are added at the edges
+ * of the window by linearly interpolating to the `Event`s either side of it.
+ */
+function signal<T extends Key>(
+    collection: Collection<T>,
+    fieldPath: string | string[],
+    context: AggregationContext<T> = {}
+): Array<[number, number]> {
+    const field = util.fieldAsArray(fieldPath);
+    const pointOf = (e: Event<T>): [number, number] =>
+        e && util.isValid(e.get(field)) ? [+e.timestamp(), e.get(field)] : null;
+    const interpolate = (a: [number, number], b: [number, number], t: number): number =>
+        a[1] + ((b[1] - a[1]) * (t - a[0])) / (b[0] - a[0]);
+
+    let points = collection
+        .eventList()
+        .map(pointOf)
+        .filter(p => !!p)
+        .sortBy(p => p[0])
+        .toArray();
+
+    const { window, previous, next } = context;
+    if (!window) {
+        return points;
+    }
+    const begin = +window.begin();
+    const end = +window.end();
+    points = points.filter(([t]) => t >= begin && t <= end);
+
+    const before = pointOf(previous);
+    const after = pointOf(next);
+    const head = points.length ? points[0] : after;
+
+    // The previous event may be exactly at the start of a window which excludes
+    // its start, as rolling windows do, in which case it's the value at the start
+    if (before && head && before[0] <= begin && head[0] > begin) {
+        points.unshift([begin, interpolate(before, head, begin)]);
+    }
+    const tail = points.length ? points[points.length - 1] : before;
+    if (after && tail && after[0] >= end && tail[0] < end) {
+        points.push([end, interpolate(tail, after, end)]);
+    }
+    return points;
+}
+
+/**
+ * Returns the area under the signal `points`, in value-seconds, using the
+ * trapezoidal rule.
+ */
+function area(points: Array<[number, number]>): number {
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        const [t0, v0] = points[i - 1];
+        const [t1, v1] = points[i];
+        total += ((t1 - t0) * (v0 + v1)) / 2;
+    }
+    return total / 1000;
+}
+
+/**
+ * Returns an `integral()` aggregation, i.e. a function that takes a `Collection`
+ * and returns the area under the curve of the `fieldPath` (which defaults to "value"),
+ * using the trapezoidal rule. The result is in value-seconds, so integrating a
+ * rate in bytes per second results in a number of bytes.
+ *
+ * Unlike a `ReducerFunction`, this is given the whole `Collection` in an
+ * `AggregationSpec`, so that it can take the timing of the `Event`s into account.
+ * When aggregating windows, the signal is linearly interpolated at the edges of
+ * each window from the `Event`s either side of it, so that the areas of consecutive
+ * windows add up to the area of the whole series.
+ *
+ * Example:
+ * ```
+ * const rollup = series.fixedWindowRollup({
+ *     window: window(duration("1h")),
+ *     aggregation: { bytes: integral("in") }
+ * });
+ * ```
+ */
+export function integral<T extends Key>(
+    fieldPath: string | string[] = "value"
+): AggregationMapFunction<T> {
+    return (collection: Collection<T>, context?: AggregationContext<T>): number => {
+        const points = signal(collection, fieldPath, context);
+        return points.length ? area(points) : null;
+    };
+}
+
+/**
+ * Returns a `timeWeightedAvg()` aggregation, i.e. a function that takes a `Collection`
+ * and returns the average of the `fieldPath` (which defaults to "value"), with
+ * each value weighted by the time the signal spends there, rather than counting
+ * each `Event` equally. This is the `integral()` divided by the time covered,
+ * and similarly interpolates at the edges of windows.
+ *
+ * Example:
+ * ```
+ * const rollup = series.dailyRollup({
+ *     aggregation: { temperature: timeWeightedAvg("temperature") }
+ * });
+ * ```
+ */
+export function timeWeightedAvg<T extends Key>(
+    fieldPath: string | string[] = "value"
+): AggregationMapFunction<T> {
+    return (collection: Collection<T>, context?: AggregationContext<T>): number => {
+        const points = signal(collection, fieldPath, context);
+        if (!points.length) {
+            return null;
+        }
+        const span = (points[points.length - 1][0] - points[0][0]) / 1000;
+        return span > 0 ? area(points) / span : points[0][1];
+    };
+}
+
+/**
+ * Returns a `durationAbove()` aggregation, i.e. a function that takes a `Collection`
+ * and returns the number of seconds that the `fieldPath` spends above the
+ * `threshold`. The signal is linearly interpolated between `Event`s, including
+ * at the edges of windows, to find when it crosses the `threshold`.
+ *
+ * Example:
+ * ```
+ * const rollup = series.dailyRollup({
+ *     aggregation: { overloaded: durationAbove("cpu", 0.9) }
+ * });
+ * ```
+ */
+export function durationAbove<T extends Key>(
+    fieldPath: string | string[],
+    threshold: number
+): AggregationMapFunction<T> {
+    return (collection: Collection<T>, context?: AggregationContext<T>): number => {
+        const points = signal(collection, fieldPath, context);
+        if (!points.length) {
+            return null;
+        }
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            const [t0, v0] = points[i - 1];
+            const [t1, v1] = points[i];
+            if (v0 > threshold && v1 > threshold) {
+                total += t1 - t0;
+            } else if (v0 > threshold || v1 > threshold) {
+                const crossing = t0 + ((t1 - t0) * (threshold - v0)) / (v1 - v0);
+                total += v0 > threshold ? crossing - t0 : t1 - crossing;
+            }
+        }
+        return total / 1000;
+    };
+}
+
+//
+// Histograms, which count the values falling in each of a set of buckets
+//
+
+/**
+ * Returns the bucket boundaries described by the `HistogramOptions`
+ */
+function histogramBoundaries(options: HistogramOptions): number[] {
+    const { boundaries, width, base, min: lowest, max: highest } = options;
+    let result: number[];
+    if (boundaries) {
+        result = boundaries;
+    } else if (
+        util.isValid(lowest) &&
+        util.isValid(highest) &&
+        highest > lowest &&
+        (width > 0 || base > 1)
+    ) {
+        if (width > 0) {
+            result = _.range(Math.ceil((highest - lowest) / width) + 1).map(
+                i => lowest + i * width
+            );
+        } else if (lowest > 0) {
+            // Allowing for rounding, so an exact power of the base isn't a bucket too far
+            const steps = Math.ceil(Math.log(highest / lowest) / Math.log(base) - 1e-9);
+            result = _.range(steps + 1).map(i => lowest * Math.pow(base, i));
+        }
+    }
+    if (!result || result.length < 2 || _.some(result, (b, i) => i > 0 && b <= result[i - 1])) {
+        throw new Error(
+            "A histogram needs ascending boundaries, or a min and max with a width or base"
+        );
+    }
+    return result;
+}
+
+/**
+ * Returns the `Histogram` as a plain object, if it's stored in an `Event` as
+ * an `Immutable.Map`
+ */
+function histogramOf(h: Histogram | Immutable.Map<string, any>): Histogram {
+    return Immutable.Map.isMap(h)
+        ? ((h as Immutable.Map<string, any>).toJS() as Histogram)
+        : (h as Histogram);
+}
+
+/**
+ * Returns a `histogram()` aggregation, i.e. a function that takes a `Collection`
+ * and returns a `Histogram` of the values of the `fieldPath` (which defaults to
+ * "value"), counting the values in each bucket described by the `options`.
+ * See `HistogramOptions` for the fixed width, explicit and log scale buckets.
+ *
+ * Since every window has the same buckets, even those with no values, the
+ * histograms of a rollup can be charted as a heatmap, merged with
+ * `mergeHistograms()` and summarized with `histogramPercentile()`.
+ *
+ * Example:
+ * ```
+ * const rollup = series.fixedWindowRollup({
+ *     window: window(duration("5m")),
+ *     aggregation: { latency: histogram({ base: 2, min: 1, max: 4096 }, "latency") }
+ * });
+ * rollup.at(0).get("latency.counts");  // Immutable.List of bucket counts
+ * ```
+ */
+export function histogram<T extends Key>(
+    options: HistogramOptions,
+    fieldPath: string | string[] = "value"
+): AggregationMapFunction<T> {
+    const boundaries = histogramBoundaries(options);
+    const top = boundaries.length - 1;
+    const field = util.fieldAsArray(fieldPath);
+    return (collection: Collection<T>): Histogram => {
+        const values = collection
+            .eventList()
+            .map(e => e.get(field))
+            .filter(util.isValid)
+            .toArray();
+        const counts = _.range(top).map(() => 0);
+        let underflow = 0;
+        let overflow = 0;
+        values.forEach(v => {
+            if (v < boundaries[0]) {
+                underflow++;
+            } else if (v > boundaries[top]) {
+                overflow++;
+            } else {
+                counts[Math.min(_.sortedLastIndex(boundaries, v), top) - 1]++;
+            }
+        });
+        return {
+            boundaries,
+            counts,
+            underflow,
+            overflow,
+            count: values.length,
+            min: values.length ? _.min(values) : null,
+            max: values.length ? _.max(values) : null
+        };
+    };
+}
+
+/**
+ * Returns a `mergedHistogram()` aggregation, i.e. a function that takes a
+ * `Collection` and merges the `Histogram`s in the `fieldPath` of its `Event`s,
+ * such as those from a `histogram()` aggregation. This rolls histograms up into
+ * larger windows, e.g. hourly histograms into daily ones.
+ *
+ * Example:
+ * ```
+ * const daily = hourly.dailyRollup({
+ *     aggregation: { latency: mergedHistogram("latency") }
+ * });
+ * ```
+ */
+export function mergedHistogram<T extends Key>(
+    fieldPath: string | string[] = "value"
+): AggregationMapFunction<T> {
+    const field = util.fieldAsArray(fieldPath);
+    return (collection: Collection<T>): Histogram => {
+        const histograms = collection
+            .eventList()
+            .map(e => e.get(field))
+            .filter(h => !!h)
+            .toArray();
+        return histograms.length ? mergeHistograms(histograms) : null;
+    };
+}
+
+/**
+ * Merges the `histograms`, which must all have the same boundaries, into one
+ * `Histogram`, as if all of their values were counted together.
+ */
+export function mergeHistograms(
+    histograms: Array<Histogram | Immutable.Map<string, any>>
+): Histogram {
+    const all = histograms.map(histogramOf);
+    if (!all.length) {
+        throw new Error("There are no histograms to merge");
+    }
+    const { boundaries } = all[0];
+    if (_.some(all, h => !_.isEqual(h.boundaries, boundaries))) {
+        throw new Error("Only histograms with the same boundaries can be merged");
+    }
+    const valid = (values: number[]) => values.filter(util.isValid);
+    const mins = valid(all.map(h => h.min));
+    const maxes = valid(all.map(h => h.max));
+    return {
+        boundaries,
+        counts: all[0].counts.map((c, i) => _.sumBy(all, h => h.counts[i])),
+        underflow: _.sumBy(all, h => h.underflow),
+        overflow: _.sumBy(all, h => h.overflow),
+        count: _.sumBy(all, h => h.count),
+        min: mins.length ? _.min(mins) : null,
+        max: maxes.length ? _.max(maxes) : null
+    };
+}
+
+/**
+ * Returns an estimate of the `q` percentile (between 0 and 100) of the values
+ * counted by the `Histogram`, by assuming the values are spread evenly within
+ * each bucket, or `null` if it has no values. Values below or above the buckets
+ * are assumed to be spread between the bucket boundary and the `min` or `max`.
+ *
+ * Example:
+ * ```
+ * const p95 = histogramPercentile(rollup.at(0).get("latency"), 95);
+ * ```
+ */
+export function histogramPercentile(h: Histogram | Immutable.Map<string, any>, q: number): number {
+    if (q < 0 || q > 100) {
+        throw new Error("Percentile q must be between 0 and 100");
+    }
+    const {
+        boundaries,
+        counts,
+        underflow,
+        overflow,
+        count: total,
+        min: smallest,
+        max: largest
+    } = histogramOf(h);
+    if (!total) {
+        return null;
+    }
+
+    // Each bucket, along with the values below and above them, as [low, high, count]
+    const top = boundaries.length - 1;
+    const segments = [
+        [smallest, boundaries[0], underflow],
+        ...counts.map((c, i) => [boundaries[i], boundaries[i + 1], c]),
+        [boundaries[top], largest, overflow]
+    ];
+
+    const rank = (q / 100) * total;
+    let below = 0;
+    const [low, high, n] = _.find(segments, ([, , c]) => {
+        below += c;
+        return c > 0 && below >= rank;
+    });
+    const estimate = low + ((high - low) * (rank - (below - n))) / n;
+    return Math.min(Math.max(estimate, smallest), largest);
+}
+
+//
+// Quantile sketches, which estimate quantiles without keeping every value
+//
+
+/**
+ * Returns the `QuantileSketch` as a plain object, if it's stored in an `Event`
+ * as an `Immutable.Map`
+ */
+function sketchOf(sketch: QuantileSketch | Immutable.Map<string, any>): QuantileSketch {
+    return Immutable.Map.isMap(sketch)
+        ? ((sketch as Immutable.Map<string, any>).toJS() as QuantileSketch)
+        : (sketch as QuantileSketch);
+}
+
+/**
+ * Returns a `quantileSketch()` aggregation, i.e. a function that takes a `Collection`
+ * and returns a `QuantileSketch` of the values of the `fieldPath` (which defaults
+ * to "value"). This is a DDSketch, which counts the values in buckets whose width
+ * grows with their distance from zero, so that any quantile can be estimated to
+ * within the `relativeAccuracy` of its value with `sketchQuantile()`.
+ *
+ * Unlike `percentile()`, the values don't need to be sorted or kept, and since
+ * sketches with the same `relativeAccuracy` can be merged exactly, with
+ * `mergeSketches()` or the `mergedSketch()` aggregation, the quantiles of groups
+ * or windows can be combined, e.g. the daily 99th percentile from hourly sketches.
+ *
+ * Example:
+ * ```
+ * const rollup = series.fixedWindowRollup({
+ *     window: window(duration("1h")),
+ *     aggregation: { latency: quantileSketch("latency") }
+ * });
+ * const p99 = sketchQuantile(rollup.at(0).get("latency"), 99);
+ * ```
+ */
+export function quantileSketch<T extends Key>(
+    fieldPath: string | string[] = "value",
+    options: SketchOptions = {}
+): AggregationMapFunction<T> {
+    const { relativeAccuracy = 0.01 } = options;
+    if (!(relativeAccuracy > 0 && relativeAccuracy < 1)) {
+        throw new Error("The relative accuracy of a sketch must be between 0 and 1");
+    }
+    const logGamma = Math.log((1 + relativeAccuracy) / (1 - relativeAccuracy));
+    const field = util.fieldAsArray(fieldPath);
+    return (collection: Collection<T>): QuantileSketch => {
+        const values = collection
+            .eventList()
+            .map(e => e.get(field))
+            .filter(util.isValid)
+            .toArray();
+        const sketch: QuantileSketch = {
+            relativeAccuracy,
+            positive: {},
+            negative: {},
+            zero: 0,
+            count: values.length,
+            min: values.length ? _.min(values) : null,
+            max: values.length ? _.max(values) : null
+        };
+        values.forEach(v => {
+            if (v === 0) {
+                sketch.zero++;
+            } else {
+                const bins = v > 0 ? sketch.positive : sketch.negative;
+                const i = Math.ceil(Math.log(Math.abs(v)) / logGamma);
+                bins[i] = (bins[i] || 0) + 1;
+            }
+        });
+        return sketch;
+    };
+}
+
+/**
+ * Returns a `mergedSketch()` aggregation, i.e. a function that takes a `Collection`
+ * and merges the `QuantileSketch`es in the `fieldPath` of its `Event`s, such as
+ * those from a `quantileSketch()` aggregation.
+ *
+ * Example:
+ * ```
+ * const daily = hourly.dailyRollup({
+ *     aggregation: { latency: mergedSketch("latency") }
+ * });
+ * ```
+ */
+export function mergedSketch<T extends Key>(
+    fieldPath: string | string[] = "value"
+): AggregationMapFunction<T> {
+    const field = util.fieldAsArray(fieldPath);
+    return (collection: Collection<T>): QuantileSketch => {
+        const sketches = collection
+            .eventList()
+            .map(e => e.get(field))
+            .filter(sketch => !!sketch)
+            .toArray();
+        return sketches.length ? mergeSketches(sketches) : null;
+    };
+}
+
+/**
+ * Merges the `sketches`, which must all have the same relative accuracy, into
+ * one `QuantileSketch`, exactly as if all of their values were sketched together.
+ */
+export function mergeSketches(
+    sketches: Array<QuantileSketch | Immutable.Map<string, any>>
+): QuantileSketch {
+    const all = sketches.map(sketchOf);
+    if (!all.length) {
+        throw new Error("There are no sketches to merge");
+    }
+    const { relativeAccuracy } = all[0];
+    if (_.some(all, sketch => sketch.relativeAccuracy !== relativeAccuracy)) {
+        throw new Error("Only sketches with the same relative accuracy can be merged");
+    }
+    const addBins = (bins: Array<{ [index: string]: number }>) =>
+        _.mergeWith({}, ...bins, (a: number, b: number) => (a || 0) + (b || 0));
+    const mins = all.map(sketch => sketch.min).filter(util.isValid);
+    const maxes = all.map(sketch => sketch.max).filter(util.isValid);
+    return {
+        relativeAccuracy,
+        positive: addBins(all.map(sketch => sketch.positive)),
+        negative: addBins(all.map(sketch => sketch.negative)),
+        zero: _.sumBy(all, sketch => sketch.zero),
+        count: _.sumBy(all, sketch => sketch.count),
+        min: mins.length ? _.min(mins) : null,
+        max: maxes.length ? _.max(maxes) : null
+    };
+}
+
+/**
+ * Returns an estimate of the `q` percentile (between 0 and 100) of the values
+ * in the `QuantileSketch`, to within its relative accuracy, or `null` if it has
+ * no values. Like `percentile()`, this is the value at the position `q` percent
+ * of the way from the smallest value to the largest.
+ *
+ * Example:
+ * ```
+ * const median = sketchQuantile(event.get("latency"), 50);
+ * ```
+ */
+export function sketchQuantile(
+    sketch: QuantileSketch | Immutable.Map<string, any>,
+    q: number
+): number {
+    if (q < 0 || q > 100) {
+        throw new Error("Percentile q must be between 0 and 100");
+    }
+    const {
+        relativeAccuracy,
+        positive,
+        negative,
+        zero,
+        count: total,
+        min: smallest,
+        max: largest
+    } = sketchOf(sketch);
+    if (!total) {
+        return null;
+    }
+    const gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    const valueOf = (i: number) => (2 * Math.pow(gamma, i)) / (gamma + 1);
+
+    // Each bucket, from the smallest values to the largest, as [value, count]
+    const indices = (bins: { [index: string]: number }) => _.sortBy(_.keys(bins).map(Number));
+    const buckets = [
+        ..._.reverse(indices(negative)).map(i => [-valueOf(i), negative[i]]),
+        [0, zero],
+        ...indices(positive).map(i => [valueOf(i), positive[i]])
+    ];
+
+    const rank = (q / 100) * (total - 1);
+    let below = 0;
+    const [estimate] = _.find(buckets, ([, c]) => {
+        below += c;
+        return below > rank;
+    });
+    return Math.min(Math.max(estimate, smallest), largest);
+}
+
 export const filter = {
     keepMissing,
     ignoreMissing,
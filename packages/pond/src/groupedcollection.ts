@@ -17,13 +17,7 @@ import { SortedCollection } from "./sortedcollection";
 import { TimeRange } from "./timerange";
 import { WindowedCollection } from "./windowedcollection";
 
-import {
-    Aggregation,
-    AggregationTuple,
-    AlignmentOptions,
-    RateOptions,
-    WindowingOptions
-} from "./types";
+import { Aggregation, AlignmentOptions, RateOptions, WindowingOptions } from "./types";
 
 import util from "./util";
 
@@ -71,7 +65,8 @@ export class GroupedCollection<T extends Key> {
      * the `grouped()` factory function, however more typically this is
      * the result of a `groupBy()` on a `Collection`.
      *
-     * Grouping is not currently supported for streaming, if you need that it is most
+     * For streaming, grouping is supported in combination with windowing, by
+     * supplying a `groupBy` to `groupByWindow()`. Otherwise, if you need it, it is most
      * likely at the input end of a processing chain and the best approach is to just
      * manually direct events into different chains based on the group.
      *
@@ -160,20 +155,10 @@ export class GroupedCollection<T extends Key> {
     public aggregate(
         aggregationSpec: AggregationSpec<T>
     ): Immutable.Map<string, Immutable.Map<string, any>> {
-        const result = {};
-        this.collections.forEach((collection, group) => {
-            const d = {};
-            _.forEach(aggregationSpec, (src: AggregationTuple, dest: string) => {
-                if (!_.isFunction(src)) {
-                    const [srcField, reducer] = src;
-                    d[dest] = collection.aggregate(reducer, srcField);
-                } else {
-                    d[dest] = src(collection);
-                }
-            });
-            result[group] = d;
-        });
-        return Immutable.fromJS(result);
+        return this.collections
+            .mapKeys(group => `${group}`)
+            .map(collection => util.aggregateCollection(collection, aggregationSpec))
+            .toMap();
     }
 
     /**
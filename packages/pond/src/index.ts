@@ -11,6 +11,7 @@
 import moment from "moment";
 import Moment = moment.Moment;
 
+import { Duration } from "./duration";
 import { Key } from "./key";
 import { TimeRange } from "./timerange";
 import util from "./util";
@@ -44,6 +45,8 @@ import { Time, time } from "./time";
  *
  * ```text
  *     2003-10-30    // 30th Oct 2003
+ *     2017-W36      // The ISO week beginning Monday 4th Sept 2017
+ *     2017-W36-7    // The week beginning Sunday 10th Sept 2017
  *     2014-09       // Sept 2014
  *     2015          // All of the year 2015
  * ```
@@ -152,6 +155,30 @@ export class Index extends Key {
         }
     }
 
+    /**
+     * Returns a new `Index` of the same kind, moved later by the `Duration` `d`
+     * (or earlier if `d` is negative). A duration `Index` moves by the nearest
+     * whole number of its periods, e.g. "1h-5" shifted by 2 hours is "1h-7". A
+     * calendar `Index` becomes the one containing its shifted midpoint, so a
+     * day shifted by `duration("7d")` is the same weekday of the week before or
+     * after, regardless of daylight savings changes in between.
+     */
+    public shift(d: Duration): Index {
+        const s = this._string;
+        const parts = s.split("-");
+        if (util.isIndexString(s)) {
+            const { decodedPeriod, decodedIndex } = util.decodeIndexString(s);
+            const n = decodedIndex + Math.round(+d / +decodedPeriod.frequency());
+            return new Index(s.replace(/[0-9]+$/, `${n}`), this._tz);
+        }
+
+        const calendarFormat = ["YYYY", "YYYY-MM", "YYYY-MM-DD"][parts.length - 1];
+        const weekFormat = parts.length === 3 ? "GGGG-[W]WW-E" : "GGGG-[W]WW";
+        const format = util.isWeekIndexString(s) ? weekFormat : calendarFormat;
+        const shifted = moment.tz(+this.timestamp() + +d, this._tz);
+        return new Index(shifted.format(format), this._tz);
+    }
+
     /**
      * Returns the `Index` as a `TimeRange`
      */
@@ -8,6 +8,8 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+import { Duration } from "./duration";
+
 /**
  * Defines the interface for all event keys
  */
@@ -18,4 +20,5 @@ export abstract class Key {
     public abstract timestamp(): Date;
     public abstract begin(): Date;
     public abstract end(): Date;
+    public abstract shift(d: Duration): Key;
 }
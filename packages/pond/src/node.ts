@@ -7,27 +7,41 @@ import { Index, index } from "./index";
 import { Key } from "./key";
 import { TimeRange } from "./timerange";
 
+import { Alert } from "./alert";
 import { Align } from "./align";
+import { Anomaly } from "./anomaly";
 import { Collapse } from "./collapse";
+import { Derive } from "./derive";
+import { Downsample } from "./downsample";
 import { Fill } from "./fill";
 import { Rate } from "./rate";
 import { Reducer } from "./reduce";
+import { Rolling } from "./rolling";
 import { Select } from "./select";
+import { Smooth } from "./smooth";
+import { Transform } from "./transform";
 
+import util from "./util";
 import { WindowedCollection } from "./windowedcollection";
 
 import {
     AggregationSpec,
-    AggregationTuple,
+    AlertOptions,
     AlignmentOptions,
+    AnomalyOptions,
     CollapseOptions,
+    DeriveOptions,
+    DownsampleOptions,
     EventCallback,
     FillOptions,
     KeyedCollection,
     KeyedCollectionCallback,
     RateOptions,
     ReduceOptions,
+    RollingOptions,
     SelectOptions,
+    SmoothOptions,
+    TransformOptions,
     WindowingOptions
 } from "./types";
 
@@ -44,6 +58,11 @@ import {
  * `S` and `T` maybe the same if the input and output types are expected
  * to be the same. The result of `process`, of type `T`, is returned and
  * the passed onto other downstream Nodes, by calling their `set()` methods.
+ *
+ * When the input is finished, `flush()` or `end()` is called on the `Node`. Any
+ * output still held by the `Node` is returned by its `drain()` implementation and
+ * passed downstream, before the call propagates to the downstream Nodes themselves.
+ * Output Nodes are additionally notified of `end()`.
  */
 // tslint:disable-next-line:max-classes-per-file
 export abstract class Node<S extends Base, T extends Base> {
@@ -60,6 +79,20 @@ export abstract class Node<S extends Base, T extends Base> {
         }
     }
 
+    public flush(): void {
+        this.drain().forEach(output => this.notify(output));
+        this.observers.forEach(node => node.flush());
+    }
+
+    public end(): void {
+        this.drain().forEach(output => this.notify(output));
+        this.observers.forEach(node => node.end());
+    }
+
+    protected drain(): Immutable.List<T> {
+        return Immutable.List<T>();
+    }
+
     protected notify(output: T): void {
         if (this.observers.size > 0) {
             this.observers.forEach(node => {
@@ -118,13 +151,19 @@ export class KeyedCollectionInputNode<T extends Key> extends Node<
  */
 // tslint:disable-next-line:max-classes-per-file
 export class EventOutputNode<T extends Key> extends Node<Event<T>, Event<T>> {
-    constructor(private callback: EventCallback<T>) {
+    constructor(private callback: EventCallback<T>, private onEnd?: () => void) {
         super();
     }
     process(e: Event<T>) {
         this.callback(e);
         return Immutable.List<Event<T>>();
     }
+    public end() {
+        super.end();
+        if (this.onEnd) {
+            this.onEnd();
+        }
+    }
 }
 
 /**
@@ -136,7 +175,7 @@ export class KeyedCollectionOutputNode<T extends Key> extends Node<
     KeyedCollection<T>,
     KeyedCollection<T>
 > {
-    constructor(private callback: KeyedCollectionCallback<T>) {
+    constructor(private callback: KeyedCollectionCallback<T>, private onEnd?: () => void) {
         super();
     }
     process(keyedCollection: KeyedCollection<T>) {
@@ -144,6 +183,12 @@ export class KeyedCollectionOutputNode<T extends Key> extends Node<
         this.callback(collection, key);
         return Immutable.List<KeyedCollection<T>>();
     }
+    public end() {
+        super.end();
+        if (this.onEnd) {
+            this.onEnd();
+        }
+    }
 }
 
 /**
@@ -207,6 +252,10 @@ export class FillNode<T extends Key> extends Node<Event<T>, Event<T>> {
     process(e: Event<T>) {
         return this.processor.addEvent(e);
     }
+
+    protected drain() {
+        return this.processor.flush();
+    }
 }
 
 /**
@@ -224,6 +273,44 @@ export class AlignNode<T extends Key> extends Node<Event<T>, Event<T>> {
     process(e: Event<T>) {
         return this.processor.addEvent(e);
     }
+
+    protected drain() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class AlertNode<T extends Key> extends Node<Event<T>, Event<TimeRange>> {
+    private processor: Alert<T>;
+    constructor(options: AlertOptions) {
+        super();
+        this.processor = new Alert<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class DeriveNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Derive<T>;
+    constructor(options: DeriveOptions) {
+        super();
+        this.processor = new Derive<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
 }
 
 /**
@@ -277,6 +364,99 @@ export class RateNode<T extends Key> extends Node<Event<T>, Event<TimeRange>> {
     }
 }
 
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class SmoothNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Smooth<T>;
+    constructor(options: SmoothOptions) {
+        super();
+        this.processor = new Smooth<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    protected drain() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class AnomalyNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Anomaly<T>;
+    constructor(options: AnomalyOptions) {
+        super();
+        this.processor = new Anomaly<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class TransformNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Transform<T>;
+    constructor(options: TransformOptions) {
+        super();
+        this.processor = new Transform<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class DownsampleNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Downsample<T>;
+    constructor(options: DownsampleOptions) {
+        super();
+        this.processor = new Downsample<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+
+    protected drain() {
+        return this.processor.flush();
+    }
+}
+
+/**
+ * @private
+ *
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class RollingNode<T extends Key> extends Node<Event<T>, Event<T>> {
+    private processor: Rolling<T>;
+    constructor(options: RollingOptions<T>) {
+        super();
+        this.processor = new Rolling<T>(options);
+    }
+
+    process(e: Event<T>) {
+        return this.processor.addEvent(e);
+    }
+}
+
 /**
  * @private
  *
@@ -303,13 +483,19 @@ export class WindowOutputNode<T extends Key> extends Node<Event<T>, KeyedCollect
     private processor: WindowedCollection<T>;
     constructor(options: WindowingOptions) {
         super();
-        this.processor = new WindowedCollection<T>(options);
+        this.processor = options.groupBy
+            ? new WindowedCollection<T>(options, options.groupBy)
+            : new WindowedCollection<T>(options);
     }
 
     process(e: Event<T>): Immutable.List<KeyedCollection<T>> {
         const keyedCollections = this.processor.addEvent(e);
         return keyedCollections;
     }
+
+    protected drain(): Immutable.List<KeyedCollection<T>> {
+        return this.processor.flush();
+    }
 }
 
 /**
@@ -317,21 +503,28 @@ export class WindowOutputNode<T extends Key> extends Node<Event<T>, KeyedCollect
  *
  */
 // tslint:disable-next-line:max-classes-per-file
-export class AggregationNode<T extends Key> extends Node<KeyedCollection<T>, Event<Index>> {
-    constructor(private aggregationSpec: AggregationSpec<Key>) {
+export class AggregationNode<T extends Key, K extends Key = Index> extends Node<
+    KeyedCollection<T>,
+    Event<K>
+> {
+    constructor(
+        private aggregationSpec: AggregationSpec<Key>,
+        private windowing?: WindowingOptions
+    ) {
         super();
     }
 
-    process(keyedCollection: KeyedCollection<T>): Immutable.List<Event<Index>> {
-        const [group, collection] = keyedCollection;
-        const d = {};
-        const [groupKey, windowKey] =
-            group.split("::").length === 2 ? group.split("::") : [null, group];
-        _.forEach(this.aggregationSpec, (src: AggregationTuple, dest: string) => {
-            const [srcField, reducer] = src;
-            d[dest] = collection.aggregate(reducer, srcField);
-        });
-        const indexedEvent = new Event<Index>(index(windowKey), Immutable.fromJS(d));
-        return Immutable.List<Event<Index>>([indexedEvent]);
+    process(keyedCollection: KeyedCollection<T>): Immutable.List<Event<K>> {
+        const [collectionKey, collection, context = {}] = keyedCollection;
+        const eventKey = context.key || index(collectionKey);
+        let data = util.aggregateCollection(collection, this.aggregationSpec, context);
+        if (_.has(context, "group") && this.windowing && this.windowing.groupBy) {
+            // Tag the event with the group it was aggregated from
+            const { groupBy } = this.windowing;
+            const groupField = _.isFunction(groupBy) ? ["group"] : util.fieldAsArray(groupBy);
+            data = data.setIn(groupField, context.group);
+        }
+        const indexedEvent = new Event<K>(eventKey as K, data);
+        return Immutable.List<Event<K>>([indexedEvent]);
     }
 }
@@ -29,4 +29,13 @@ import { Key } from "./key";
  */
 export abstract class Processor<T extends Key, S extends Key> {
     abstract addEvent(event: Event<T>, options?: any): Immutable.List<Event<S>>;
+
+    /**
+     * Called when there are no more `Event`s to process, returning any `Event`s
+     * still held within the `Processor`'s state. Most processors hold nothing
+     * back, so by default this is an empty list.
+     */
+    public flush(): Immutable.List<Event<S>> {
+        return Immutable.List<Event<S>>();
+    }
 }
@@ -17,7 +17,7 @@ import { Processor } from "./processor";
 import { TimeRange, timerange } from "./timerange";
 import util from "./util";
 
-import { RateOptions } from "./types";
+import { CounterMode, RateOptions } from "./types";
 
 /**
  * A `Processor` to take the derivative of the incoming `Event`s
@@ -28,32 +28,51 @@ import { RateOptions } from "./types";
  * This is useful when a negative rate would be considered invalid like an
  * ever increasing counter.
  *
+ * Alternatively, if the field is a counter you can say how a decrease in it
+ * should be treated with a `CounterMode`: either the counter wrapped around
+ * after reaching `counterMax`, or it was reset to zero. With `CounterMode.Increase`
+ * the output is the increase of the counter over each interval, in a field
+ * suffixed with "_increase", rather than the per second rate.
+ *
  * To control the rate calculation you need to specify a `RateOptions` object
  * in the constuctor, which takes the following form:
  * ```
  * {
  *     fieldSpec: string | string[];
  *     allowNegative?: boolean;
+ *     counter?: CounterMode;
+ *     counterMax?: number;
  * }
  * ```
  * Options:
  *  * `fieldSpec` - the field to calculate the rate on
  *  * `allowNegative` - allow emit of negative rates
+ *  * `counter` - how to treat a decrease in a counter, `CounterMode.Gauge` by default
+ *  * `counterMax` - the value at which a wrapping counter wraps, 2^32 by default
  */
 export class Rate<T extends Key> extends Processor<T, TimeRange> {
     // Internal state
     private fieldSpec: string[];
     private allowNegative: boolean;
+    private counter: CounterMode;
+    private counterMax: number;
 
     private previous: Event<T>;
 
     constructor(options: RateOptions) {
         super();
-        const { fieldSpec, allowNegative = false } = options;
+        const {
+            fieldSpec,
+            allowNegative = false,
+            counter = CounterMode.Gauge,
+            counterMax = Math.pow(2, 32)
+        } = options;
 
         // Options
         this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
         this.allowNegative = allowNegative;
+        this.counter = counter;
+        this.counterMax = counterMax;
 
         // Previous event
         this.previous = null;
@@ -94,8 +113,10 @@ export class Rate<T extends Key> extends Processor<T, TimeRange> {
 
         this.fieldSpec.forEach(path => {
             const fieldPath = util.fieldAsArray(path);
-            const ratePath = fieldPath.slice();
-            ratePath[ratePath.length - 1] += "_rate";
+            const ratePath = util.suffixedPath(
+                fieldPath,
+                this.counter === CounterMode.Increase ? "_increase" : "_rate"
+            );
 
             const previousVal = this.previous.get(fieldPath);
             const currentVal = event.get(fieldPath);
@@ -103,8 +124,9 @@ export class Rate<T extends Key> extends Processor<T, TimeRange> {
             let rate = null;
 
             if (_.isNumber(currentVal) && _.isNumber(previousVal)) {
-                // Calculate the rate
-                rate = (currentVal - previousVal) / deltaTime;
+                // Calculate the rate, or the increase
+                const delta = this.delta(previousVal, currentVal);
+                rate = this.counter === CounterMode.Increase ? delta : delta / deltaTime;
             } else if (
                 (previousVal !== null && !_.isNumber(previousVal)) ||
                 (currentVal !== null && !_.isNumber(currentVal))
@@ -122,4 +144,23 @@ export class Rate<T extends Key> extends Processor<T, TimeRange> {
 
         return new Event(timerange(previousTime, currentTime), d);
     }
+
+    /**
+     * The change in value between two events, taking into account the
+     * counter wrapping or being reset if the value decreased.
+     */
+    private delta(previousVal: number, currentVal: number): number {
+        if (currentVal >= previousVal) {
+            return currentVal - previousVal;
+        }
+        switch (this.counter) {
+            case CounterMode.Wrap:
+                return this.counterMax - previousVal + currentVal;
+            case CounterMode.Reset:
+            case CounterMode.Increase:
+                return currentVal;
+            default:
+                return currentVal - previousVal;
+        }
+    }
 }
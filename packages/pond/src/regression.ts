@@ -0,0 +1,139 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as _ from "lodash";
+
+/**
+ * The least squares fit of a polynomial, as returned by `leastSquares()`
+ */
+export interface PolynomialFit {
+    // The coefficients, lowest order first
+    coefficients: number[];
+    // The coefficient of determination, or `null` if the values don't vary
+    r2: number;
+}
+
+/**
+ * Returns the least squares fit of a polynomial of the given `degree` to the
+ * points `xs`, `ys`, along with how well it fits. The `xs` are scaled to between
+ * 0 and 1 for the fit, to keep the normal equations well conditioned.
+ */
+export function leastSquares(xs: number[], ys: number[], degree: number): PolynomialFit {
+    if (!_.isInteger(degree) || degree < 1) {
+        throw new Error("The degree of the fit must be a positive whole number");
+    }
+    if (_.uniq(xs).length <= degree) {
+        throw new Error(`At least ${degree + 1} values are needed for a fit of degree ${degree}`);
+    }
+    const scale = _.max(xs.map(Math.abs)) || 1;
+    const coefficients = polynomialFit(
+        xs.map(x => x / scale),
+        ys,
+        degree
+    ).map((c, k) => c / Math.pow(scale, k));
+
+    const mean = _.mean(ys);
+    const total = _.sumBy(ys, y => (y - mean) * (y - mean));
+    const residual = _.sum(ys.map((y, i) => Math.pow(y - polynomialValue(coefficients, xs[i]), 2)));
+    return { coefficients, r2: total > 0 ? 1 - residual / total : null };
+}
+
+/**
+ * Returns the coefficients, lowest order first, of the polynomial of the given
+ * `degree` which best fits the points `xs`, `ys` in the least squares sense,
+ * by solving the normal equations with Gaussian elimination.
+ */
+export function polynomialFit(xs: number[], ys: number[], degree: number): number[] {
+    const n = degree + 1;
+    if (n < 1) {
+        return [];
+    }
+
+    // Normal equations as an augmented matrix
+    const m = _.range(n).map(row =>
+        _.range(n + 1).map(col =>
+            col < n
+                ? _.sumBy(xs, x => Math.pow(x, row + col))
+                : _.sum(xs.map((x, i) => ys[i] * Math.pow(x, row)))
+        )
+    );
+
+    for (let col = 0; col < n; col++) {
+        // Partial pivot
+        const pivot = _.maxBy(_.range(col, n), row => Math.abs(m[row][col]));
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let row = col + 1; row < n; row++) {
+            const f = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= f * m[col][k];
+            }
+        }
+    }
+
+    // Back substitution
+    const coefficients = new Array<number>(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let total = m[row][n];
+        for (let k = row + 1; k < n; k++) {
+            total -= m[row][k] * coefficients[k];
+        }
+        coefficients[row] = total / m[row][row];
+    }
+    return coefficients;
+}
+
+/**
+ * Evaluates the polynomial with the `coefficients`, lowest order first, at `x`
+ */
+export function polynomialValue(coefficients: number[], x: number): number {
+    return _.reduceRight(coefficients, (total, c) => total * x + c, 0);
+}
+
+/**
+ * Returns the real roots of the polynomial with the `coefficients`, lowest order
+ * first, in ascending order. Between consecutive turning points, i.e. the roots
+ * of the derivative, there's at most one root, which is found by bisection.
+ */
+export function polynomialRoots(coefficients: number[]): number[] {
+    const c = _.dropRightWhile(coefficients, v => v === 0);
+    const degree = c.length - 1;
+    if (degree < 1) {
+        return [];
+    }
+    if (degree === 1) {
+        return [-c[0] / c[1]];
+    }
+
+    // All of the roots are within this bound
+    const bound = 1 + _.max(c.slice(0, degree).map(v => Math.abs(v / c[degree])));
+    const derivative = c.slice(1).map((v, k) => v * (k + 1));
+    const turningPoints = polynomialRoots(derivative).filter(x => Math.abs(x) < bound);
+    const edges = [-bound, ...turningPoints, bound];
+
+    const p = (x: number) => polynomialValue(c, x);
+    const roots = [];
+    _.range(edges.length - 1).forEach(i => {
+        let [lo, hi] = [edges[i], edges[i + 1]];
+        if (p(lo) === 0) {
+            roots.push(lo);
+        } else if (Math.sign(p(lo)) !== Math.sign(p(hi))) {
+            _.range(100).forEach(() => {
+                const mid = (lo + hi) / 2;
+                if (Math.sign(p(mid)) === Math.sign(p(lo))) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+            });
+            roots.push((lo + hi) / 2);
+        }
+    });
+    return _.sortedUniq(roots);
+}
@@ -0,0 +1,102 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Collection } from "./collection";
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import { timerange } from "./timerange";
+import util from "./util";
+
+import { AggregationSpec, RollingOptions } from "./types";
+
+/**
+ * A `Processor` to aggregate a trailing window of the incoming `Event`s. For each
+ * `Event` an output `Event` is emitted, with the same key, containing the
+ * aggregation of the `Event`s within the window ending at that `Event`.
+ *
+ * To control the rolling aggregation you need to specify a `RollingOptions` object
+ * in the constuctor, which takes the following form:
+ * ```
+ * {
+ *     window: Duration | number;
+ *     aggregation: AggregationSpec;
+ * }
+ * ```
+ * Options:
+ *  * `window` - either a `Duration`, in which case the window holds the `Event`s
+ *               within that `Duration` of the latest `Event`, or a number, in which
+ *               case the window holds that many of the latest `Event`s
+ *  * `aggregation` - the `AggregationSpec` used to aggregate the window, e.g.
+ *                    `{ value_avg: ["value", avg()] }`
+ */
+export class Rolling<T extends Key> extends Processor<T, T> {
+    // Internal state
+    private window: Duration | number;
+    private aggregation: AggregationSpec<T>;
+
+    private events: Immutable.List<Event<T>>;
+    private evicted: Event<T>;
+
+    constructor(options: RollingOptions<T>) {
+        super();
+        const { window, aggregation } = options;
+        if (_.isNumber(window) && (!_.isInteger(window) || window < 1)) {
+            throw new Error("A rolling window count must be a positive integer");
+        }
+        if (!_.isNumber(window) && !(+window > 0)) {
+            throw new Error("A rolling window duration must be positive");
+        }
+
+        // Options
+        this.window = window;
+        this.aggregation = aggregation;
+
+        // Events within the window, and the last event to leave it
+        this.events = Immutable.List<Event<T>>();
+        this.evicted = null;
+    }
+
+    /**
+     * Add the `Event` to the window, drop those `Event`s which have fallen
+     * out of it and emit the aggregation of the window.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        const t = +event.timestamp();
+        this.events = this.events.push(event);
+        while (this.isExpired(this.events.first(), t)) {
+            this.evicted = this.events.first();
+            this.events = this.events.shift();
+        }
+
+        const begin = _.isNumber(this.window) ? +this.events.first().timestamp() : t - +this.window;
+        const context = { window: timerange(begin, t), previous: this.evicted };
+        const data = util.aggregateCollection(
+            new Collection<T>(this.events),
+            this.aggregation,
+            context
+        );
+        return Immutable.List([new Event<T>(event.getKey(), data)]);
+    }
+
+    /**
+     * Returns true if the `Event` has fallen out of a window ending at time `t`
+     */
+    private isExpired(event: Event<T>, t: number): boolean {
+        if (_.isNumber(this.window)) {
+            return this.events.size > this.window;
+        }
+        return +event.timestamp() <= t - +this.window;
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Duration } from "./duration";
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import { polynomialFit, polynomialValue } from "./regression";
+import util from "./util";
+
+import { SmoothingMethod, SmoothOptions } from "./types";
+
+/**
+ * A `Processor` to smooth the values of the given fields of the incoming
+ * `Event`s. Each `Event` is emitted with an additional field holding the
+ * smoothed value, named by adding a suffix ("_smoothed" by default) to the
+ * field name, so that the raw and smoothed values can be shown together.
+ *
+ * To control the smoothing you need to specify a `SmoothOptions` object
+ * in the constuctor, which takes the following form:
+ * ```
+ * {
+ *     fieldSpec: string | string[];
+ *     method?: SmoothingMethod;
+ *     halfLife?: Duration;
+ *     alpha?: number;
+ *     beta?: number;
+ *     windowSize?: number;
+ *     degree?: number;
+ *     suffix?: string;
+ * }
+ * ```
+ * Options:
+ *  * `fieldSpec` - the field or fields to smooth
+ *  * `method` - one of:
+ *      * `SmoothingMethod.EWMA` (the default) - an exponentially weighted moving
+ *        average, where the weight of a value halves every `halfLife`. Since
+ *        this is based on time, rather than the number of `Event`s, it works
+ *        with irregularly sampled data.
+ *      * `SmoothingMethod.DoubleExponential` - Holt's double exponential smoothing,
+ *        with `alpha` (default 0.5) the weight given to each new value for the
+ *        level and `beta` (default 0.5) the weight given to each new trend.
+ *      * `SmoothingMethod.SavitzkyGolay` - fits a polynomial of the given `degree`
+ *        (default 2) by least squares to each window of `windowSize` (default 5)
+ *        `Event`s, centered on the `Event` being smoothed, taking into account
+ *        the time of each `Event`. Since the window is centered, `Event`s are
+ *        emitted once the `Event`s after them have arrived, and the final ones
+ *        when the processor is flushed.
+ *  * `suffix` - the suffix used to name the smoothed fields
+ *
+ * Missing values are not smoothed, resulting in a `null` smoothed value,
+ * and do not contribute to the smoothing of other values.
+ */
+export class Smooth<T extends Key> extends Processor<T, T> {
+    // Options
+    private fieldSpec: string[];
+    private method: SmoothingMethod;
+    private halfLife: Duration;
+    private alpha: number;
+    private beta: number;
+    private windowSize: number;
+    private degree: number;
+    private suffix: string;
+
+    // Internal state
+    private state: { [path: string]: { t: number; level: number; trend: number } };
+    private buffer: Immutable.List<Event<T>>;
+    private pending: number;
+
+    constructor(options: SmoothOptions) {
+        super();
+        const {
+            fieldSpec,
+            method = SmoothingMethod.EWMA,
+            halfLife,
+            alpha = 0.5,
+            beta = 0.5,
+            windowSize = 5,
+            degree = 2,
+            suffix = "_smoothed"
+        } = options;
+
+        if (method === SmoothingMethod.EWMA && !halfLife) {
+            throw new Error("A halfLife must be supplied for EWMA smoothing");
+        }
+        if (method === SmoothingMethod.SavitzkyGolay) {
+            if (!_.isInteger(windowSize) || windowSize < 3 || windowSize % 2 === 0) {
+                throw new Error("The windowSize must be an odd number of at least 3");
+            }
+            if (!_.isInteger(degree) || degree < 0 || degree >= windowSize) {
+                throw new Error("The degree must be less than the windowSize");
+            }
+        }
+
+        // Options
+        this.fieldSpec = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+        this.method = method;
+        this.halfLife = halfLife;
+        this.alpha = alpha;
+        this.beta = beta;
+        this.windowSize = windowSize;
+        this.degree = degree;
+        this.suffix = suffix;
+
+        this.state = {};
+        this.buffer = Immutable.List<Event<T>>();
+        this.pending = 0;
+    }
+
+    /**
+     * Smooth the `Event`, emitting it with its smoothed fields. Savitzky-Golay
+     * smoothing instead emits those `Event`s which now have a full window.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        if (this.method !== SmoothingMethod.SavitzkyGolay) {
+            return Immutable.List([this.smoothEvent(event)]);
+        }
+
+        this.buffer = this.buffer.push(event);
+        if (this.buffer.size > this.windowSize) {
+            this.buffer = this.buffer.shift();
+        }
+        this.pending++;
+        if (this.buffer.size < this.windowSize) {
+            return Immutable.List<Event<T>>();
+        }
+
+        // Emit pending events up to the middle of the window
+        const middle = (this.windowSize - 1) / 2;
+        const from = this.buffer.size - this.pending;
+        this.pending = this.buffer.size - middle - 1;
+        return this.fitWindow(_.range(from, middle + 1));
+    }
+
+    /**
+     * Emits the `Event`s still waiting on a full Savitzky-Golay window, smoothed
+     * using the last window, and resets the smoothing.
+     */
+    public flush(): Immutable.List<Event<T>> {
+        const from = this.buffer.size - this.pending;
+        const eventList = this.fitWindow(_.range(from, this.buffer.size));
+
+        // Reset
+        this.state = {};
+        this.buffer = Immutable.List<Event<T>>();
+        this.pending = 0;
+
+        return eventList;
+    }
+
+    /**
+     * Updates the EWMA or double exponential state of each field with the
+     * `Event`, and returns the `Event` with its smoothed fields.
+     */
+    private smoothEvent(event: Event<T>): Event<T> {
+        let d = event.getData();
+        const t = +event.timestamp();
+        this.fieldSpec.forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const pathKey = fieldPath.join(":");
+            const value = event.get(fieldPath);
+            if (!util.isValid(value)) {
+                d = d.setIn(util.suffixedPath(fieldPath, this.suffix), null);
+                return;
+            }
+
+            const previous = this.state[pathKey];
+            let level = value;
+            let trend = 0;
+            if (previous && this.method === SmoothingMethod.EWMA) {
+                const elapsed = Math.max(t - previous.t, 0);
+                const weight = 1 - Math.pow(0.5, elapsed / +this.halfLife);
+                level = previous.level + weight * (value - previous.level);
+            } else if (previous) {
+                const forecast = previous.level + previous.trend;
+                level = this.alpha * value + (1 - this.alpha) * forecast;
+                trend = this.beta * (level - previous.level) + (1 - this.beta) * previous.trend;
+            }
+            this.state[pathKey] = { t, level, trend };
+            d = d.setIn(util.suffixedPath(fieldPath, this.suffix), level);
+        });
+        return event.setData(d);
+    }
+
+    /**
+     * Fits a polynomial to each field over the buffered window, returning the
+     * buffered `Event`s at the `positions` with their smoothed fields.
+     */
+    private fitWindow(positions: number[]): Immutable.List<Event<T>> {
+        if (!positions.length) {
+            return Immutable.List<Event<T>>();
+        }
+
+        // Times are scaled to the span of the window, centered on its middle
+        const begin = +this.buffer.first().timestamp();
+        const end = +this.buffer.last().timestamp();
+        const center = (begin + end) / 2;
+        const scale = end > begin ? (end - begin) / 2 : 1;
+        const xOf = (e: Event<T>) => (+e.timestamp() - center) / scale;
+
+        let smoothed = Immutable.List(positions.map(i => this.buffer.get(i)));
+        this.fieldSpec.forEach(path => {
+            const fieldPath = util.fieldAsArray(path);
+            const valid = this.buffer.filter(e => util.isValid(e.get(fieldPath)));
+            const coefficients = polynomialFit(
+                valid.map(xOf).toArray(),
+                valid.map(e => e.get(fieldPath) as number).toArray(),
+                Math.min(this.degree, valid.size - 1)
+            );
+            smoothed = smoothed.map(e => {
+                const value = util.isValid(e.get(fieldPath))
+                    ? polynomialValue(coefficients, xOf(e))
+                    : null;
+                return e.setData(
+                    e.getData().setIn(util.suffixedPath(fieldPath, this.suffix), value)
+                );
+            });
+        });
+        return smoothed;
+    }
+}
@@ -12,17 +12,34 @@ import * as Immutable from "immutable";
 import * as _ from "lodash";
 
 import { Align } from "./align";
+import { Anomaly } from "./anomaly";
 import { Collection } from "./collection";
+import { decomposeEvents } from "./decompose";
+import { downsampleEvents } from "./downsample";
 import { Event } from "./event";
 import { Fill } from "./fill";
 import { grouped, GroupedCollection, GroupingFunction } from "./groupedcollection";
 import { Key } from "./key";
 import { Rate } from "./rate";
+import { Rolling } from "./rolling";
+import { Smooth } from "./smooth";
 import { TimeRange } from "./timerange";
+import { transformEvents } from "./transform";
 import { DedupFunction } from "./types";
 import { windowed, WindowedCollection } from "./windowedcollection";
 
-import { AlignmentOptions, FillOptions, RateOptions, WindowingOptions } from "./types";
+import {
+    AlignmentOptions,
+    AnomalyOptions,
+    DecomposeOptions,
+    DownsampleOptions,
+    FillOptions,
+    RateOptions,
+    RollingOptions,
+    SmoothOptions,
+    TransformOptions,
+    WindowingOptions
+} from "./types";
 
 /**
  * In general, a `Collection` is a bucket of `Event`'s, with no particular order. This,
@@ -252,17 +269,165 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      * {
      *     fieldSpec: string | string[];
      *     allowNegative?: boolean;
+     *     counter?: CounterMode;
+     *     counterMax?: number;
      * }
      * ```
      * Options:
      *  * `fieldSpec` - the field to calculate the rate on
      *  * `allowNegative` - allow emit of negative rates
+     *  * `counter` - how to treat a decrease in a counter: as a wrap around at
+     *    `counterMax` (2^32 by default), as a reset, or as a reset while emitting
+     *    the increase over each interval rather than the rate
      */
     public rate(options: RateOptions): SortedCollection<TimeRange> {
         const p = new Rate<T>(options);
         return this.flatMap<TimeRange>(e => p.addEvent(e));
     }
 
+    /**
+     * Aggregates a trailing window of `Event`s for each `Event` in this `Collection`,
+     * such as to take a moving average. Each resulting `Event` has the same key as
+     * the `Event` its window ends with and contains the fields of the `aggregation`.
+     *
+     * The window is either a `Duration`, holding the `Event`s within that
+     * `Duration` of the latest one, or a number of `Event`s.
+     *
+     * Example:
+     * ```
+     * const smoothed = collection.rolling({
+     *     window: duration("5m"),
+     *     aggregation: {
+     *         value_avg: ["value", avg()],
+     *         value_stdev: ["value", stdev()]
+     *     }
+     * });
+     * ```
+     */
+    public rolling(options: RollingOptions<T>): SortedCollection<T> {
+        const p = new Rolling<T>(options);
+        return this.flatMap<T>(e => p.addEvent(e));
+    }
+
+    /**
+     * Smooths the values of the `fieldSpec` fields, adding a new field for each
+     * with the smoothed value, named with a suffix ("_smoothed" by default).
+     *
+     * The smoothing is controlled by the `SmoothOptions`. This is an object of the form:
+     * ```
+     * {
+     *     fieldSpec: string | string[];
+     *     method?: SmoothingMethod;
+     *     halfLife?: Duration;
+     *     alpha?: number;
+     *     beta?: number;
+     *     windowSize?: number;
+     *     degree?: number;
+     *     suffix?: string;
+     * }
+     * ```
+     * Options:
+     *  * `fieldSpec` - the field or fields to smooth
+     *  * `method` - either an exponentially weighted moving average (`EWMA`), which
+     *    is the default, double exponential smoothing (`DoubleExponential`) or
+     *    Savitzky-Golay smoothing (`SavitzkyGolay`)
+     *  * `halfLife` - the `Duration` over which the weight of a value halves in an EWMA
+     *  * `alpha`, `beta` - the level and trend weights of double exponential smoothing
+     *  * `windowSize`, `degree` - the number of `Event`s and the degree of the polynomial
+     *    fitted to them in Savitzky-Golay smoothing
+     *  * `suffix` - the suffix used to name the smoothed fields
+     */
+    public smooth(options: SmoothOptions): SortedCollection<T> {
+        const p = new Smooth<T>(options);
+        const smoothed = this.flatMap<T>(e => p.addEvent(e));
+        return new SortedCollection<T>(smoothed.eventList().concat(p.flush()));
+    }
+
+    /**
+     * Scores each value of the `fieldSpec` field for how anomalous it is, given
+     * the values before it, adding the score as a field with the suffix
+     * "_anomaly_score", and whether it's an anomaly as a field with the suffix
+     * "_anomaly". The `method` is an `AnomalyMethod`: a rolling z-score (the
+     * default), a rolling median absolute deviation score, or a z-score of the
+     * difference from a seasonal baseline.
+     *
+     * Example:
+     * ```
+     * const scored = collection.detectAnomalies({
+     *     fieldSpec: "in",
+     *     method: AnomalyMethod.MAD,
+     *     window: 60,
+     *     threshold: 3.5
+     * });
+     * ```
+     */
+    public detectAnomalies(options: AnomalyOptions): SortedCollection<T> {
+        const p = new Anomaly<T>(options);
+        return this.flatMap<T>(e => p.addEvent(e));
+    }
+
+    /**
+     * Decomposes the values of the `fieldSpec` fields ("value" by default) into
+     * trend, seasonal and residual components, STL style, adding a new field for
+     * each, named with the suffixes "_trend", "_seasonal" and "_residual". Each
+     * season starts at a time of the `period`, so that with hourly values and a
+     * daily `period`, the seasonal component is the daily cycle.
+     *
+     * Example:
+     * ```
+     * const components = collection.decompose({ period: period(duration("1d")) });
+     * components.at(0).get("value_seasonal");
+     * ```
+     */
+    public decompose(options: DecomposeOptions): SortedCollection<T> {
+        return new SortedCollection<T>(decomposeEvents(this._events, options));
+    }
+
+    /**
+     * Transforms the values of the `fieldSpec` fields ("value" by default) `Event`
+     * by `Event`, adding a new field for each with the transformed value. The
+     * `method` is a `TransformMethod`, one of:
+     *  * `CumulativeSum`, `CumulativeMin`, `CumulativeMax` - running totals and extremes
+     *  * `Difference`, `PercentChange` - the change from the previous value
+     *  * `NormalizeToFirst` - the value relative to the first value
+     *  * `ZScore`, `MinMax` - the value standardized or scaled to 0..1 using the
+     *    mean and standard deviation, or the range, of the whole `Collection`
+     *
+     * The new fields are named with a `suffix` which defaults to one for the
+     * `method`, e.g. "_cumsum".
+     *
+     * Example:
+     * ```
+     * const totals = collection.transform({
+     *     fieldSpec: "in.bytes",
+     *     method: TransformMethod.CumulativeSum
+     * });
+     * totals.at(2).get("in.bytes_cumsum");
+     * ```
+     */
+    public transform(options: TransformOptions): SortedCollection<T> {
+        return new SortedCollection<T>(transformEvents(this._events, options));
+    }
+
+    /**
+     * Downsamples the `Collection` to the `targetPoints` number of `Event`s, choosing
+     * `Event`s that keep the visual shape of the `fieldSpec` field when charted,
+     * rather than averaging away its peaks. The `method` is one of:
+     *  * "lttb" - Largest-Triangle-Three-Buckets (the default)
+     *  * "minmax" - the minimum and maximum `Event`s of buckets of equal time
+     *  * "m4" - the first, last, minimum and maximum `Event`s of buckets of equal time
+     *
+     * The result contains the original `Event`s that were kept.
+     *
+     * Example:
+     * ```
+     * const forChart = collection.downsample({ fieldSpec: "in", targetPoints: 800 });
+     * ```
+     */
+    public downsample(options: DownsampleOptions): SortedCollection<T> {
+        return new SortedCollection<T>(downsampleEvents(this._events, options));
+    }
+
     /**
      * Fills missing/invalid values in the `Event` with new values.
      *
@@ -328,8 +493,13 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      * }
      * ```
      * Options:
-     *  * `window` - a `WindowBase` subclass, currently `Window` or `DayWindow`
+     *  * `window` - a `WindowBase` subclass, such as a `Window`, a calendar window
+     *              like `DayWindow` or `MonthWindow`, a `SessionWindow`, which
+     *              groups `Event`s into sessions separated by a gap in activity,
+     *              or a `CountWindow` of a number of `Event`s
      *  * `trigger` - not needed in this context
+     *  * `groupBy` - optionally a field spec or function to group the `Event`s by
+     *               before windowing them, the same as calling `groupBy()` first
      *
      * Example:
      *
@@ -348,6 +518,9 @@ export class SortedCollection<T extends Key> extends Collection<T> {
      * ```
      */
     public window(options: WindowingOptions): WindowedCollection<T> {
+        if (options.groupBy) {
+            return this.groupBy(options.groupBy).window(options);
+        }
         return windowed(options, Immutable.Map({ all: this }));
     }
 
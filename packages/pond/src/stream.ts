@@ -19,8 +19,12 @@ import { Time } from "./time";
 
 import {
     AggregationNode,
+    AlertNode,
     AlignNode,
+    AnomalyNode,
     CollapseNode,
+    DeriveNode,
+    DownsampleNode,
     EventInputNode,
     EventOutputNode,
     FillNode,
@@ -31,22 +35,32 @@ import {
     Node,
     RateNode,
     ReduceNode,
+    RollingNode,
     SelectNode,
+    SmoothNode,
+    TransformNode,
     WindowOutputNode
 } from "./node";
 
 import {
     AggregationSpec,
+    AlertOptions,
     AlignmentOptions,
+    AnomalyOptions,
     CoalesceOptions,
     CollapseOptions,
+    DeriveOptions,
+    DownsampleOptions,
     EventCallback,
     FillOptions,
     KeyedCollection,
     KeyedCollectionCallback,
     RateOptions,
     ReduceOptions,
+    RollingOptions,
     SelectOptions,
+    SmoothOptions,
+    TransformOptions,
     WindowingOptions
 } from "./types";
 
@@ -98,6 +112,20 @@ export class StreamInterface<IN extends Key, S extends Key> {
         this.stream.addEvent(e);
     }
 
+    /**
+     * Flush any output still held within the stream, such as open windows
+     */
+    public flush() {
+        this.stream.flush();
+    }
+
+    /**
+     * Signal that there are no more `Event`s to add to the stream
+     */
+    public end() {
+        this.stream.end();
+    }
+
     /**
      * @protected
      */
@@ -159,9 +187,12 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      *
      * Both IN and OUT extend Key, which is Time, TimeRange or Index, typically.
      */
-    addEventToCollectorNode<OUT extends Key>(node: EventToKeyedCollection<IN, OUT>) {
+    addEventToCollectorNode<OUT extends Key>(
+        node: EventToKeyedCollection<IN, OUT>,
+        windowing?: WindowingOptions
+    ) {
         this.addNode(node);
-        return new KeyedCollectionStream<OUT, S>(this.getStream(), node);
+        return new KeyedCollectionStream<OUT, S>(this.getStream(), node, windowing);
     }
 
     //
@@ -189,6 +220,129 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
         return this.addEventToEventNode(new ReduceNode<IN>(options));
     }
 
+    /**
+     * Aggregates a trailing window of the Event<IN>s in the stream, emitting an
+     * Event<IN> for each one, with the same key, containing the fields of the
+     * `aggregation`. The `window` is either a `Duration` or a number of `Event`s.
+     *
+     * Example:
+     * ```
+     * const s = stream()
+     *     .rolling({
+     *         window: duration("5m"),
+     *         aggregation: { value_avg: ["value", avg()] }
+     *     })
+     *     .output(e => ...)
+     * ```
+     */
+    rolling(options: RollingOptions<IN>) {
+        return this.addEventToEventNode(new RollingNode<IN>(options));
+    }
+
+    /**
+     * Smooths the `fieldSpec` fields of the Event<IN>s in the stream, adding a
+     * field with the smoothed value for each. Options are a `SmoothOptions` object,
+     * where the `method` can be an exponentially weighted moving average with a
+     * `halfLife`, double exponential smoothing, or Savitzky-Golay smoothing. The
+     * latter fits a window centered on each `Event`, so `Event`s are emitted once
+     * the rest of their window has arrived, and the last of them on `flush()`.
+     *
+     * Example:
+     * ```
+     * const s = stream()
+     *     .smooth({ fieldSpec: "value", halfLife: duration("1m") })
+     *     .output(e => ...)
+     * ```
+     */
+    smooth(options: SmoothOptions) {
+        return this.addEventToEventNode(new SmoothNode<IN>(options));
+    }
+
+    /**
+     * Scores the `fieldSpec` field of each Event<IN> in the stream for how anomalous
+     * it is, adding the score and an anomaly flag as fields. Options are an
+     * `AnomalyOptions` object, where the `method` is a rolling z-score, a rolling
+     * median absolute deviation score, or a z-score against a seasonal baseline.
+     * Only the last `window` values, and the last `seasons` seasons of values for
+     * the seasonal method, are kept.
+     *
+     * Example:
+     * ```
+     * const s = stream()
+     *     .detectAnomalies({ fieldSpec: "latency", method: AnomalyMethod.MAD })
+     *     .filter(e => e.get("latency_anomaly"))
+     *     .output(e => ...)
+     * ```
+     */
+    detectAnomalies(options: AnomalyOptions) {
+        return this.addEventToEventNode(new AnomalyNode<IN>(options));
+    }
+
+    /**
+     * Transforms the `fieldSpec` fields of the Event<IN>s in the stream one by one,
+     * adding a field with the transformed value for each. Options are a
+     * `TransformOptions` object, where the `method` is a `TransformMethod` such as
+     * a cumulative sum, the difference or percent change from the previous value,
+     * or a normalization. Since a stream has no end, `ZScore` and `MinMax`
+     * normalize using the values seen so far.
+     *
+     * Example:
+     * ```
+     * const s = stream()
+     *     .transform({ fieldSpec: "errors", method: TransformMethod.CumulativeSum })
+     *     .output(e => ...)
+     * ```
+     */
+    transform(options: TransformOptions) {
+        return this.addEventToEventNode(new TransformNode<IN>(options));
+    }
+
+    /**
+     * Downsamples the Event<IN>s in the stream for live charts, keeping those that
+     * preserve the visual shape of the `fieldSpec` field. Since the length of a stream
+     * isn't known, `Event`s are divided into buckets of the `bucket` `Duration`,
+     * rather than into a number of `targetPoints`. The kept `Event`s of each bucket
+     * are emitted once the bucket is complete, which for "lttb" is when the bucket
+     * after it is complete, and the last of them when the stream is flushed.
+     *
+     * Example:
+     * ```
+     * const s = stream()
+     *     .downsample({ method: "m4", bucket: duration("1m") })
+     *     .output(e => chart.push(e))
+     * ```
+     */
+    downsample(options: DownsampleOptions) {
+        return this.addEventToEventNode(new DownsampleNode<IN>(options));
+    }
+
+    /**
+     * Watches a field of the Event<IN>s in the stream for an alert condition,
+     * emitting an `Event` each time the alert changes state, from "ok" to "pending"
+     * to "firing" to "resolved". Options are an `AlertOptions` object, where the
+     * condition is the value being `above` or `below` a threshold (with optional
+     * `hysteresis`), for at least the `for` `Duration`, or there being no valid
+     * value for the `absence` `Duration`. Each alert `Event` has a `TimeRange`
+     * key spanning the incident so far, and the new `state`, `previous` state,
+     * `reason`, `value` and `threshold` as its data.
+     *
+     * Example:
+     * ```
+     * const s = stream()
+     *     .alert({
+     *         name: "high load",
+     *         fieldSpec: "load",
+     *         above: 0.9,
+     *         hysteresis: 0.1,
+     *         for: duration("5m")
+     *     })
+     *     .output(e => notify(e.get("name"), e.get("state")))
+     * ```
+     */
+    alert(options: AlertOptions) {
+        return this.addEventToEventNode(new AlertNode<IN>(options));
+    }
+
     /**
      * Filter out `Event<IN>`s in the stream. Provide a predicate function that
      * given an Event returns true or false.
@@ -313,7 +467,9 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * to include negative rates with `allowNegative`. (the default
      * is to ignore negative rates). This is a useful option if you expect
      * the incoming values to always increase while a decrease is considered
-     * a bad condition (e.g. network counters or click counts).
+     * a bad condition (e.g. network counters or click counts). For counters,
+     * you can instead set the `counter` option to a `CounterMode` to have counters
+     * that wrap around or are reset handled correctly.
      *
      * Example:
      *
@@ -345,6 +501,22 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
         return this.addEventToEventNode(new SelectNode<IN>(options));
     }
 
+    /**
+     * Adds columns to the incoming `Event`s by evaluating expressions
+     * against each of them. Each of the `expressions` assigns an `Expression`
+     * to a column.
+     *
+     * Example:
+     *
+     * ```
+     * const s = stream()
+     *      .derive({ expressions: "in_bps = in_octets * 8" })
+     * ```
+     */
+    derive(options: DeriveOptions) {
+        return this.addEventToEventNode(new DeriveNode<IN>(options));
+    }
+
     /**
      * Convert incoming `Event`s to new `Event`s with specified
      * fields collapsed into a new field using an aggregation function.
@@ -376,6 +548,9 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * type will be Event<Key> as the event is generically passed through the stream, but
      * you can cast the type (if you are using Typescript).
      *
+     * Optionally you can supply an `onEnd` callback, which is called once the
+     * stream is ended with `end()`, after any remaining `Event`s have been output.
+     *
      * Example:
      * ```
      * const source = stream<Time>()
@@ -387,8 +562,10 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      *     });
      * ```
      */
-    output(callback: EventCallback<IN>) {
-        return this.addEventToEventNode<IN>(new EventOutputNode<IN>(callback) as EventMap<IN, IN>);
+    output(callback: EventCallback<IN>, onEnd?: () => void) {
+        return this.addEventToEventNode<IN>(
+            new EventOutputNode<IN>(callback, onEnd) as EventMap<IN, IN>
+        );
     }
 
     /**
@@ -401,6 +578,19 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      * as the `window`, and a `Trigger` enum value (emit a completed window on each
      * incoming `Event` or on each completed window).
      *
+     * You can also supply a `groupBy`, as a field spec or a function of the `Event`,
+     * in which case each group is windowed separately and the keys passed down the
+     * stream are of the form "group::window". Aggregating these will tag each
+     * resulting `Event` with the value of its group, in the `groupBy` field, or in a
+     * "group" field if grouping by a function.
+     *
+     * By default a window is completed as soon as an `Event` arrives beyond its end,
+     * so any `Event`s arriving out of order after that are late. To tolerate this
+     * you can specify a `watermark`, the `Duration` by which windows are held open
+     * past their end, and an `allowedLateness`, for which completed windows are kept
+     * and emitted again if late `Event`s arrive. `Event`s later than that are passed
+     * to the `onLateEvent` callback.
+     *
      * The return type of this operation will no longer be an `EventStream` but rather
      * a `KeyedCollectionStream` as each entity passed down the stream is no longer an
      * `Event` but rather a tuple mapping a key (the window name) to a `Collection`
@@ -423,7 +613,7 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
      *     });
      */
     groupByWindow(options: WindowingOptions) {
-        return this.addEventToCollectorNode(new WindowOutputNode<IN>(options));
+        return this.addEventToCollectorNode(new WindowOutputNode<IN>(options), options);
     }
 }
 
@@ -439,8 +629,11 @@ export class EventStream<IN extends Key, S extends Key> extends StreamInterface<
 // tslint:disable-next-line:max-classes-per-file
 export class KeyedCollectionStream<IN extends Key, S extends Key> extends StreamInterface<IN, S> {
     // tslint:disable-line:max-classes-per-file
-    constructor(stream: Stream<S>, tail: Node<Base, Base>) {
+    protected windowing: WindowingOptions;
+
+    constructor(stream: Stream<S>, tail: Node<Base, Base>, windowing?: WindowingOptions) {
         super(stream, tail);
+        this.windowing = windowing;
     }
 
     /**
@@ -452,7 +645,7 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      */
     addKeyedCollectionToKeyedCollectionNode<OUT extends Key>(node: KeyedCollectionMap<IN, OUT>) {
         this.addNode(node);
-        return new KeyedCollectionStream<OUT, S>(this.getStream(), node);
+        return new KeyedCollectionStream<OUT, S>(this.getStream(), node, this.windowing);
     }
 
     /**
@@ -474,6 +667,9 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      * Using this method you are able to access the stream result. Your callback
      * function will be called whenever a new `Collection` is available.
      *
+     * Optionally you can supply an `onEnd` callback, which is called once the
+     * stream is ended with `end()`, after any remaining windows have been output.
+     *
      * Example:
      * ```
      * const source = stream<Time>()
@@ -483,9 +679,9 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      *     });
      * ```
      */
-    output(callback: KeyedCollectionCallback<IN>) {
+    output(callback: KeyedCollectionCallback<IN>, onEnd?: () => void) {
         return this.addKeyedCollectionToKeyedCollectionNode<IN>(
-            new KeyedCollectionOutputNode<IN>(callback) as KeyedCollectionMap<IN, IN>
+            new KeyedCollectionOutputNode<IN>(callback, onEnd) as KeyedCollectionMap<IN, IN>
         );
     }
 
@@ -494,7 +690,9 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      * (containing all `Event`s in the window) and reduces that down
      * to an output `Event<Index>` using an aggregation specification. As
      * indicated, the output is an `IndexedEvent`, since the `Index` describes
-     * the the window the aggregation was made from.
+     * the the window the aggregation was made from. Session and count windows
+     * are instead described by the `TimeRange` their `Event`s span, in which
+     * case you can supply `TimeRange` as the type parameter `OUT`.
      *
      * The `AggregationSpec` which describes the reduction, is a mapping of the
      * the desired output field to the combination of input field and aggregation function.
@@ -521,8 +719,10 @@ export class KeyedCollectionStream<IN extends Key, S extends Key> extends Stream
      *     });
      * ```
      */
-    aggregate(spec: AggregationSpec<IN>) {
-        return this.addKeyedCollectionToEventNode<Index>(new AggregationNode<IN>(spec));
+    aggregate<OUT extends Key = Index>(spec: AggregationSpec<IN>) {
+        return this.addKeyedCollectionToEventNode<OUT>(
+            new AggregationNode<IN, OUT>(spec, this.windowing)
+        );
     }
 }
 
@@ -740,6 +940,27 @@ export class Stream<U extends Key = Time> {
             this.root.set(e);
         }
     }
+
+    /**
+     * Flush the stream, causing any output still held by its processing nodes,
+     * such as windows which have not yet been discarded, to be emitted. The
+     * stream can continue to be used afterwards.
+     */
+    public flush() {
+        if (this.root) {
+            this.root.flush();
+        }
+    }
+
+    /**
+     * End the stream, flushing any held output and then calling the `onEnd`
+     * callbacks of each `output()`.
+     */
+    public end() {
+        if (this.root) {
+            this.root.end();
+        }
+    }
 }
 
 /*
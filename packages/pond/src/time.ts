@@ -99,6 +99,13 @@ export class Time extends Key {
         return this.timestamp();
     }
 
+    /**
+     * Returns a new `Time` moved later by the `Duration` `d`
+     */
+    shift(d: Duration): Time {
+        return new Time(+this._d + +d);
+    }
+
     /**
      * Takes this Time and returns a TimeRange of given duration
      * which is either centrally located around the Time, or aligned
@@ -13,6 +13,7 @@ import * as _ from "lodash";
 import moment from "moment";
 import Moment = moment.Moment;
 
+import { Duration } from "./duration";
 import { Key } from "./key";
 import { Time, time } from "./time";
 import { TimeAlignment } from "./types";
@@ -216,6 +217,14 @@ export class TimeRange extends Key {
         return new TimeRange(this._range.set(1, t));
     }
 
+    /**
+     * Moves the `TimeRange` later by the `Duration` `d`, keeping its length.
+     * The result will be a new `TimeRange`.
+     */
+    shift(d: Duration): TimeRange {
+        return new TimeRange(+this.begin() + +d, +this.end() + +d);
+    }
+
     /**
      * Returns if the two `TimeRange`'s can be considered equal,
      * in that they have the same times.
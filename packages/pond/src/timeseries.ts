@@ -11,18 +11,23 @@
 import * as Immutable from "immutable";
 import * as _ from "lodash";
 
+import { Align } from "./align";
 import { Base } from "./base";
 import { Collection } from "./collection";
-import { duration } from "./duration";
+import { Correlation, correlationOf, crossCorrelation } from "./correlation";
+import { Duration, duration } from "./duration";
 import { event, Event, indexedEvent, timeEvent, timeRangeEvent } from "./event";
+import { holtWinters } from "./forecast";
 import { Index, index } from "./index";
 import { Key } from "./key";
 import { period, Period } from "./period";
+import { leastSquares, polynomialRoots, polynomialValue } from "./regression";
 import { Select } from "./select";
 import { SortedCollection } from "./sortedcollection";
 import { time, Time } from "./time";
 import { TimeRange, timerange } from "./timerange";
-import { daily, window } from "./window";
+import util from "./util";
+import { daily, monthly, weekly, window, yearly } from "./window";
 
 import {
     avg,
@@ -40,16 +45,32 @@ import {
 import {
     AlignmentMethod,
     AlignmentOptions,
+    AnomalyOptions,
+    ArithmeticAlignment,
+    ArithmeticOptions,
     CollapseOptions,
+    CompareOptions,
+    CorrelationMatrixOptions,
+    CorrelationOptions,
+    DecomposeOptions,
     DedupFunction,
+    DeriveOptions,
+    DownsampleOptions,
     FillMethod,
     FillOptions,
+    FitOptions,
+    ForecastOptions,
+    JoinOptions,
+    JoinType,
     RateOptions,
     ReducerFunction,
     RenameColumnOptions,
+    RollingOptions,
     RollupOptions,
     SelectOptions,
+    SmoothOptions,
     TimeSeriesOptions,
+    TransformOptions,
     Trigger,
     ValueMap
 } from "./types";
@@ -77,6 +98,146 @@ function buildMetaData(meta) {
     return Immutable.Map(d);
 }
 
+/**
+ * Combines the `fieldSpec` columns of the `series` with the `operand`, a `TimeSeries`
+ * or a number, using the function `op`, as used by `TimeSeries.add()` etc.
+ */
+function combine<T extends Key>(
+    series: TimeSeries<T>,
+    operand: TimeSeries<Key> | number,
+    op: (a: number, b: number) => number,
+    options: ArithmeticOptions
+): TimeSeries<T> {
+    const {
+        fieldSpec = "value",
+        alignment = ArithmeticAlignment.Exact,
+        period: alignmentPeriod,
+        method = AlignmentMethod.Linear,
+        limit,
+        tolerance
+    } = options;
+    const fields = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+    const fieldPaths = fields.map(util.fieldAsArray);
+    const apply = (a, b) => (util.isMissing(a) || util.isMissing(b) ? null : op(a, b));
+
+    if (_.isNumber(operand)) {
+        return series.map(e => {
+            let d = e.getData();
+            fieldPaths.forEach(fieldPath => {
+                d = d.setIn(fieldPath, apply(e.get(fieldPath), operand));
+            });
+            return e.setData(d);
+        });
+    }
+
+    let left: TimeSeries<T> = series;
+    let right: TimeSeries<Key> = operand;
+    if (alignment === ArithmeticAlignment.Period) {
+        if (!alignmentPeriod) {
+            throw new Error("A period must be supplied to align the TimeSeries to");
+        }
+        const alignmentOptions = { fieldSpec: fields, period: alignmentPeriod, method, limit };
+        left = series.align(alignmentOptions);
+        right = operand.align(alignmentOptions);
+    }
+
+    // The Event of the operand matched to each Event, either with the same key,
+    // or the latest at or before it, which relies on the Events being in order
+    const others = right.eventList();
+    const byKey = Immutable.Map<string, Event<Key>>(
+        others.map(e => [e.getKey().toString(), e] as [string, Event<Key>])
+    );
+    let position = 0;
+    const matchOf = (e: Event<T>): Event<Key> => {
+        if (alignment !== ArithmeticAlignment.AsOf) {
+            return byKey.get(e.getKey().toString());
+        }
+        const t = +e.timestamp();
+        while (position < others.size && +others.get(position).timestamp() <= t) {
+            position++;
+        }
+        const match = position > 0 ? others.get(position - 1) : null;
+        return match && tolerance && t - +match.timestamp() > +tolerance ? null : match;
+    };
+
+    return left.map(e => {
+        const other = matchOf(e);
+        let d = e.getData();
+        fieldPaths.forEach(fieldPath => {
+            d = d.setIn(fieldPath, apply(e.get(fieldPath), other ? other.get(fieldPath) : null));
+        });
+        return e.setData(d);
+    });
+}
+
+/**
+ * Returns the `events` with a column added for each field of the `fieldSpec`,
+ * named with the `suffix`, holding the value of that field `n` `Event`s later
+ * (or earlier if the `direction` is -1), or `null` where there is no such `Event`.
+ */
+function offsetColumns<T extends Key>(
+    events: Immutable.List<Event<T>>,
+    n: number,
+    direction: number,
+    fieldSpec: string | string[],
+    suffix: string
+): Immutable.List<Event<T>> {
+    if (!_.isInteger(n) || n < 1) {
+        throw new Error("The number of Events to offset by must be a positive integer");
+    }
+    const offset = direction * n;
+    const fieldPaths = (_.isString(fieldSpec) ? [fieldSpec] : fieldSpec).map(util.fieldAsArray);
+    return events.map((e, i) => {
+        const other = i + offset >= 0 ? events.get(i + offset) : undefined;
+        let d = e.getData();
+        fieldPaths.forEach(fieldPath => {
+            d = d.setIn(util.suffixedPath(fieldPath, suffix), other ? other.get(fieldPath) : null);
+        });
+        return e.setData(d);
+    });
+}
+
+/**
+ * Returns the `Event`s of the `series`, with the `fields` linearly interpolated
+ * onto the times of the `Period`, including the last if it's on one of them
+ */
+function alignedEvents<T extends Key>(
+    series: TimeSeries<T>,
+    fields: string[],
+    interval: Period
+): Immutable.List<Event<T>> {
+    const aligner = new Align<T>({
+        fieldSpec: fields,
+        period: interval,
+        method: AlignmentMethod.Linear
+    });
+    return series
+        .eventList()
+        .flatMap(e => aligner.addEvent(e))
+        .concat(aligner.flush())
+        .toList();
+}
+
+/**
+ * Returns the `values` with any missing between two valid values linearly
+ * interpolated from them
+ */
+function interpolateGaps(values: number[]): number[] {
+    let previous = -1;
+    return values.map((v, i) => {
+        if (util.isValid(v)) {
+            previous = i;
+            return v;
+        }
+        const next = _.findIndex(values, w => util.isValid(w), i + 1);
+        if (previous < 0 || next < 0) {
+            return v;
+        }
+        const fraction = (i - previous) / (next - previous);
+        return values[previous] + (values[next] - values[previous]) * fraction;
+    });
+}
+
 /*
  * The `TimeSeries` wire format is the easiest way to construct a `TimeSeries`.
  * The most minimal version of this format looks like this:
@@ -113,6 +274,25 @@ export interface TimeSeriesEvents<T extends Key> {
     [propName: string]: any;
 }
 
+/**
+ * The least squares fit of a polynomial to a column of a `TimeSeries`, over time
+ * in seconds since the `origin`, as returned by `TimeSeries.fit()`
+ */
+export interface TimeSeriesFit<T extends Key> {
+    // The time of the first value fitted
+    origin: Time;
+    // The coefficients of the polynomial, lowest order first
+    coefficients: number[];
+    // The rate of change per second at the origin
+    slope: number;
+    // The fitted value at the origin
+    intercept: number;
+    // The coefficient of determination, or `null` if the values don't vary
+    r2: number;
+    // The `TimeSeries` with a column of the fitted values added
+    fitted: TimeSeries<T>;
+}
+
 export interface TimeSeriesListReducerOptions {
     seriesList: Array<TimeSeries<Key>>;
     reducer?: (events: Immutable.List<Event<Key>>) => Immutable.List<Event<Key>>;
@@ -238,6 +418,16 @@ export { timeSeries, indexedSeries, timeRangeSeries };
  *  * The set of `Event`s can be altered with operations such as `slice()`, `crop()`.
  *  * Or alternatively you can `select()` specific columns.
  *  * You can take the `rate()` of data
+ *  * `rolling()` aggregates a trailing window for each `Event`, e.g. a moving average
+ *  * `smooth()` adds smoothed columns, e.g. an exponentially weighted moving average
+ *  * `detectAnomalies()` scores each value and flags the anomalies
+ *  * `decompose()` splits a column into trend, seasonal and residual components
+ *  * `forecast()` predicts future values, with confidence bands
+ *  * `correlate()` finds how columns of two series move together, and at what lag,
+ *    and `correlationMatrix()` how the columns of a series do
+ *  * `fit()` fits a trend line to a column, and `timeUntil()` extends it to a threshold
+ *  * `transform()` adds cumulative, difference, percent change or normalized columns
+ *  * `downsample()` reduces the number of `Event`s for charting, preserving the shape
  *
  * Basic statistics operations allow you to get percentiles, quantiles,
  * `avg()`, `min()`, `max()`, `sum()`, `count()` etc for any column within the
@@ -251,7 +441,8 @@ export { timeSeries, indexedSeries, timeRangeSeries };
  *    a single output column using a function (e.g. sum())
  *  * `fixedWindowRollup()` lets you aggregate into specific time windows
  *    to produce a new series.
- *  * `hourlyRollup()` and `dailyRollup()` similarly
+ *  * `hourlyRollup()`, `dailyRollup()`, `weeklyRollup()`, `monthlyRollup()` and
+ *    `yearlyRollup()` similarly
  *  * You can also make a new mapping from a window to a `Collection` out
  *    of the `TimeSeries` with `collectionByWindow()`
  *  * see also static functions for reducing and merging
@@ -272,6 +463,8 @@ export { timeSeries, indexedSeries, timeRangeSeries };
  *    or to merge multiple `TimeSeries` together that have different column names.
  *  * `timeSeriesListReduce()` can be used for operations like summing multiple
  *    `TimeSeries` together
+ *  * `timeSeriesListJoin()` can be used to join `TimeSeries` on their keys, or
+ *    to the latest earlier `Event` for series sampled at different times
  *
  */
 export class TimeSeries<T extends Key> {
@@ -962,6 +1155,39 @@ export class TimeSeries<T extends Key> {
         return this.setCollection(collection);
     }
 
+    /**
+     * Adds columns to the `Event`s of the `TimeSeries` by evaluating expressions,
+     * given as strings, against each `Event`. This lets derived columns be defined
+     * in configuration, rather than with `map()`.
+     *
+     * The `derive()` method needs to be supplied with a `DeriveOptions`
+     * object, which takes the following form:
+     * ```
+     * {
+     *     expressions: string | string[];
+     * }
+     * ```
+     * Each expression assigns to a column, which may be a nested path. The
+     * expressions are evaluated in order, so later ones can use the columns
+     * derived by earlier ones. See `Expression` for the syntax, which supports
+     * arithmetic, comparisons, nested paths such as `in.octets`, and functions
+     * such as `coalesce()` and `if()`. Missing values result in `null`.
+     *
+     * Example:
+     * ```
+     * const utilization = series.derive({
+     *     expressions: [
+     *         "in_bps = in_octets * 8",
+     *         "util = round((in_bps + coalesce(out_bps, 0)) / capacity * 100, 1)"
+     *     ]
+     * });
+     * ```
+     */
+    derive(options: DeriveOptions): TimeSeries<T> {
+        const collection = new SortedCollection(this._collection.derive(options));
+        return this.setCollection(collection);
+    }
+
     /**
      * Collapse multiple columns of a `Collection` into a new column.
      *
@@ -1050,6 +1276,169 @@ export class TimeSeries<T extends Key> {
         });
     }
 
+    /**
+     * Moves every `Event` of the `TimeSeries` later by the `Duration` `d`, or
+     * earlier if it is negative, keeping its data. Each key is shifted with its
+     * `shift()` method: a `Time` or `TimeRange` moves by exactly `d`, while an
+     * `Index` becomes the `Index` of the same kind that it moves to, e.g. with
+     * daily `Index` keys, shifting by `duration("7d")` moves each day on a week.
+     *
+     * Example:
+     * ```
+     * const nextWeek = series.shift(duration("7d"));
+     * ```
+     */
+    shift(d: Duration): TimeSeries<T> {
+        return this.mapKeys(key => key.shift(d) as T);
+    }
+
+    /**
+     * Adds a column for each field of the `fieldSpec` ("value" by default) holding
+     * the value of that field `n` `Event`s earlier. The new column is named with
+     * the suffix "_lag" and `n`, e.g. "value_lag_1". The first `n` `Event`s, which
+     * have no earlier value, get `null`.
+     *
+     * Example:
+     * ```
+     * const lagged = series.lag(1, "in");
+     * lagged.at(1).get("in_lag_1") === series.at(0).get("in");
+     * ```
+     */
+    lag(n: number = 1, fieldSpec: string | string[] = "value"): TimeSeries<T> {
+        const events = offsetColumns(this.eventList(), n, -1, fieldSpec, `_lag_${n}`);
+        return this.setCollection(new SortedCollection<T>(events));
+    }
+
+    /**
+     * Adds a column for each field of the `fieldSpec` ("value" by default) holding
+     * the value of that field `n` `Event`s later, named with the suffix "_lead" and
+     * `n`, e.g. "value_lead_1". The last `n` `Event`s get `null`.
+     */
+    lead(n: number = 1, fieldSpec: string | string[] = "value"): TimeSeries<T> {
+        const events = offsetColumns(this.eventList(), n, 1, fieldSpec, `_lead_${n}`);
+        return this.setCollection(new SortedCollection<T>(events));
+    }
+
+    /**
+     * Compares each `Event` with the `Event` one `period` earlier, for example to
+     * compare each day with the same day of the week before. The `TimeSeries` is
+     * joined to itself shifted on by the `period` (see `shift()`), and alongside
+     * each field of the `fieldSpec`, which may be deep, three columns are added:
+     *  * "<field>_previous" - the value one `period` earlier
+     *  * "<field>_delta" - the change since then
+     *  * "<field>_pct_change" - the change as a percentage of the previous value
+     *
+     * Where there is no `Event` exactly one `period` earlier, or the values are
+     * missing, these are `null`. The percentage change is also `null` if the
+     * previous value is zero.
+     *
+     * The `compareToPrevious()` method needs to be supplied with a `CompareOptions`
+     * object, which takes the following form:
+     * ```
+     * {
+     *     period: Duration;
+     *     fieldSpec?: string | string[];
+     * }
+     * ```
+     *
+     * Example:
+     * ```
+     * const weekOverWeek = dailySeries.compareToPrevious({ period: duration("7d") });
+     * weekOverWeek.at(7).get("value_pct_change");  // e.g. 12.5
+     * ```
+     */
+    compareToPrevious(options: CompareOptions): TimeSeries<T> {
+        const { period: interval, fieldSpec = "value" } = options;
+        if (!interval) {
+            throw new Error("A period must be supplied to compare with the previous Event");
+        }
+        const fieldPaths = (_.isString(fieldSpec) ? [fieldSpec] : fieldSpec).map(util.fieldAsArray);
+
+        // The Events one period earlier, by the key they would have now
+        const previous = Immutable.Map<string, Event<T>>(
+            this.shift(interval)
+                .eventList()
+                .map(e => [e.getKey().toString(), e] as [string, Event<T>])
+        );
+
+        return this.map(e => {
+            const earlier = previous.get(e.getKey().toString());
+            let d = e.getData();
+            fieldPaths.forEach(fieldPath => {
+                const value = e.get(fieldPath);
+                const before = earlier ? earlier.get(fieldPath) : null;
+                const valid = util.isValid(value) && util.isValid(before);
+                const delta = valid ? value - before : null;
+                d = d
+                    .setIn(util.suffixedPath(fieldPath, "_previous"), before)
+                    .setIn(util.suffixedPath(fieldPath, "_delta"), delta)
+                    .setIn(
+                        util.suffixedPath(fieldPath, "_pct_change"),
+                        valid && before !== 0 ? (delta / before) * 100 : null
+                    );
+            });
+            return e.setData(d);
+        });
+    }
+
+    /**
+     * Adds the `operand`, either another `TimeSeries` or a number, to the `fieldSpec`
+     * columns ("value" by default) of this `TimeSeries`, returning a new `TimeSeries`.
+     *
+     * When the `operand` is a `TimeSeries`, its `Event`s are matched to those of
+     * this `TimeSeries` using the `alignment` option, which is one of:
+     *  * `ArithmeticAlignment.Exact` (the default) - `Event`s with the same key
+     *  * `ArithmeticAlignment.Period` - both `TimeSeries` are first aligned to the
+     *    `period` with `align()`, using the `method` (default linear) and `limit`
+     *  * `ArithmeticAlignment.AsOf` - the latest `Event` of the `operand` at or before
+     *    each `Event`, no older than the `tolerance` if one is given
+     *
+     * The result has an `Event` for each `Event` of this `TimeSeries` (or of the
+     * aligned `TimeSeries`). If either value is missing (see `util.isMissing()`),
+     * or there's no `Event` to match, the result is `null`.
+     *
+     * Example:
+     * ```
+     * const total = inTraffic.add(outTraffic, {
+     *     alignment: ArithmeticAlignment.Period,
+     *     period: period(duration("30s"))
+     * });
+     * ```
+     */
+    add(operand: TimeSeries<Key> | number, options: ArithmeticOptions = {}): TimeSeries<T> {
+        return combine(this, operand, (a, b) => a + b, options);
+    }
+
+    /**
+     * Subtracts the `operand`, either another `TimeSeries` or a number, from the
+     * `fieldSpec` columns of this `TimeSeries`. See `add()` for the options.
+     */
+    subtract(operand: TimeSeries<Key> | number, options: ArithmeticOptions = {}): TimeSeries<T> {
+        return combine(this, operand, (a, b) => a - b, options);
+    }
+
+    /**
+     * Multiplies the `fieldSpec` columns of this `TimeSeries` by the `operand`,
+     * either another `TimeSeries` or a number. See `add()` for the options.
+     */
+    multiply(operand: TimeSeries<Key> | number, options: ArithmeticOptions = {}): TimeSeries<T> {
+        return combine(this, operand, (a, b) => a * b, options);
+    }
+
+    /**
+     * Divides the `fieldSpec` columns of this `TimeSeries` by the `operand`, either
+     * another `TimeSeries` or a number. Dividing by zero results in `null`. See
+     * `add()` for the options.
+     *
+     * Example:
+     * ```
+     * const errorPercentage = errors.divide(requests).multiply(100);
+     * ```
+     */
+    divide(operand: TimeSeries<Key> | number, options: ArithmeticOptions = {}): TimeSeries<T> {
+        return combine(this, operand, (a, b) => (b !== 0 ? a / b : null), options);
+    }
+
     /**
      * Take the data in this `TimeSeries` and "fill" any missing or invalid
      * values. This could be setting `null` values to zero so mathematical
@@ -1150,12 +1539,424 @@ export class TimeSeries<T extends Key> {
      * Returns the derivative of the `TimeSeries` for the given columns. The result will
      * be per second. Optionally you can substitute in `null` values if the rate
      * is negative. This is useful when a negative rate would be considered invalid.
+     *
+     * For counters, the `counter` option sets the `CounterMode`, to handle counters
+     * that wrap around or are reset, or to take the increase of the counter over
+     * each interval instead of its rate.
+     *
+     * Example:
+     * ```
+     * const rates = series.rate({
+     *     fieldSpec: "in",
+     *     counter: CounterMode.Wrap,
+     *     counterMax: Math.pow(2, 64)
+     * });
+     * ```
      */
     rate(options: RateOptions) {
         const collection = new SortedCollection(this._collection.rate(options));
         return this.setCollection(collection);
     }
 
+    /**
+     * Aggregates a trailing window for each `Event` in the `TimeSeries`, giving
+     * moving averages, sums, standard deviations and so on. The resulting `TimeSeries`
+     * has an `Event` for each `Event` in this one, with the same key, containing the
+     * fields of the `aggregation`. The `window` is either a `Duration`, or a number
+     * of `Event`s.
+     *
+     * Example:
+     * ```
+     * const movingAvg = series.rolling({
+     *     window: duration("1h"),
+     *     aggregation: { value: ["value", avg()] }
+     * });
+     * ```
+     */
+    rolling(options: RollingOptions<T>): TimeSeries<T> {
+        return this.setCollection(this._collection.rolling(options));
+    }
+
+    /**
+     * Smooths the columns in the `fieldSpec`, adding a new column for each with
+     * the smoothed values, so that the raw and smoothed values can be shown together.
+     * The new columns are named with a suffix, "_smoothed" unless a `suffix` is given.
+     *
+     * The `method` is a `SmoothingMethod`, one of:
+     *  * `EWMA` - an exponentially weighted moving average, where the weight of each
+     *    value halves every `halfLife`, which correctly handles irregular sampling
+     *  * `DoubleExponential` - double exponential smoothing, weighting the level
+     *    by `alpha` and the trend by `beta`
+     *  * `SavitzkyGolay` - fits a polynomial of `degree` to a centered window of
+     *    `windowSize` `Event`s
+     *
+     * Example:
+     * ```
+     * const smoothed = series.smooth({
+     *     fieldSpec: "in",
+     *     method: SmoothingMethod.EWMA,
+     *     halfLife: duration("5m")
+     * });
+     * ```
+     */
+    smooth(options: SmoothOptions): TimeSeries<T> {
+        return this.setCollection(this._collection.smooth(options));
+    }
+
+    /**
+     * Annotates each `Event` with an anomaly score for the value of the `fieldSpec`
+     * column ("value" by default), in the column "<field>_anomaly_score", and a
+     * boolean flag, "<field>_anomaly", which is true when the size of the score is
+     * above the `threshold` (default 3). Each value is scored against those before
+     * it, using the `AnomalyMethod`:
+     *  * `ZScore` (the default) - the z-score against the previous `window` values
+     *  * `MAD` - the modified z-score, using the median and median absolute
+     *    deviation of the previous `window` values, which outliers affect less
+     *  * `Seasonal` - the z-score of the difference from the average value one
+     *    `season` before (by default, the same time last week), over `seasons` seasons
+     *
+     * Example:
+     * ```
+     * const hourly = series.hourlyRollup({ aggregation: { value: ["value", avg()] } });
+     * const scored = hourly.detectAnomalies({
+     *     method: AnomalyMethod.Seasonal,
+     *     season: duration("7d"),
+     *     seasons: 4
+     * });
+     * const anomalies = scored.filter(e => e.get("value_anomaly"));
+     * ```
+     */
+    detectAnomalies(options: AnomalyOptions): TimeSeries<T> {
+        return this.setCollection(this._collection.detectAnomalies(options));
+    }
+
+    /**
+     * Decomposes the values of the `fieldSpec` columns ("value" by default) into
+     * trend, seasonal and residual components, adding a column for each, named
+     * "<field>_trend", "<field>_seasonal" and "<field>_residual", which add up
+     * to the value. Each season starts at a time of the `period`, e.g. every day
+     * or week, and the decomposition follows STL (Seasonal-Trend decomposition
+     * using Loess):
+     *  * the seasonal component is the average, with the trend removed, of the
+     *    values at the same point in each season (or in the `seasonalWindow`
+     *    seasons around it)
+     *  * the trend is the locally weighted linear regression, over `trendWindow`
+     *    (by default one and a half seasons), of the values less their season
+     *  * the residual is what remains, and is where anomalies stand out
+     *
+     * Since values are matched to those at the same point of the other seasons
+     * by their time, the `TimeSeries` should be regular, e.g. by using `align()`.
+     *
+     * Example:
+     * ```
+     * const components = hourly.decompose({ period: period(duration("1d")) });
+     * const trend = components.select({ fieldSpec: "value_trend" });
+     * ```
+     */
+    decompose(options: DecomposeOptions): TimeSeries<T> {
+        return this.setCollection(this._collection.decompose(options));
+    }
+
+    /**
+     * Forecasts the values of the `fieldSpec` columns ("value" by default) for the
+     * `horizon` `Duration` past the end of the `TimeSeries`, using Holt-Winters
+     * exponential smoothing. The `TimeSeries` is first aligned to the `period`, which
+     * also sets the times of the forecast. A `seasonality` gives the number of
+     * `period`s in a season, e.g. 24 for hourly data with a daily cycle, in which
+     * case at least two seasons of data are needed. The season is either added to
+     * (`ForecastMethod.Additive`, the default) or multiplies
+     * (`ForecastMethod.Multiplicative`) the level and trend. Since Holt-Winters
+     * needs evenly spaced values, missing aligned values are linearly interpolated.
+     *
+     * The result is a new `TimeSeries` of the forecast times, with a column of
+     * predicted values for each field, along with "<field>_lower" and "<field>_upper"
+     * columns bounding the `confidence` band (95% by default) of each prediction.
+     *
+     * Example:
+     * ```
+     * const nextDay = hourly.forecast({
+     *     horizon: duration("1d"),
+     *     period: period(duration("1h")),
+     *     seasonality: 24
+     * });
+     * ```
+     */
+    forecast(options: ForecastOptions): TimeSeries<Time> {
+        const { fieldSpec = "value", horizon, period: interval, ...parameters } = options;
+        if (!horizon || !interval) {
+            throw new Error("A horizon and period must be supplied to forecast");
+        }
+        const fields = _.isString(fieldSpec) ? [fieldSpec] : fieldSpec;
+        const aligned = alignedEvents(this, fields, interval);
+        if (aligned.isEmpty()) {
+            throw new Error("There are no values to forecast");
+        }
+
+        // Every field is forecast from the end of the aligned TimeSeries
+        const end = +aligned.last().timestamp();
+        const times = interval.within(timerange(end + 1, end + +horizon + 1));
+
+        let forecasts = Immutable.OrderedMap<number, Immutable.Map<string, any>>();
+        fields.forEach(f => {
+            const fieldPath = util.fieldAsArray(f);
+            const values = aligned.map(e => e.get(fieldPath) as number).toArray();
+            const earliest = _.findIndex(values, v => util.isValid(v));
+            const latest = _.findLastIndex(values, v => util.isValid(v));
+            if (earliest < 0) {
+                throw new Error(`There are no values of ${f} to forecast`);
+            }
+
+            // Holt-Winters needs evenly spaced values, so gaps are interpolated,
+            // and missing values at the end are forecast along with the horizon
+            const missing = values.length - 1 - latest;
+            const predictions = holtWinters(
+                interpolateGaps(values.slice(earliest, latest + 1)),
+                missing + times.size,
+                parameters
+            ).slice(missing);
+            times.forEach((t, i) => {
+                const { value, lower, upper } = predictions[i];
+                forecasts = forecasts.update(+t, Immutable.Map(), d =>
+                    d
+                        .setIn(fieldPath, value)
+                        .setIn(util.suffixedPath(fieldPath, "_lower"), lower)
+                        .setIn(util.suffixedPath(fieldPath, "_upper"), upper)
+                );
+            });
+        });
+
+        const events = forecasts
+            .sortBy((d, t) => t)
+            .map((d, t) => new Event<Time>(time(t), d))
+            .toList();
+        return new TimeSeries<Time>({
+            name: this.name(),
+            tz: this.timezone(),
+            events
+        });
+    }
+
+    /**
+     * Returns the correlation between the `fieldSpec` column ("value" by default)
+     * of this `TimeSeries` and the `otherFieldSpec` column (the same by default)
+     * of the `other` `TimeSeries`, after aligning both to the `period`. The
+     * `method` is either "pearson" (the default) or "spearman", for the rank
+     * correlation. The result is of the form:
+     * ```
+     * {
+     *     coefficient: number;      // the correlation, from -1 to 1
+     *     lag: number;              // the lag with the strongest correlation
+     *     lagCoefficient: number;   // the correlation at that lag
+     *     lags: Array<{ lag: number; coefficient: number }>;
+     * }
+     * ```
+     * The correlation is found at each lag, in `period`s, up to `maxLag` (0 by
+     * default) in either direction. At a positive lag, each value of this
+     * `TimeSeries` is paired with the value of the `other` that many `period`s
+     * later, so a strong correlation there means the `other` follows this one.
+     * Coefficients are `null` where there are too few pairs of values, or the
+     * values don't vary.
+     *
+     * Example:
+     * ```
+     * const c = requests.correlate(latency, {
+     *     period: period(duration("1m")),
+     *     maxLag: 10
+     * });
+     * c.lag;  // e.g. 2, latency follows requests by two minutes
+     * ```
+     */
+    correlate(other: TimeSeries<Key>, options: CorrelationOptions): Correlation {
+        const {
+            fieldSpec = "value",
+            otherFieldSpec = fieldSpec,
+            period: interval,
+            method = "pearson",
+            maxLag = 0
+        } = options;
+        if (!interval) {
+            throw new Error("A period must be supplied to align the TimeSeries to");
+        }
+        if (!_.isInteger(maxLag) || maxLag < 0) {
+            throw new Error("The maximum lag must be a whole number of periods");
+        }
+        const valuesOf = (series: TimeSeries<Key>, f: string) =>
+            Immutable.Map<number, number>(
+                alignedEvents(series, [f], interval).map(
+                    e => [+e.timestamp(), e.get(f)] as [number, number]
+                )
+            );
+        return crossCorrelation(
+            valuesOf(this, fieldSpec),
+            valuesOf(other, otherFieldSpec),
+            +interval.frequency(),
+            maxLag,
+            method
+        );
+    }
+
+    /**
+     * Returns the correlation between each pair of the `fieldSpec` columns (by
+     * default all of them), using the `method`, either "pearson" (the default) or
+     * "spearman", as an object mapping each column to its correlation with each
+     * column. `Event`s where either value of a pair is missing are skipped.
+     *
+     * Example:
+     * ```
+     * const matrix = interfaces.correlationMatrix();
+     * matrix["in"]["out"];  // e.g. 0.87
+     * ```
+     */
+    correlationMatrix(
+        options: CorrelationMatrixOptions = {}
+    ): { [column: string]: { [column: string]: number } } {
+        const { fieldSpec = this.columns(), method = "pearson" } = options;
+        const values = _.fromPairs(
+            fieldSpec.map(f => [
+                f,
+                this.eventList()
+                    .map(e => e.get(f))
+                    .toArray()
+            ])
+        );
+        return _.fromPairs(
+            fieldSpec.map(a => [
+                a,
+                _.fromPairs(fieldSpec.map(b => [b, correlationOf(values[a], values[b], method)]))
+            ])
+        );
+    }
+
+    /**
+     * Fits a polynomial of the given `degree` (1 by default, for a straight line)
+     * to the values of the `fieldSpec` column ("value" by default) over time, by
+     * least squares. Time is measured in seconds from the first value, the
+     * `origin`, so the `slope` of a straight line is the rate of change per second
+     * and the `intercept` is its value at the `origin`. The result is of the form:
+     * ```
+     * {
+     *     origin: Time;
+     *     coefficients: number[];   // lowest order first
+     *     slope: number;
+     *     intercept: number;
+     *     r2: number;               // the coefficient of determination
+     *     fitted: TimeSeries<T>;    // with a "<field>_fit" column of fitted values
+     * }
+     * ```
+     * Missing values are skipped, and their fitted value is `null`.
+     *
+     * Example:
+     * ```
+     * const { slope, r2, fitted } = series.fit({ fieldSpec: "used" });
+     * ```
+     */
+    fit(options: FitOptions = {}): TimeSeriesFit<T> {
+        const { fieldSpec = "value", degree = 1 } = options;
+        const fieldPath = util.fieldAsArray(fieldSpec);
+        const valid = this.eventList().filter(e => util.isValid(e.get(fieldPath)));
+        if (valid.isEmpty()) {
+            throw new Error(`There are no values of ${fieldSpec} to fit`);
+        }
+        const origin = +valid.first().timestamp();
+        const secondsOf = (e: Event<T>) => (+e.timestamp() - origin) / 1000;
+        const { coefficients, r2 } = leastSquares(
+            valid.map(secondsOf).toArray(),
+            valid.map(e => e.get(fieldPath) as number).toArray(),
+            degree
+        );
+        const fitted = this.map(e =>
+            e.setData(
+                e
+                    .getData()
+                    .setIn(
+                        util.suffixedPath(fieldPath, "_fit"),
+                        util.isValid(e.get(fieldPath))
+                            ? polynomialValue(coefficients, secondsOf(e))
+                            : null
+                    )
+            )
+        );
+        return {
+            origin: time(origin),
+            coefficients,
+            slope: coefficients[1],
+            intercept: coefficients[0],
+            r2,
+            fitted
+        };
+    }
+
+    /**
+     * Returns how long after the last value of the `fieldSpec` column ("value" by
+     * default) it's predicted to reach the `threshold`, by extending the `fit()` of
+     * the given `degree` (1 by default) to when it next crosses the `threshold`.
+     * This is `null` if it never does, e.g. if the trend is away from it.
+     *
+     * Example:
+     * ```
+     * const untilFull = disk.timeUntil(100, { fieldSpec: "percent_used" });
+     * ```
+     */
+    timeUntil(threshold: number, options: FitOptions = {}): Duration {
+        const { fieldSpec = "value" } = options;
+        const { origin, coefficients } = this.fit(options);
+        const latest = this.eventList().findLast(e => util.isValid(e.get(fieldSpec)));
+        const end = (+latest.timestamp() - +origin) / 1000;
+
+        const shifted = coefficients.map((c, k) => (k === 0 ? c - threshold : c));
+        const crossing = _.find(polynomialRoots(shifted), x => x >= end);
+        return util.isValid(crossing) ? duration(Math.round((crossing - end) * 1000)) : null;
+    }
+
+    /**
+     * Transforms the values of the `fieldSpec` columns ("value" by default) `Event`
+     * by `Event`, adding a new column for each with the transformed value. See
+     * `TransformMethod` for the transforms available:
+     *  * `CumulativeSum`, `CumulativeMin` or `CumulativeMax` of the values so far
+     *  * `Difference` or `PercentChange` from the previous value
+     *  * `NormalizeToFirst` - each value divided by the first
+     *  * `ZScore` or `MinMax` - each value standardized, or scaled to between 0
+     *    and 1, using the whole `TimeSeries`
+     *
+     * The new columns are named with a `suffix`, which defaults to one for the
+     * `method`, e.g. "_cumsum" or "_zscore". Fields may be deep, e.g. "in.bytes".
+     *
+     * Example:
+     * ```
+     * const changes = series.transform({
+     *     fieldSpec: ["in", "out"],
+     *     method: TransformMethod.PercentChange
+     * });
+     * changes.at(1).get("in_pct_change");
+     * ```
+     */
+    transform(options: TransformOptions): TimeSeries<T> {
+        return this.setCollection(this._collection.transform(options));
+    }
+
+    /**
+     * Downsamples the `TimeSeries` to `targetPoints` `Event`s for charting, keeping
+     * those `Event`s that preserve the visual shape of the `fieldSpec` column
+     * ("value" by default), including its spikes, which an average would flatten.
+     * The resulting `TimeSeries` contains the original `Event`s that were kept.
+     *
+     * The `method` is one of:
+     *  * "lttb" - Largest-Triangle-Three-Buckets, which keeps the `Event` of each of
+     *    `targetPoints` buckets that forms the largest triangle with its neighbours
+     *  * "minmax" - keeps the minimum and maximum `Event` of `targetPoints / 2`
+     *    buckets of equal time
+     *  * "m4" - keeps the first, last, minimum and maximum `Event` of `targetPoints / 4`
+     *    buckets of equal time
+     *
+     * Example:
+     * ```
+     * const forChart = series.downsample({ method: "lttb", targetPoints: 1000 });
+     * ```
+     */
+    downsample(options: DownsampleOptions): TimeSeries<T> {
+        return this.setCollection(this._collection.downsample(options));
+    }
+
     /**
      * Builds a new `TimeSeries` by dividing events within the `TimeSeries`
      * across multiple fixed windows of size `windowSize`.
@@ -1265,6 +2066,30 @@ export class TimeSeries<T extends Key> {
         return this._rollup({ window: daily(timezone), aggregation });
     }
 
+    /**
+     * Builds a new `TimeSeries` by dividing events into weeks.
+     *
+     * Each window then has an aggregation specification `aggregation`
+     * applied. This specification describes a mapping of output
+     * fieldNames to aggregation functions and their fieldPath. For example:
+     * ```
+     * {in_avg: ["in", avg()], out_avg: ["out", avg()]}
+     * ```
+     *
+     * Weeks are ISO weeks, beginning on a Monday, unless you supply a
+     * different ISO day of the week (1 is Monday, 7 is Sunday) as `weekStart`.
+     * As with `dailyRollup()` you can also supply the `timezone` of the weeks.
+     */
+    weeklyRollup(options: RollupOptions<T>): TimeSeries<Index> {
+        const { aggregation, timezone = "Etc/UTC", weekStart = 1 } = options;
+        if (!aggregation || !_.isObject(aggregation)) {
+            throw new Error(
+                "aggregation object must be supplied, for example: {value: {value: avg()}}"
+            );
+        }
+        return this._rollup({ window: weekly(timezone, weekStart), aggregation });
+    }
+
     /**
      * Builds a new `TimeSeries` by dividing events into months.
      *
@@ -1276,19 +2101,15 @@ export class TimeSeries<T extends Key> {
      * ```
      *
      */
-    /*
     monthlyRollup(options: RollupOptions<T>): TimeSeries<Index> {
-        const { aggregation } = options;
-
+        const { aggregation, timezone = "Etc/UTC" } = options;
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
                 "aggregation object must be supplied, for example: {value: {value: avg()}}"
             );
         }
-
-        return this._rollup({ windowSize: period("monthly"), aggregation });
+        return this._rollup({ window: monthly(timezone), aggregation });
     }
-    */
 
     /**
      * Builds a new `TimeSeries` by dividing events into years.
@@ -1302,19 +2123,15 @@ export class TimeSeries<T extends Key> {
      * ```
      *
      */
-    /*
     yearlyRollup(options: RollupOptions<T>): TimeSeries<Index> {
-        const { aggregation } = options;
-
+        const { aggregation, timezone = "Etc/UTC" } = options;
         if (!aggregation || !_.isObject(aggregation)) {
             throw new Error(
                 "aggregation object must be supplied, for example: {value: {value: avg()}}"
             );
         }
-
-        return this._rollup({ windowSize: period("yearly"), aggregation });
+        return this._rollup({ window: yearly(timezone), aggregation });
     }
-    */
 
     /**
      * @private
@@ -1440,6 +2257,108 @@ export class TimeSeries<T extends Key> {
         });
     }
 
+    /**
+     * Joins a list of `TimeSeries` together to form a new `TimeSeries`, with the
+     * columns of each. Unlike `timeSeriesListMerge()`, the `TimeSeries` may
+     * have `Event`s at different times. The `type` of join says which keys end
+     * up in the result:
+     *  * `JoinType.Inner` - only keys found in every `TimeSeries` (the default)
+     *  * `JoinType.Left` - every key of the first `TimeSeries`
+     *  * `JoinType.Outer` - every key found in any of the `TimeSeries`
+     *  * `JoinType.AsOf` - every key of the first `TimeSeries`, joined to the latest
+     *    `Event` at or before it in each of the other `TimeSeries`, as long as it
+     *    is no older than the `tolerance`, if one is given
+     *
+     * Where a `TimeSeries` has no `Event` to join, its columns are `null`.
+     * If the `TimeSeries` share column names, supply `prefixes` to tell them apart,
+     * otherwise an error is thrown.
+     *
+     * Example:
+     * ```
+     * const joined = TimeSeries.timeSeriesListJoin({
+     *     name: "traffic and errors",
+     *     seriesList: [traffic, errors],
+     *     type: JoinType.AsOf,
+     *     tolerance: duration("5m"),
+     *     prefixes: ["traffic", "errors"]
+     * });
+     * ```
+     */
+    static timeSeriesListJoin<T extends Key>(options: JoinOptions): TimeSeries<T> {
+        const { seriesList, type = JoinType.Inner, tolerance, prefixes, ...data } = options;
+        if (!seriesList || !_.isArray(seriesList) || seriesList.length < 2) {
+            throw new Error("A list of at least two TimeSeries must be supplied to join");
+        }
+        if (prefixes && prefixes.length !== seriesList.length) {
+            throw new Error("A prefix must be supplied for each TimeSeries being joined");
+        }
+
+        // The columns of each series, as they will be named in the result
+        const columns = seriesList.map(series => series.columns());
+        const columnName = (i: number, column: string) =>
+            prefixes ? `${prefixes[i]}_${column}` : column;
+        const names = _.flatten(columns.map((cols, i) => cols.map(c => columnName(i, c))));
+        if (_.uniq(names).length !== names.length) {
+            throw new Error("Joined TimeSeries have overlapping columns, supply prefixes");
+        }
+
+        // Builds an event from the events of each series to be joined at a key,
+        // which may be missing
+        const joinEvents = (key: Key, row: Array<Event<Key>>) => {
+            let d = Immutable.Map<string, any>();
+            row.forEach((e, i) => {
+                columns[i].forEach(column => {
+                    d = d.set(columnName(i, column), e ? e.get(column) : null);
+                });
+            });
+            return new Event<T>(key as T, d);
+        };
+
+        let events = Immutable.List<Event<T>>();
+        if (type === JoinType.AsOf) {
+            const [primary, ...others] = seriesList.map(series => series.eventList());
+            const positions = others.map(() => 0);
+            primary.forEach(e => {
+                const t = +e.timestamp();
+                const matches = others.map((list, i) => {
+                    // Advance to the last event at or before t
+                    while (positions[i] < list.size && +list.get(positions[i]).timestamp() <= t) {
+                        positions[i]++;
+                    }
+                    const match = positions[i] > 0 ? list.get(positions[i] - 1) : null;
+                    const tooOld = match && tolerance && t - +match.timestamp() > +tolerance;
+                    return tooOld ? null : match;
+                });
+                events = events.push(joinEvents(e.getKey(), [e, ...matches]));
+            });
+        } else {
+            // Map of each key to the events of each series at that key
+            let keyMap = Immutable.OrderedMap<string, Array<Event<Key>>>();
+            seriesList.forEach((series, i) => {
+                series.eventList().forEach(e => {
+                    const k = e.getKey().toString();
+                    if (keyMap.has(k) || i === 0 || type === JoinType.Outer) {
+                        const row = keyMap.get(
+                            k,
+                            seriesList.map(() => null)
+                        );
+                        row[i] = e;
+                        keyMap = keyMap.set(k, row);
+                    }
+                });
+            });
+            keyMap.forEach(row => {
+                if (type !== JoinType.Inner || row.every(e => !!e)) {
+                    const key = _.find(row, e => !!e).getKey();
+                    events = events.push(joinEvents(key, row));
+                }
+            });
+        }
+
+        const collection = new SortedCollection<T>(events);
+        return new TimeSeries<T>({ ...data, collection });
+    }
+
     /**
      * @private
      */
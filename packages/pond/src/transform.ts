@@ -0,0 +1,230 @@
+/**
+ *  Copyright (c) 2017, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { Event } from "./event";
+import { Key } from "./key";
+import { Processor } from "./processor";
+import util from "./util";
+
+import { TransformMethod, TransformOptions } from "./types";
+
+/**
+ * The running statistics of the values of a field
+ */
+interface FieldStats {
+    count: number;
+    total: number;
+    mean: number;
+    m2: number;
+    min: number;
+    max: number;
+    first: number;
+    previous: number;
+}
+
+const DEFAULT_SUFFIXES = {
+    [TransformMethod.CumulativeSum]: "_cumsum",
+    [TransformMethod.CumulativeMin]: "_cummin",
+    [TransformMethod.CumulativeMax]: "_cummax",
+    [TransformMethod.Difference]: "_diff",
+    [TransformMethod.PercentChange]: "_pct_change",
+    [TransformMethod.NormalizeToFirst]: "_normalized",
+    [TransformMethod.ZScore]: "_zscore",
+    [TransformMethod.MinMax]: "_scaled"
+};
+
+/**
+ * A `Processor` to transform the values of the given fields of the incoming
+ * `Event`s one by one, based on the values that came before. Each `Event` is
+ * emitted with an additional field for each transformed field, named by adding
+ * a suffix to the field name, e.g. "value_cumsum".
+ *
+ * To control the transform you need to specify a `TransformOptions` object
+ * in the constuctor, which takes the following form:
+ * ```
+ * {
+ *     fieldSpec?: string | string[];
+ *     method: TransformMethod;
+ *     suffix?: string;
+ * }
+ * ```
+ * Options:
+ *  * `fieldSpec` - the field or fields to transform, which may be deep paths
+ *                  such as "in.bytes"
+ *  * `method` - one of:
+ *      * `TransformMethod.CumulativeSum`, `CumulativeMin` and `CumulativeMax` -
+ *        the total, minimum or maximum of the values so far
+ *      * `TransformMethod.Difference` - the change from the previous value
+ *      * `TransformMethod.PercentChange` - the change from the previous value, as a
+ *        percentage of it
+ *      * `TransformMethod.NormalizeToFirst` - the value divided by the first value
+ *      * `TransformMethod.ZScore` - the number of standard deviations from the mean
+ *      * `TransformMethod.MinMax` - the value scaled to between 0 (the minimum)
+ *        and 1 (the maximum)
+ *  * `suffix` - the suffix used to name the transformed fields, which defaults
+ *               to one for the method, e.g. "_cumsum", "_diff" or "_zscore"
+ *
+ * As a stream has no end, the `ZScore` and `MinMax` transforms use the mean,
+ * standard deviation, minimum and maximum of the values so far. When transforming
+ * a `TimeSeries` or `Collection` they use those of the whole series instead.
+ *
+ * Missing values result in a `null` transformed value and are skipped over,
+ * so the difference of the next value is from the last valid one.
+ */
+export class Transform<T extends Key> extends Processor<T, T> {
+    // Options
+    private fieldPaths: string[][];
+    private method: TransformMethod;
+    private suffix: string;
+
+    // Internal state
+    private stats: { [path: string]: FieldStats };
+
+    constructor(options: TransformOptions) {
+        super();
+        const { fieldSpec = "value", method, suffix } = options;
+        if (!_.has(DEFAULT_SUFFIXES, method)) {
+            throw new Error("A TransformMethod must be supplied to transform");
+        }
+
+        // Options
+        this.fieldPaths = (_.isString(fieldSpec) ? [fieldSpec] : fieldSpec).map(f =>
+            util.fieldAsArray(f)
+        );
+        this.method = method;
+        this.suffix = suffix || DEFAULT_SUFFIXES[method];
+
+        this.stats = {};
+    }
+
+    /**
+     * Transform the `Event`, emitting it with its transformed fields.
+     */
+    public addEvent(event: Event<T>): Immutable.List<Event<T>> {
+        let d = event.getData();
+        this.fieldPaths.forEach(fieldPath => {
+            const pathKey = fieldPath.join(":");
+            const value = event.get(fieldPath);
+            let result = null;
+            if (util.isValid(value)) {
+                const previous = this.stats[pathKey] ? this.stats[pathKey].previous : null;
+                this.stats[pathKey] = accumulate(this.stats[pathKey], value);
+                result = transformValue(this.method, value, previous, this.stats[pathKey]);
+            }
+            d = d.setIn(util.suffixedPath(fieldPath, this.suffix), result);
+        });
+        return Immutable.List([event.setData(d)]);
+    }
+}
+
+/**
+ * Transforms the `events` with the `TransformOptions`, as used by
+ * `SortedCollection.transform()`. Unlike the `Transform` processor, the
+ * `ZScore` and `MinMax` transforms use the statistics of all of the `events`.
+ */
+export function transformEvents<T extends Key>(
+    events: Immutable.List<Event<T>>,
+    options: TransformOptions
+): Immutable.List<Event<T>> {
+    const { fieldSpec = "value", method, suffix } = options;
+    if (method !== TransformMethod.ZScore && method !== TransformMethod.MinMax) {
+        const p = new Transform<T>(options);
+        return events.flatMap(e => p.addEvent(e)).toList();
+    }
+
+    const fieldPaths = (_.isString(fieldSpec) ? [fieldSpec] : fieldSpec).map(f =>
+        util.fieldAsArray(f)
+    );
+    const stats = fieldPaths.map(fieldPath =>
+        events
+            .map(e => e.get(fieldPath))
+            .filter(value => util.isValid(value))
+            .reduce((s, value) => accumulate(s, value), null as FieldStats)
+    );
+    return events.map(e => {
+        let d = e.getData();
+        fieldPaths.forEach((fieldPath, i) => {
+            const value = e.get(fieldPath);
+            const result = util.isValid(value)
+                ? transformValue(method, value, null, stats[i])
+                : null;
+            d = d.setIn(util.suffixedPath(fieldPath, suffix || DEFAULT_SUFFIXES[method]), result);
+        });
+        return e.setData(d);
+    });
+}
+
+/**
+ * Returns the `stats` updated with the `value`, using Welford's method
+ * for the running mean and variance
+ */
+function accumulate(stats: FieldStats, value: number): FieldStats {
+    if (!stats) {
+        return {
+            count: 1,
+            total: value,
+            mean: value,
+            m2: 0,
+            min: value,
+            max: value,
+            first: value,
+            previous: value
+        };
+    }
+    const count = stats.count + 1;
+    const mean = stats.mean + (value - stats.mean) / count;
+    return {
+        count,
+        total: stats.total + value,
+        mean,
+        m2: stats.m2 + (value - stats.mean) * (value - mean),
+        min: Math.min(stats.min, value),
+        max: Math.max(stats.max, value),
+        first: stats.first,
+        previous: value
+    };
+}
+
+/**
+ * Returns the transform of the `value`, given the `previous` value and the
+ * `stats` of the values including this one
+ */
+function transformValue(
+    method: TransformMethod,
+    value: number,
+    previous: number,
+    stats: FieldStats
+): number {
+    switch (method) {
+        case TransformMethod.CumulativeSum:
+            return stats.total;
+        case TransformMethod.CumulativeMin:
+            return stats.min;
+        case TransformMethod.CumulativeMax:
+            return stats.max;
+        case TransformMethod.Difference:
+            return util.isValid(previous) ? value - previous : null;
+        case TransformMethod.PercentChange:
+            return util.isValid(previous) && previous !== 0
+                ? ((value - previous) / previous) * 100
+                : null;
+        case TransformMethod.NormalizeToFirst:
+            return stats.first !== 0 ? value / stats.first : null;
+        case TransformMethod.ZScore:
+            const sd = Math.sqrt(stats.m2 / stats.count);
+            return sd > 0 ? (value - stats.mean) / sd : 0;
+        case TransformMethod.MinMax:
+            const range = stats.max - stats.min;
+            return range > 0 ? (value - stats.min) / range : 0;
+    }
+}
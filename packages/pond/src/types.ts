@@ -12,9 +12,12 @@ import * as Immutable from "immutable";
 import * as _ from "lodash";
 
 import { Collection } from "./collection";
+import { Duration } from "./duration";
 import { Event } from "./event";
+import { GroupingFunction } from "./groupedcollection";
 import { Key } from "./key";
 import { Period } from "./period";
+import { TimeRange } from "./timerange";
 import { TimeSeries } from "./timeseries";
 import { WindowBase } from "./window";
 
@@ -73,6 +76,20 @@ export enum AlignmentMethod {
     Linear
 }
 
+/**
+ * How the `Event`s of two `TimeSeries` are matched up by the arithmetic
+ * functions such as `TimeSeries.add()`:
+ *  * `Exact` - `Event`s are matched when they have the same key
+ *  * `Period` - Both `TimeSeries` are first aligned to a `Period` with `align()`
+ *  * `AsOf` - Each `Event` is matched with the latest `Event` of the other
+ *    `TimeSeries` at or before it
+ */
+export enum ArithmeticAlignment {
+    Exact = 1,
+    Period,
+    AsOf
+}
+
 /**
  * Method of filling used by the `fill()` function:
  *  * `Pad` - Fill with the previous value
@@ -85,6 +102,100 @@ export enum FillMethod {
     Linear
 }
 
+/**
+ * How the `rate()` function treats the field as a counter:
+ *  * `Gauge` - The field isn't a counter, so a decrease is a negative rate
+ *  * `Wrap` - The counter wraps around to zero after reaching the `counterMax`,
+ *    as SNMP interface counters do at 2^32 or 2^64
+ *  * `Reset` - A decrease means the counter was reset to zero, e.g. when a process
+ *    restarts, so the new value is the amount counted since the reset
+ *  * `Increase` - Like `Reset`, but emits the total increase over each interval,
+ *    rather than the rate per second
+ */
+export enum CounterMode {
+    Gauge = 1,
+    Wrap,
+    Reset,
+    Increase
+}
+
+/**
+ * Method of smoothing used by the `smooth()` function:
+ *  * `EWMA` - An exponentially weighted moving average, in which the weight of
+ *    each value decays over time with the `halfLife`
+ *  * `DoubleExponential` - Double exponential (Holt) smoothing, which tracks
+ *    a trend as well as the level, so lags less behind trending values
+ *  * `SavitzkyGolay` - Fits a polynomial to a centered window of values,
+ *    which smooths noise while keeping the shape of peaks
+ */
+export enum SmoothingMethod {
+    EWMA = 1,
+    DoubleExponential,
+    SavitzkyGolay
+}
+
+/**
+ * Method used by the `detectAnomalies()` function to score each value:
+ *  * `ZScore` - The number of standard deviations the value is from the mean
+ *    of the values before it
+ *  * `MAD` - The modified z-score, based on the median and median absolute
+ *    deviation of the values before it, which is robust to past outliers
+ *  * `Seasonal` - The z-score of the value's difference from its seasonal
+ *    baseline, e.g. the same hour in previous weeks
+ */
+export enum AnomalyMethod {
+    ZScore = 1,
+    MAD,
+    Seasonal
+}
+
+/**
+ * How the seasonal pattern is combined with the level and trend by
+ * the `forecast()` function:
+ *  * `Additive` - The seasonal variation is a fixed amount, added to the level
+ *  * `Multiplicative` - The seasonal variation is in proportion to the level
+ */
+export enum ForecastMethod {
+    Additive = 1,
+    Multiplicative
+}
+
+/**
+ * Event by event transform applied by the `transform()` function:
+ *  * `CumulativeSum`, `CumulativeMin`, `CumulativeMax` - The running total,
+ *    minimum or maximum of the values so far
+ *  * `Difference` - The change from the previous value
+ *  * `PercentChange` - The change from the previous value as a percentage of it
+ *  * `NormalizeToFirst` - The value divided by the first value
+ *  * `ZScore` - The number of standard deviations the value is from the mean
+ *  * `MinMax` - The value scaled so that the minimum is 0 and the maximum is 1
+ */
+export enum TransformMethod {
+    CumulativeSum = 1,
+    CumulativeMin,
+    CumulativeMax,
+    Difference,
+    PercentChange,
+    NormalizeToFirst,
+    ZScore,
+    MinMax
+}
+
+/**
+ * Type of join performed by `TimeSeries.timeSeriesListJoin()`:
+ *  * `Inner` - Only keys present in every `TimeSeries` are kept
+ *  * `Left` - Every key of the first `TimeSeries` is kept
+ *  * `Outer` - Keys present in any of the `TimeSeries` are kept
+ *  * `AsOf` - Every key of the first `TimeSeries` is kept, joined to the latest
+ *    `Event` at or before it in each of the other `TimeSeries`
+ */
+export enum JoinType {
+    Inner = 1,
+    Left,
+    Outer,
+    AsOf
+}
+
 /**
  * Options object expected by the `reduce()` stream processor. The idea
  * of this processor is to take a list of Events, always of size `count`
@@ -111,6 +222,17 @@ export interface ReduceOptions<K extends Key> {
     iteratee: ListReducer<K>;
 }
 
+/**
+ * Options object expected by the `rolling()` functions, which aggregate
+ * a trailing window of `Event`s for each `Event`:
+ *  * window - the `Duration` of the window, or the number of `Event`s in it
+ *  * aggregation - the `AggregationSpec` used to aggregate each window
+ */
+export interface RollingOptions<K extends Key> {
+    window: Duration | number;
+    aggregation: AggregationSpec<K>;
+}
+
 /**
  * Options object expected by the `coalesce()` stream processor. This
  * will take the latest of each field in `fields` and combine that into
@@ -129,10 +251,21 @@ export interface CoalesceOptions {
  *  * `window` - the size of the window, expressed as a `Period`
  *  * `trigger` - the output rate of the window, currently either
  *                Trigger.perEvent or Trigger.onDiscardedWindow
+ *  * `watermark` - how far out of order `Event`s may arrive. Windows are closed
+ *                  once the latest `Event` is this `Duration` past their end
+ *  * `allowedLateness` - how long a closed window is kept for, so that late
+ *                        `Event`s are still added to it and it is emitted again
+ *  * `onLateEvent` - a callback for `Event`s that arrive too late for any window
+ *  * `groupBy` - a field spec or function to group `Event`s by, in addition to the
+ *                window, so that each group is windowed separately
  */
 export interface WindowingOptions {
     window: WindowBase;
     trigger?: Trigger;
+    groupBy?: string | string[] | GroupingFunction<Key>;
+    watermark?: Duration;
+    allowedLateness?: Duration;
+    onLateEvent?: EventCallback<Key>;
 }
 
 /**
@@ -150,6 +283,27 @@ export interface AlignmentOptions {
     limit?: number;
 }
 
+/**
+ * Options object passed to the arithmetic functions, such as `TimeSeries.add()`:
+ *  * `fieldSpec` - the column or columns to combine, "value" by default
+ *  * `alignment` - the `ArithmeticAlignment` used to match `Event`s of the two
+ *                  `TimeSeries`, which defaults to `ArithmeticAlignment.Exact`
+ *  * `period` - for `ArithmeticAlignment.Period`, the `Period` to align to
+ *  * `method` - for `ArithmeticAlignment.Period`, the `AlignmentMethod`, which
+ *               defaults to `AlignmentMethod.Linear`
+ *  * `limit` - for `ArithmeticAlignment.Period`, the alignment `limit`
+ *  * `tolerance` - for `ArithmeticAlignment.AsOf`, the oldest an `Event` may be
+ *                  and still be matched
+ */
+export interface ArithmeticOptions {
+    fieldSpec?: string | string[];
+    alignment?: ArithmeticAlignment;
+    period?: Period;
+    method?: AlignmentMethod;
+    limit?: number;
+    tolerance?: Duration;
+}
+
 /**
  * Options object passed to the `collapse()` function:
  *  * `fieldSpecList` - the list of fields to collapse
@@ -168,10 +322,221 @@ export interface CollapseOptions {
  * Option object passed to the `rate()` function:
  *  * fieldSpec - the field to calculate the rate on
  *  * allowNegative - allow emit of negative rates
+ *  * counter - the `CounterMode` of the field, which defaults to `CounterMode.Gauge`
+ *  * counterMax - the value at which a `CounterMode.Wrap` counter wraps, which
+ *    defaults to 2^32
  */
 export interface RateOptions {
     fieldSpec: string | string[];
     allowNegative?: boolean;
+    counter?: CounterMode;
+    counterMax?: number;
+}
+
+/**
+ * Options object expected by the `smooth()` function:
+ *  * `fieldSpec` - the field or fields to smooth
+ *  * `method` - the `SmoothingMethod`, which defaults to `SmoothingMethod.EWMA`
+ *  * `halfLife` - for an EWMA, the `Duration` over which the weight of a value halves
+ *  * `alpha` - for double exponential smoothing, the weight (0 to 1) of the latest value
+ *  * `beta` - for double exponential smoothing, the weight (0 to 1) of the latest trend
+ *  * `windowSize` - for Savitzky-Golay smoothing, the odd number of `Event`s to fit
+ *  * `degree` - for Savitzky-Golay smoothing, the degree of the polynomial to fit
+ *  * `suffix` - the suffix added to the field name to make the smoothed column,
+ *               which defaults to "_smoothed"
+ */
+export interface SmoothOptions {
+    fieldSpec: string | string[];
+    method?: SmoothingMethod;
+    halfLife?: Duration;
+    alpha?: number;
+    beta?: number;
+    windowSize?: number;
+    degree?: number;
+    suffix?: string;
+}
+
+/**
+ * Options object expected by the `detectAnomalies()` function:
+ *  * `fieldSpec` - the field to score, "value" by default
+ *  * `method` - the `AnomalyMethod`, which defaults to `AnomalyMethod.ZScore`
+ *  * `window` - the number of previous values (or for `Seasonal`, differences
+ *               from the baseline) the score is based on, 30 by default
+ *  * `threshold` - the score beyond which a value is flagged as an anomaly,
+ *                  3 by default
+ *  * `season` - for `Seasonal`, the `Duration` of a season, which defaults to a week
+ *  * `seasons` - for `Seasonal`, the number of previous seasons averaged to make
+ *                the baseline, 1 by default
+ *  * `tolerance` - for `Seasonal`, how far from exactly one season before an
+ *                  `Event` may be to be part of the baseline, 0 by default
+ */
+export interface AnomalyOptions {
+    fieldSpec?: string | string[];
+    method?: AnomalyMethod;
+    window?: number;
+    threshold?: number;
+    season?: Duration;
+    seasons?: number;
+    tolerance?: Duration;
+}
+
+/**
+ * Options object expected by the `forecast()` function:
+ *  * `fieldSpec` - the column or columns to forecast, "value" by default
+ *  * `horizon` - how far past the end of the `TimeSeries` to forecast
+ *  * `period` - the `Period` of the forecast times, to which the `TimeSeries`
+ *               is first aligned
+ *  * `seasonality` - the number of `period`s in a season, e.g. 24 for hourly data
+ *                    with a daily cycle, or 0 (the default) for no seasonality
+ *  * `method` - the `ForecastMethod`, which defaults to `ForecastMethod.Additive`
+ *  * `alpha`, `beta`, `gamma` - the smoothing factors (0 to 1) of the level, trend
+ *                               and season, which default to 0.5, 0.1 and 0.1
+ *  * `confidence` - the confidence level of the forecast bands, 0.95 by default
+ */
+export interface ForecastOptions {
+    fieldSpec?: string | string[];
+    horizon: Duration;
+    period: Period;
+    seasonality?: number;
+    method?: ForecastMethod;
+    alpha?: number;
+    beta?: number;
+    gamma?: number;
+    confidence?: number;
+}
+
+/**
+ * Method used by the `correlate()` and `correlationMatrix()` functions:
+ *  * `"pearson"` - Pearson's correlation coefficient, of the values themselves
+ *  * `"spearman"` - Spearman's rank correlation coefficient, which is Pearson's
+ *    coefficient of the ranks of the values, so measures how well they move
+ *    together even if not linearly, and is less affected by outliers
+ */
+export type CorrelationMethod = "pearson" | "spearman";
+
+/**
+ * Options object expected by the `correlate()` function:
+ *  * `fieldSpec` - the column to correlate, "value" by default
+ *  * `otherFieldSpec` - the column of the other `TimeSeries` to correlate with,
+ *                       which defaults to the `fieldSpec`
+ *  * `period` - the `Period` both `TimeSeries` are aligned to first
+ *  * `method` - the `CorrelationMethod`, which defaults to "pearson"
+ *  * `maxLag` - the largest lag, in `period`s, to find the correlation at
+ *               in either direction, 0 by default
+ */
+export interface CorrelationOptions {
+    fieldSpec?: string;
+    otherFieldSpec?: string;
+    period: Period;
+    method?: CorrelationMethod;
+    maxLag?: number;
+}
+
+/**
+ * Options object expected by the `correlationMatrix()` function:
+ *  * `fieldSpec` - the columns to correlate, by default all of them
+ *  * `method` - the `CorrelationMethod`, which defaults to "pearson"
+ */
+export interface CorrelationMatrixOptions {
+    fieldSpec?: string[];
+    method?: CorrelationMethod;
+}
+
+/**
+ * Options object expected by the `decompose()` function:
+ *  * `fieldSpec` - the column or columns to decompose, "value" by default
+ *  * `period` - the `Period` on which each season starts, e.g. every day
+ *  * `trendWindow` - the `Duration` over which the trend is smoothed, which
+ *                    defaults to one and a half seasons
+ *  * `seasonalWindow` - the number of seasons over which each point of the
+ *                       season is averaged, or all of them (the default) for
+ *                       a seasonal pattern that doesn't change
+ *  * `iterations` - how many times the components are refined, 2 by default
+ */
+export interface DecomposeOptions {
+    fieldSpec?: string | string[];
+    period: Period;
+    trendWindow?: Duration;
+    seasonalWindow?: number;
+    iterations?: number;
+}
+
+/**
+ * Options object expected by the `fit()` and `timeUntil()` functions:
+ *  * `fieldSpec` - the column to fit, "value" by default
+ *  * `degree` - the degree of the polynomial to fit, 1 (a straight line) by default
+ */
+export interface FitOptions {
+    fieldSpec?: string;
+    degree?: number;
+}
+
+/**
+ * Options object expected by the `transform()` function:
+ *  * `fieldSpec` - the field or fields to transform, "value" by default
+ *  * `method` - the `TransformMethod` to apply
+ *  * `suffix` - the suffix added to the field name to make the transformed column,
+ *               which defaults to one for the method, e.g. "_cumsum" or "_zscore"
+ */
+export interface TransformOptions {
+    fieldSpec?: string | string[];
+    method: TransformMethod;
+    suffix?: string;
+}
+
+/**
+ * Method used by the `downsample()` function to pick the `Event`s to keep:
+ *  * `"lttb"` - Largest-Triangle-Three-Buckets, which keeps the `Event` of each
+ *    bucket forming the largest triangle with its neighbours
+ *  * `"minmax"` - Keeps the minimum and maximum `Event`s of each bucket
+ *  * `"m4"` - Keeps the first, last, minimum and maximum `Event`s of each bucket
+ */
+export type DownsampleMethod = "lttb" | "minmax" | "m4";
+
+/**
+ * Options object expected by the `downsample()` function:
+ *  * `fieldSpec` - the field whose values shape the downsampling, "value" by default
+ *  * `method` - the `DownsampleMethod`, which defaults to "lttb"
+ *  * `targetPoints` - when downsampling a `TimeSeries` or `Collection`, the number
+ *                     of `Event`s to downsample to
+ *  * `bucket` - when downsampling a stream, the `Duration` of each bucket
+ */
+export interface DownsampleOptions {
+    fieldSpec?: string | string[];
+    method?: DownsampleMethod;
+    targetPoints?: number;
+    bucket?: Duration;
+}
+
+/**
+ * The state of an alert, as emitted by the `alert()` function:
+ *  * `"ok"` - The alert condition has cleared before the alert fired
+ *  * `"pending"` - The alert condition has been met, but not yet for long enough
+ *  * `"firing"` - The alert condition has been met for long enough
+ *  * `"resolved"` - The alert condition has cleared after the alert fired
+ */
+export type AlertState = "ok" | "pending" | "firing" | "resolved";
+
+/**
+ * Options object expected by the `alert()` function:
+ *  * `name` - a name for the alert, included in each alert `Event`
+ *  * `fieldSpec` - the field to watch, "value" by default
+ *  * `above` - the alert condition is met while the value is above this
+ *  * `below` - the alert condition is met while the value is below this
+ *  * `hysteresis` - once met, the condition only clears when the value is back
+ *                   within the threshold by this much, to stop a noisy value
+ *                   near the threshold flapping between states
+ *  * `for` - the `Duration` the condition must be met for before the alert fires
+ *  * `absence` - the alert fires if there is no valid value for this `Duration`
+ */
+export interface AlertOptions {
+    name?: string;
+    fieldSpec?: string | string[];
+    above?: number;
+    below?: number;
+    hysteresis?: number;
+    for?: Duration;
+    absence?: Duration;
 }
 
 /**
@@ -190,13 +555,17 @@ export interface FillOptions {
 /**
  * Options object expected by the `fixedWindowRollup()` function:
  *  * `window` - the window specification. e.g. window(duration("6h"))
+ *  * `timezone` - the timezone of calendar rollups, e.g. `dailyRollup()` or
+ *                 `monthlyRollup()`, which don't need a `window`
+ *  * `weekStart` - the ISO day of the week that `weeklyRollup()` weeks begin on
  *  * `aggregation` - the aggregation specification
  *  * `toTimeEvents` - Convert the rollup events to `TimeEvent`s, otherwise it
  *                     will be returned as a `TimeSeries` of `IndexedEvent`s
  */
 export interface RollupOptions<T extends Key> {
-    window: WindowBase;
+    window?: WindowBase;
     timezone?: string;
+    weekStart?: number;
     aggregation?: AggregationSpec<T>;
     toTimeEvents?: boolean;
 }
@@ -209,6 +578,16 @@ export interface SelectOptions {
     fields: string[];
 }
 
+/**
+ * Options object expected by the `derive()` function:
+ *  * `expressions` - one or more assignments of an `Expression` to a column, such
+ *                    as `"in_bps = in_octets * 8"`, evaluated in order so that later
+ *                    expressions may use the columns of earlier ones
+ */
+export interface DeriveOptions {
+    expressions: string | string[];
+}
+
 /**
  * Options object expected by the `select()` function:
  *  * `fields` - the fields to select out of the Event
@@ -236,6 +615,102 @@ export interface TimeSeriesOptions {
     [propName: string]: any;
 }
 
+/**
+ * Options object expected by the `histogram()` aggregation, which describes
+ * its buckets in one of three ways:
+ *  * `boundaries` - the boundaries of the buckets, in ascending order
+ *  * `width` - buckets of a fixed `width`, from `min` to `max`
+ *  * `base` - log scale buckets, from `min` (which must be positive) to `max`,
+ *             each boundary `base` times the one before it, e.g. 10 for a
+ *             bucket per order of magnitude
+ */
+export interface HistogramOptions {
+    boundaries?: number[];
+    width?: number;
+    base?: number;
+    min?: number;
+    max?: number;
+}
+
+/**
+ * The result of the `histogram()` aggregation:
+ *  * `boundaries` - the boundaries of the buckets, in ascending order
+ *  * `counts` - the number of values in each bucket, i.e. from one boundary up
+ *               to the next, with the last bucket also including its upper boundary
+ *  * `underflow`, `overflow` - the number of values below and above the buckets
+ *  * `count` - the total number of values
+ *  * `min`, `max` - the smallest and largest values, or `null` if there are none
+ */
+export interface Histogram {
+    boundaries: number[];
+    counts: number[];
+    underflow: number;
+    overflow: number;
+    count: number;
+    min: number;
+    max: number;
+}
+
+/**
+ * Options object expected by the `quantileSketch()` aggregation:
+ *  * `relativeAccuracy` - the largest error of a quantile, relative to its
+ *                         value, 0.01 (i.e. 1%) by default
+ */
+export interface SketchOptions {
+    relativeAccuracy?: number;
+}
+
+/**
+ * The result of the `quantileSketch()` aggregation, a DDSketch of the values:
+ *  * `relativeAccuracy` - the largest relative error of a quantile
+ *  * `positive`, `negative` - the number of positive and negative values in each
+ *                             bucket, keyed by the index of the bucket, where
+ *                             bucket `i` holds the values with a magnitude
+ *                             above γ^(i-1) up to γ^i, with
+ *                             γ = (1 + relativeAccuracy) / (1 - relativeAccuracy)
+ *  * `zero` - the number of values which are zero
+ *  * `count` - the total number of values
+ *  * `min`, `max` - the smallest and largest values, or `null` if there are none
+ */
+export interface QuantileSketch {
+    relativeAccuracy: number;
+    positive: { [index: string]: number };
+    negative: { [index: string]: number };
+    zero: number;
+    count: number;
+    min: number;
+    max: number;
+}
+
+/**
+ * Options object expected by the `TimeSeries.timeSeriesListJoin()` function:
+ *  * `seriesList` - A list of `TimeSeries` to join (required)
+ *  * `type` - The `JoinType`, which defaults to `JoinType.Inner`
+ *  * `tolerance` - For an as-of join, the `Duration` beyond which an earlier
+ *                  `Event` is too old to be joined. By default there's no limit.
+ *  * `prefixes` - A prefix for the columns of each `TimeSeries`, so that a
+ *                 column "in" of a `TimeSeries` with the prefix "traffic"
+ *                 becomes "traffic_in" in the result
+ */
+export interface JoinOptions {
+    seriesList: Array<TimeSeries<Key>>;
+    type?: JoinType;
+    tolerance?: Duration;
+    prefixes?: string[];
+    [propName: string]: any;
+}
+
+/**
+ * Options object expected by the `TimeSeries.compareToPrevious()` function:
+ *  * `period` - The `Duration` back to the previous `Event` to compare
+ *               with, e.g. `duration("7d")` to compare with the week before
+ *  * `fieldSpec` - Column or columns to compare (default "value")
+ */
+export interface CompareOptions {
+    period: Duration;
+    fieldSpec?: string | string[];
+}
+
 //
 // Callback functions
 //
@@ -287,25 +762,49 @@ export type KeyedCollectionCallback<T extends Key> = (
 ) => void;
 
 /**
- * A tuple of string key and associated `Collection`
+ * A tuple of string key and associated `Collection`, optionally followed by
+ * the `AggregationContext` of the window the `Collection` was gathered in
  */
-export type KeyedCollection<T extends Key> = [string, Collection<T>];
+export type KeyedCollection<T extends Key> = [string, Collection<T>, AggregationContext<T>?];
 
 //
 // Aggregation specification
 //
 
 /**
- * Tuple mapping a string -> `ReducerFunction`
- * e.g. `["value", avg()]`
+ * Tuple mapping a field, or list of fields, -> `ReducerFunction`
+ * e.g. `["value", avg()]` or `[["in", "out"], avg()]`
+ */
+export type AggregationTuple = [string | string[], ReducerFunction];
+
+/**
+ * Describes where a `Collection` being aggregated sits in time. When aggregating
+ * windows this is the `window` `TimeRange` itself, along with the `previous` and
+ * `next` `Event`s either side of the window, where those are known. Time aware
+ * aggregations, such as `timeWeightedAvg()`, use this to interpolate the
+ * values at the edges of the window.
+ *
+ * Windows also carry the `key` given to their aggregated `Event`, i.e. their
+ * `Index`, or `TimeRange` for session and count windows, and the value of
+ * the `groupBy` that their `Event`s share, if grouped.
  */
-export type AggregationTuple = [string, ReducerFunction];
+export interface AggregationContext<T extends Key> {
+    window?: TimeRange;
+    previous?: Event<T>;
+    next?: Event<T>;
+    key?: Key;
+    group?: any;
+}
 
 /**
  * An alternative to the `AggregationTuple` where you can specify a function to
- * generate the resulting aggregation given the full `Collection` as input.
+ * generate the resulting aggregation given the full `Collection` as input, along
+ * with the `AggregationContext` of the window, if any.
  */
-export type AggregationMapFunction<T extends Key> = (collection: Collection<T>) => any;
+export type AggregationMapFunction<T extends Key> = (
+    collection: Collection<T>,
+    context?: AggregationContext<T>
+) => any;
 
 /**
  * A general aggregation specification, either as a `AggregationTuple` or
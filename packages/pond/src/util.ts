@@ -18,6 +18,10 @@ import { period, Period } from "./period";
 import { time } from "./time";
 import { TimeRange, timerange } from "./timerange";
 
+import { Collection } from "./collection";
+import { Key } from "./key";
+import { Aggregation, AggregationContext, AggregationSpec } from "./types";
+
 const UNITS = {
     n: { label: "nanoseconds", length: 1 / 1000000 },
     u: { label: "microseconds", length: 1 / 1000 },
@@ -98,6 +102,25 @@ function isIndexString(indexString: string): boolean {
     return indexStringRegex.test(indexString);
 }
 
+const weekIndexStringRegex = /^[0-9]{4}-W[0-9]{2}(-[1-7])?$/;
+
+/**
+ * Returns true if the index string represents a week, either an ISO week
+ * (e.g. "2017-W36") or a week beginning on a specific ISO week date
+ * (e.g. "2017-W36-7", the week beginning Sunday 10th September 2017).
+ */
+function isWeekIndexString(indexString: string): boolean {
+    return weekIndexStringRegex.test(indexString);
+}
+
+/**
+ * Parses the first day of a week index string, in the timezone `tz`.
+ */
+function weekBeginFromIndexString(indexString: string, tz: string): Moment {
+    const format = indexString.split("-").length === 3 ? "GGGG-[W]WW-E" : "GGGG-[W]WW";
+    return moment.tz(indexString, format, true, tz);
+}
+
 /**
  * Helper function to get the window position relative
  * to Jan 1, 1970.
@@ -121,6 +144,16 @@ function timeRangeFromIndexString(indexString: string, tz: string = "Etc/UTC"):
     let beginTime: Moment;
     let endTime: Moment;
 
+    if (isWeekIndexString(indexString)) {
+        // A week e.g. 2017-W36 or 2017-W36-7
+        beginTime = weekBeginFromIndexString(indexString, tz);
+        endTime = beginTime
+            .clone()
+            .add(6, "days")
+            .endOf("day");
+        return beginTime.isValid() ? timerange(beginTime, endTime) : undefined;
+    }
+
     switch (parts.length) {
         case 3:
             // A day, month and year e.g. 2014-10-24
@@ -174,7 +207,7 @@ function timeRangeFromIndexString(indexString: string, tz: string = "Etc/UTC"):
 /**
  * Returns a nice string for an index string. If the index string is of
  * the form 1d-2345 then just that string is returned (there's not nice
- * way to put it), but if it represents a day, month, or year
+ * way to put it), but if it represents a day, week, month, or year
  * (e.g. 2015-07) then a nice string like "July" will be returned. It's
  * also possible to pass in the format of the reply for these types of
  * strings. See moment's format naming conventions:
@@ -183,6 +216,14 @@ function timeRangeFromIndexString(indexString: string, tz: string = "Etc/UTC"):
 function niceIndexString(indexString: string, format: string): string {
     let t;
     const parts = indexString.split("-");
+    if (isWeekIndexString(indexString)) {
+        t = weekBeginFromIndexString(indexString, "Etc/UTC");
+        if (format) {
+            return t.format(format);
+        } else {
+            return `Week of ${t.format("MMMM Do YYYY")}`;
+        }
+    }
     switch (parts.length) {
         case 3:
             if (
@@ -308,6 +349,33 @@ function dataFromArg(
     return data;
 }
 
+/**
+ * Aggregates the `collection` down to an `Immutable.Map` of values using the
+ * `aggregationSpec`. Each destination field of the spec, which may be a deep
+ * path such as "stats.avg", is mapped to either an `AggregationTuple` of the
+ * source field(s) and a `ReducerFunction`, or an `AggregationMapFunction` of the
+ * whole `Collection`. Reducing multiple fields results in a map of field to value.
+ * The `context`, if any, is passed on to each `AggregationMapFunction`.
+ */
+function aggregateCollection<T extends Key>(
+    collection: Collection<T>,
+    aggregationSpec: AggregationSpec<T>,
+    context?: AggregationContext<T>
+): Immutable.Map<string, any> {
+    let data = Immutable.Map<string, any>();
+    _.forEach(aggregationSpec, (src: Aggregation<T>, dest: string) => {
+        let value;
+        if (_.isFunction(src)) {
+            value = src(collection, context);
+        } else {
+            const [srcField, reducer] = src;
+            value = collection.aggregate(reducer, srcField);
+        }
+        data = data.setIn(fieldAsArray(dest), Immutable.fromJS(value));
+    });
+    return data;
+}
+
 /**
  * Convert the `field spec` into a list if it is not already.
  */
@@ -319,7 +387,19 @@ function fieldAsArray(field: string | string[]): string[] {
     }
 }
 
+/**
+ * Returns the path of a field derived from the one at `fieldPath`, which is
+ * alongside it and named with the `suffix`, e.g. ["in", "bytes_rate"] for
+ * ["in", "bytes"] and "_rate".
+ */
+function suffixedPath(fieldPath: string[], suffix: string): string[] {
+    const path = fieldPath.slice();
+    path[path.length - 1] += suffix;
+    return path;
+}
+
 export default {
+    aggregateCollection,
     dataFromArg,
     fieldAsArray,
     indexFromArgs,
@@ -327,8 +407,10 @@ export default {
     isValid,
     leftPad,
     isIndexString,
+    isWeekIndexString,
     decodeIndexString,
     niceIndexString,
+    suffixedPath,
     timeRangeFromArg,
     timeRangeFromIndexString,
     timestampFromArg,
@@ -14,6 +14,7 @@ import moment from "moment-timezone";
 
 import { Duration } from "./duration";
 import { Index, index } from "./index";
+import { Key } from "./key";
 import { Period } from "./period";
 import { Time, time } from "./time";
 import { TimeRange } from "./timerange";
@@ -27,6 +28,54 @@ export enum WindowType {
 
 export abstract class WindowBase {
     public abstract getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index>;
+
+    /**
+     * Returns the timezone that `Index`es produced by this window are relative
+     * to. Calendar windows (days, weeks, months and years) depend on a timezone,
+     * while fixed duration windows are always UTC.
+     */
+    public timezone(): string {
+        return "Etc/UTC";
+    }
+
+    /**
+     * Returns the `Key` of the aggregated `Event` for the window named `windowKey`,
+     * given the `TimeRange` spanned by the `Event`s within that window. Most windows
+     * are named by an `Index` string, so this is the `Index` itself.
+     */
+    public keyOf(windowKey: string, range: TimeRange): Key {
+        return index(windowKey, this.timezone());
+    }
+}
+
+/**
+ * Returns the set of calendar `Index`es which cover the `Time` or `TimeRange`
+ * supplied as `t`. Each calendar window begins at the moment returned by `startOf`,
+ * is one `unit` long and is named by formatting its beginning with `format`.
+ */
+function calendarIndexSet(
+    t: Time | TimeRange,
+    tz: string,
+    startOf: (m: moment.Moment) => moment.Moment,
+    unit: moment.unitOfTime.DurationConstructor,
+    format: string
+): Immutable.OrderedSet<Index> {
+    let results = Immutable.OrderedSet<Index>();
+    let t1: moment.Moment;
+    let t2: moment.Moment;
+    if (t instanceof Time) {
+        t1 = moment(+t).tz(tz);
+        t2 = moment(+t).tz(tz);
+    } else if (t instanceof TimeRange) {
+        t1 = moment(+t.begin()).tz(tz);
+        t2 = moment(+t.end()).tz(tz);
+    }
+    let tt = startOf(t1);
+    while (tt.isSameOrBefore(t2)) {
+        results = results.add(index(tt.format(format), tz));
+        tt = tt.clone().add(1, unit);
+    }
+    return results;
 }
 
 /**
@@ -105,6 +154,160 @@ export class DayWindow extends WindowBase {
         }
         return results;
     }
+
+    /**
+     * Returns the timezone of this `DayWindow`
+     */
+    public timezone(): string {
+        return this._tz;
+    }
+}
+
+/**
+ * Specifies a repeating week, beginning on a configurable day of the week and
+ * specific to the supplied timezone. You can create one using the `weekly()`
+ * factory function.
+ *
+ * Weeks that begin on a Monday are ISO weeks and are represented by `Index`
+ * strings such as "2017-W36". Weeks that begin on any other day are named by
+ * the ISO week date of their first day, so a week starting on Sunday 10th
+ * September 2017 is "2017-W36-7".
+ *
+ * Example:
+ * ```
+ * const sundayWeeks = weekly("America/New_York", 7);
+ * const indexes = sundayWeeks.getIndexSet(time("2017-09-12T12:00:00Z"));  // 2017-W36-7
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class IsoWeekWindow extends WindowBase {
+    private _tz: string;
+    private _weekStart: number;
+
+    /**
+     * Construct a new `IsoWeekWindow`, optionally supplying the timezone `tz`
+     * for the `Window` (the default is `UTC`) and the ISO day of the week that
+     * each week begins on as `weekStart`, from 1 (Monday, the default) through
+     * to 7 (Sunday).
+     */
+    constructor(tz: string = "Etc/UTC", weekStart: number = 1) {
+        super();
+        if (!_.isInteger(weekStart) || weekStart < 1 || weekStart > 7) {
+            throw new Error("Week start must be an ISO day of the week between 1 and 7");
+        }
+        this._tz = tz;
+        this._weekStart = weekStart;
+    }
+
+    /**
+     * Returns an `Immutable.OrderedSet<Index>` set of week `Index`es for the
+     * `Time` or `TimeRange` supplied as `t`.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        const format = this._weekStart === 1 ? "GGGG-[W]WW" : "GGGG-[W]WW-E";
+        const startOfWeek = (m: moment.Moment) => {
+            const offset = (m.isoWeekday() - this._weekStart + 7) % 7;
+            return m
+                .clone()
+                .startOf("day")
+                .subtract(offset, "days");
+        };
+        return calendarIndexSet(t, this._tz, startOfWeek, "weeks", format);
+    }
+
+    /**
+     * Returns the timezone of this `IsoWeekWindow`
+     */
+    public timezone(): string {
+        return this._tz;
+    }
+
+    /**
+     * Returns the ISO day of the week (1 is Monday, 7 is Sunday) that
+     * each week begins on
+     */
+    public weekStart(): number {
+        return this._weekStart;
+    }
+}
+
+/**
+ * Specifies a repeating calendar month specific to the supplied timezone. You
+ * can create one using the `monthly()` factory function. Each month is represented
+ * by an `Index` string such as "2017-09".
+ *
+ * Example:
+ * ```
+ * const months = monthly("Europe/London");
+ * const monthlyAvg = series.fixedWindowRollup({
+ *     window: months,
+ *     aggregation: { value: ["value", avg()] }
+ * });
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class MonthWindow extends WindowBase {
+    private _tz: string;
+
+    /**
+     * Construct a new `MonthWindow`, optionally supplying the timezone `tz`
+     * for the `Window`. The default is `UTC`.
+     */
+    constructor(tz: string = "Etc/UTC") {
+        super();
+        this._tz = tz;
+    }
+
+    /**
+     * Returns an `Immutable.OrderedSet<Index>` set of month `Index`es for the
+     * `Time` or `TimeRange` supplied as `t`.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        const startOfMonth = (m: moment.Moment) => m.clone().startOf("month");
+        return calendarIndexSet(t, this._tz, startOfMonth, "months", "YYYY-MM");
+    }
+
+    /**
+     * Returns the timezone of this `MonthWindow`
+     */
+    public timezone(): string {
+        return this._tz;
+    }
+}
+
+/**
+ * Specifies a repeating calendar year specific to the supplied timezone. You
+ * can create one using the `yearly()` factory function. Each year is represented
+ * by an `Index` string such as "2017".
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class YearWindow extends WindowBase {
+    private _tz: string;
+
+    /**
+     * Construct a new `YearWindow`, optionally supplying the timezone `tz`
+     * for the `Window`. The default is `UTC`.
+     */
+    constructor(tz: string = "Etc/UTC") {
+        super();
+        this._tz = tz;
+    }
+
+    /**
+     * Returns an `Immutable.OrderedSet<Index>` set of year `Index`es for the
+     * `Time` or `TimeRange` supplied as `t`.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        const startOfYear = (m: moment.Moment) => m.clone().startOf("year");
+        return calendarIndexSet(t, this._tz, startOfYear, "years", "YYYY");
+    }
+
+    /**
+     * Returns the timezone of this `YearWindow`
+     */
+    public timezone(): string {
+        return this._tz;
+    }
 }
 
 /**
@@ -253,24 +456,226 @@ export class Window extends WindowBase {
     }
 }
 
+/**
+ * Specifies a session window, which opens on the first `Event` it sees and
+ * closes once no further `Event`s have arrived for the inactivity `gap`.
+ * Optionally a `maxLength` can be given, in which case a session is closed
+ * once it would run for that long, and the next `Event` begins a new session.
+ * You can create one using the `session()` factory function.
+ *
+ * Unlike the other windows, the extent of a session depends on the `Event`s
+ * within it, so it can't be expressed as an `Index`. Instead each session is
+ * named "session-" followed by the ms timestamp of its first `Event`, and
+ * aggregating a session will result in an `Event` keyed by the `TimeRange`
+ * from its first to its last `Event`.
+ *
+ * Example:
+ * ```
+ * const sessions = timeseries.collectByWindow({
+ *     window: session(duration("30m"), duration("8h"))
+ * });
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class SessionWindow extends WindowBase {
+    private _gap: Duration;
+    private _maxLength: Duration;
+
+    /**
+     * Construct a new `SessionWindow` which closes after the inactivity `gap`,
+     * and optionally after a session has run for the `maxLength`.
+     */
+    constructor(gap: Duration, maxLength?: Duration) {
+        super();
+        this._gap = gap;
+        this._maxLength = maxLength;
+    }
+
+    /**
+     * Returns the inactivity gap which closes a session
+     */
+    public gap(): Duration {
+        return this._gap;
+    }
+
+    /**
+     * Returns the maximum length of a session, if any
+     */
+    public maxLength(): Duration {
+        return this._maxLength;
+    }
+
+    /**
+     * Sessions can't be determined from a `Time` alone, so this will throw.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        throw new Error("Session windows depend on their events and have no index set");
+    }
+
+    /**
+     * Returns true if an `Event` at `t` belongs to the session spanning the
+     * `TimeRange` `range`. That's the case if it's within the `gap` of the session's
+     * first or last `Event`, or between them, and the session including it would
+     * still be shorter than the `maxLength`. An `Event` can be before the start of
+     * the session when it arrives out of order.
+     */
+    public continues(range: TimeRange, t: Time): boolean {
+        const begin = Math.min(+range.begin(), +t);
+        const end = Math.max(+range.end(), +t);
+        const withinGap = +t > +range.begin() - +this._gap && +t < +range.end() + +this._gap;
+        return withinGap && (!this._maxLength || end - begin < +this._maxLength);
+    }
+
+    /**
+     * Returns the `Time` at which the session spanning the `TimeRange` `range`
+     * closes, unless it is continued by another `Event` before then.
+     */
+    public closesAt(range: TimeRange): Time {
+        const afterGap = +range.end() + +this._gap;
+        const afterMaxLength = this._maxLength ? +range.begin() + +this._maxLength : afterGap;
+        return time(Math.min(afterGap, afterMaxLength));
+    }
+
+    /**
+     * Returns the name of a session beginning with an `Event` at `t`
+     */
+    public sessionKey(t: Time): string {
+        return `session-${+t}`;
+    }
+
+    /**
+     * Sessions are keyed by the `TimeRange` from their first to last `Event`
+     */
+    public keyOf(windowKey: string, range: TimeRange): Key {
+        return range;
+    }
+}
+
+/**
+ * Specifies a window of a fixed number of `Event`s, rather than a duration of
+ * time. You can create one using the `countWindow()` factory function.
+ *
+ * By default the windows are tumbling, so that each `Event` falls in exactly
+ * one window of `size` `Event`s. Using `every()` you can make the windows
+ * slide instead, so that a new window of the last `size` `Event`s begins
+ * every `step` `Event`s.
+ *
+ * Since the windows are counted from the first `Event`, they can't be expressed
+ * as an `Index`. Instead windows are named by the `toString()` of this window
+ * and the window's number, e.g. "count-10-3" for the fourth window of 10 `Event`s.
+ * Aggregating a window will result in an `Event` keyed by the `TimeRange` from
+ * its first to its last `Event`.
+ *
+ * Example:
+ * ```
+ * const lastTenEveryFive = countWindow(10).every(5);
+ * const windowed = collection.window({ window: lastTenEveryFive });
+ * ```
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class CountWindow extends WindowBase {
+    private _size: number;
+    private _step: number;
+
+    /**
+     * Construct a new `CountWindow` of `size` `Event`s, beginning a new window
+     * every `step` `Event`s. The default `step` is the `size`, i.e. tumbling windows.
+     */
+    constructor(size: number, step?: number) {
+        super();
+        if (!_.isInteger(size) || size < 1) {
+            throw new Error("Count window size must be a positive integer");
+        }
+        if (!_.isUndefined(step) && (!_.isInteger(step) || step < 1)) {
+            throw new Error("Count window step must be a positive integer");
+        }
+        this._size = size;
+        this._step = step || size;
+    }
+
+    public toString(): string {
+        if (this._step === this._size) {
+            return `count-${this._size}`;
+        } else {
+            return `count-${this._size}@${this._step}`;
+        }
+    }
+
+    /**
+     * Returns the number of `Event`s in each window
+     */
+    public size(): number {
+        return this._size;
+    }
+
+    /**
+     * Returns the number of `Event`s between the start of each window
+     */
+    public step(): number {
+        return this._step;
+    }
+
+    /**
+     * Specify how many `Event`s apart each window begins
+     */
+    public every(step: number): CountWindow {
+        return new CountWindow(this._size, step);
+    }
+
+    /**
+     * Count windows can't be determined from a `Time` alone, so this will throw.
+     */
+    public getIndexSet(t: Time | TimeRange): Immutable.OrderedSet<Index> {
+        throw new Error("Count windows depend on their events and have no index set");
+    }
+
+    /**
+     * Returns the names of the windows which the `n`th `Event` (counting from 0)
+     * falls within.
+     */
+    public windowKeys(n: number): Immutable.List<string> {
+        const firstWindow = Math.max(0, Math.ceil((n - this._size + 1) / this._step));
+        const lastWindow = Math.floor(n / this._step);
+        const prefix = this.toString();
+        return Immutable.Range(firstWindow, lastWindow + 1)
+            .map(i => `${prefix}-${i}`)
+            .toList();
+    }
+
+    /**
+     * Windows are keyed by the `TimeRange` from their first to last `Event`
+     */
+    public keyOf(windowKey: string, range: TimeRange): Key {
+        return range;
+    }
+}
+
 function window(d: Duration, period?: Period): Window {
     return new Window(d, period);
 }
 
-/*
-function daily() {
-    return new Window(WindowType.Day);
+function daily(tz: string = "Etc/UTC"): DayWindow {
+    return new DayWindow(tz);
+}
+
+function weekly(tz: string = "Etc/UTC", weekStart: number = 1): IsoWeekWindow {
+    return new IsoWeekWindow(tz, weekStart);
 }
-function monthly() {
-    return new Window(WindowType.Month);
+
+function monthly(tz: string = "Etc/UTC"): MonthWindow {
+    return new MonthWindow(tz);
 }
-function yearly() {
-    return new Window(WindowType.Year);
+
+function yearly(tz: string = "Etc/UTC"): YearWindow {
+    return new YearWindow(tz);
 }
-*/
 
-function daily(tz: string = "Etc/UTC"): DayWindow {
-    return new DayWindow(tz);
+function session(gap: Duration, maxLength?: Duration): SessionWindow {
+    return new SessionWindow(gap, maxLength);
+}
+
+function countWindow(size: number, step?: number): CountWindow {
+    return new CountWindow(size, step);
 }
 
-export { window, daily /*, monthly, yearly*/ };
+export { window, daily, weekly, monthly, yearly, session, countWindow };
@@ -17,12 +17,14 @@ import { GroupedCollection, GroupingFunction } from "./groupedcollection";
 import { Index, index } from "./index";
 import { Key } from "./key";
 import { SortedCollection } from "./sortedcollection";
-import { time } from "./time";
+import { Time, time } from "./time";
+import { TimeRange, timerange } from "./timerange";
 import util from "./util";
+import { CountWindow, SessionWindow } from "./window";
 
 import {
+    AggregationContext,
     AggregationSpec,
-    AggregationTuple,
     KeyedCollection,
     Trigger,
     WindowingOptions
@@ -41,6 +43,15 @@ import {
     sum
 } from "./functions";
 
+/**
+ * An open session of a group, named `key` and spanning the `range` from its
+ * first to last `Event`
+ */
+interface Session {
+    key: string;
+    range: TimeRange;
+}
+
 /**
  * A map of `SortedCollection`s indexed by a string key representing a window.
  */
@@ -48,8 +59,16 @@ export class WindowedCollection<T extends Key> extends Base {
     protected collections: Immutable.Map<string, SortedCollection<T>>;
     protected options: WindowingOptions;
     protected group: string | string[] | GroupingFunction<T>;
+    protected sources: Immutable.Map<string, SortedCollection<T>>;
 
     private triggerThreshold: Date;
+    private sessions = Immutable.Map<string, Immutable.List<Session>>();
+    private counts = Immutable.Map<string, number>();
+    private watermark: Time;
+    private closed = Immutable.Set<string>();
+    private lastEvents = Immutable.Map<string, Event<T>>();
+    private neighbours = Immutable.Map<string, AggregationContext<T>>();
+    private parts = Immutable.Map<string, [any, string]>();
 
     /**
      * Builds a new grouping that is based on a window period. This is combined
@@ -79,7 +98,7 @@ export class WindowedCollection<T extends Key> extends Base {
     constructor(windowing: WindowingOptions, collection?: SortedCollection<T>);
     constructor(
         windowing: WindowingOptions,
-        group: string | string[],
+        group: string | string[] | GroupingFunction<T>,
         collection?: SortedCollection<T>
     );
     constructor(arg1: any, arg2?: any, arg3?: any) {
@@ -91,6 +110,7 @@ export class WindowedCollection<T extends Key> extends Base {
 
             if (Immutable.Map.isMap(arg2)) {
                 const collections = arg2 as Immutable.Map<string, SortedCollection<T>>;
+                this.sources = collections;
 
                 // Rekey all the events in the collections with a new key that
                 // combines their existing group with the windows they fall in.
@@ -99,11 +119,8 @@ export class WindowedCollection<T extends Key> extends Base {
                 let remapped = Immutable.List();
                 collections.forEach((c, k) => {
                     c.forEach(e => {
-                        const groups = this.options.window
-                            .getIndexSet(time(e.timestamp()))
-                            .toList();
-                        groups.forEach(g => {
-                            remapped = remapped.push([`${k}::${g.asString()}`, e]);
+                        this.windowKeysOf(k, e).forEach(windowKey => {
+                            remapped = remapped.push([this.collectionKey(k, windowKey), e]);
                         });
                     });
                 });
@@ -115,7 +132,10 @@ export class WindowedCollection<T extends Key> extends Base {
                     .toMap();
             } else {
                 let collection;
-                if (_.isString(arg2) || _.isArray(arg2)) {
+                if (_.isFunction(arg2)) {
+                    this.group = arg2 as GroupingFunction<T>;
+                    collection = arg3 as SortedCollection<T>;
+                } else if (_.isString(arg2) || _.isArray(arg2)) {
                     this.group = util.fieldAsArray(arg2 as string | string[]);
                     collection = arg3 as SortedCollection<T>;
                 } else {
@@ -139,6 +159,19 @@ export class WindowedCollection<T extends Key> extends Base {
     }
 
     /**
+     * Aggregates each window's `SortedCollection` down to a single `Event`,
+     * according to the `aggregationSpec`. The resulting `Event`s are keyed by
+     * the `Index` of their window, or for session and count windows by the
+     * `TimeRange` spanned by the window's `Event`s, in which case you can
+     * supply `TimeRange` as the type parameter `K`.
+     *
+     * Each entry in the `aggregationSpec` maps a destination field, which may be
+     * a deep path such as "stats.avg", to either a tuple of source field (or list
+     * of fields) and reducer, or to a function of the window's whole `Collection`.
+     * Such functions are also passed the `AggregationContext` of the window, so
+     * that time aware aggregations like `timeWeightedAvg()` can interpolate
+     * values at the window's edges from the `Event`s either side of it.
+     *
      * Example:
      * ```
      * const rolledUp = collection
@@ -150,24 +183,21 @@ export class WindowedCollection<T extends Key> extends Base {
      *   });
      * ```
      */
-    aggregate(aggregationSpec: AggregationSpec<T>): GroupedCollection<Index> {
-        let eventMap = Immutable.Map<string, Immutable.List<Event<Index>>>();
+    aggregate<K extends Key = Index>(aggregationSpec: AggregationSpec<T>): GroupedCollection<K> {
+        let eventMap = Immutable.Map<string, Immutable.List<Event<K>>>();
         this.collections.forEach((collection, group) => {
-            const d = {};
-            const [groupKey, windowKey] = group.split("::");
-            _.forEach(aggregationSpec, (src: AggregationTuple, dest: string) => {
-                const [srcField, reducer] = src;
-                d[dest] = collection.aggregate(reducer, srcField);
-            });
-            const eventKey = index(windowKey);
-            const indexedEvent = new Event<Index>(eventKey, Immutable.fromJS(d));
+            const [groupKey] = this.splitKey(group);
+            const context = this.contextOf(group, collection);
+            const eventKey = context.key;
+            const data = util.aggregateCollection(collection, aggregationSpec, context);
+            const indexedEvent = new Event<K>(eventKey as K, data);
             if (!eventMap.has(groupKey)) {
                 eventMap = eventMap.set(groupKey, Immutable.List());
             }
             eventMap = eventMap.set(groupKey, eventMap.get(groupKey).push(indexedEvent));
         });
-        const mapping = eventMap.map(eventList => new SortedCollection<Index>(eventList));
-        return new GroupedCollection<Index>(mapping);
+        const mapping = eventMap.map(eventList => new SortedCollection<K>(eventList));
+        return new GroupedCollection<K>(mapping);
     }
 
     /**
@@ -189,67 +219,325 @@ export class WindowedCollection<T extends Key> extends Base {
     public ungroup(): Immutable.Map<string, SortedCollection<T>> {
         const result = Immutable.Map<string, SortedCollection<T>>();
         this.collections.forEach((collection, key) => {
-            const newKey = key.split("::")[1];
+            const [__, newKey] = this.splitKey(key);
             result[newKey] = collection;
         });
         return result;
     }
 
+    /**
+     * Adds an `Event` to the windows it falls within, returning the list of
+     * `KeyedCollection`s to be emitted as a result, according to the `trigger`.
+     *
+     * Windows are closed by the watermark, which trails the latest `Event` seen
+     * by the `watermark` `Duration` of the `WindowingOptions`, allowing for `Event`s
+     * that arrive out of order by up to that amount. A closed window is kept for a
+     * further `allowedLateness`, during which late `Event`s are still added to it and,
+     * when triggering on discarded windows, the updated window is emitted again.
+     * `Event`s too late for all of their windows are passed to the `onLateEvent`
+     * callback, if any, rather than being added.
+     */
     addEvent(event: Event<T>): Immutable.List<KeyedCollection<T>> {
         let toBeEmitted = Immutable.List<KeyedCollection<T>>();
 
-        const discardWindows = true;
         const emitOnDiscard = this.options.trigger === Trigger.onDiscardedWindow;
         const emitEveryEvent = this.options.trigger === Trigger.perEvent;
+        const lateness = this.options.allowedLateness ? +this.options.allowedLateness : 0;
+
+        // Advance the watermark
+        const delay = this.options.watermark ? +this.options.watermark : 0;
+        const eventWatermark = +event.timestamp() - delay;
+        if (!this.watermark || eventWatermark > +this.watermark) {
+            this.watermark = time(eventWatermark);
+        }
 
         const keys: Immutable.List<string> = this.getEventGroups(event);
+        const [eventGroup] = keys.isEmpty() ? [null] : this.splitKey(keys.first());
+        const previous = this.lastEvents.get(eventGroup);
+        if (!previous || +event.timestamp() > +previous.timestamp()) {
+            this.lastEvents = this.lastEvents.set(eventGroup, event);
+        }
 
-        // Add event to an existing collection(s) or a new collection(s)
+        // Add event to an existing collection(s) or a new collection(s), unless
+        // the window has already been discarded
+        let added = false;
         keys.forEach(key => {
-            // Add event to collection referenced by this key
-            let targetCollection: SortedCollection<T>;
-            let createdCollection = false;
-            if (this.collections.has(key)) {
-                targetCollection = this.collections.get(key);
-            } else {
-                targetCollection = new SortedCollection<T>(Immutable.List());
-                createdCollection = true;
+            const targetCollection = this.collections.has(key)
+                ? this.collections.get(key)
+                : new SortedCollection<T>(Immutable.List());
+            const updatedCollection = targetCollection.addEvent(event);
+            if (+this.watermark >= this.windowEnd(key, updatedCollection) + lateness) {
+                // Forget any session the event would have started
+                if (!this.collections.has(key)) {
+                    this.discard(key);
+                }
+                return;
             }
-            this.collections = this.collections.set(key, targetCollection.addEvent(event));
+            if (
+                !this.collections.has(key) &&
+                previous &&
+                +previous.timestamp() < +event.timestamp()
+            ) {
+                this.neighbours = this.neighbours.set(key, { previous });
+            }
+            this.collections = this.collections.set(key, updatedCollection);
+            added = true;
 
-            // Push onto the emit list
-            if (emitEveryEvent) {
-                toBeEmitted = toBeEmitted.push([key, this.collections.get(key)]);
+            // Push onto the emit list, including late updates to already closed windows
+            if (emitEveryEvent || (emitOnDiscard && this.closed.has(key))) {
+                toBeEmitted = toBeEmitted.push(this.keyed(key, updatedCollection));
             }
         });
 
-        // Discard past collections
+        if (!added && this.options.onLateEvent) {
+            this.options.onLateEvent(event);
+        }
+
+        // Close windows which the watermark has passed, discarding them once
+        // they are beyond the allowed lateness
         let keep = Immutable.Map<string, SortedCollection<T>>();
-        let discard = Immutable.Map<string, SortedCollection<T>>();
         this.collections.forEach((collection, collectionKey) => {
-            const [__, windowKey] =
-                collectionKey.split("::").length > 1
-                    ? collectionKey.split("::")
-                    : [null, collectionKey];
-            if (+event.timestamp() < +util.timeRangeFromIndexString(windowKey).end()) {
-                keep = keep.set(collectionKey, collection);
+            const end = this.windowEnd(collectionKey, collection);
+            const isClosed = this.closed.has(collectionKey);
+            const isFull = this.isFull(collection);
+
+            // The first event of the group beyond the window is its next neighbour
+            const neighbours = this.neighbours.get(collectionKey) || {};
+            const [groupKey] = this.splitKey(collectionKey);
+            if (
+                !neighbours.next &&
+                groupKey === eventGroup &&
+                !keys.contains(collectionKey) &&
+                +event.timestamp() > +collection.lastEvent().timestamp()
+            ) {
+                this.neighbours = this.neighbours.set(collectionKey, {
+                    ...neighbours,
+                    next: event
+                });
+            }
+
+            if (!isClosed && (isFull || +this.watermark >= end)) {
+                this.closed = this.closed.add(collectionKey);
+                if (emitOnDiscard) {
+                    toBeEmitted = toBeEmitted.push(this.keyed(collectionKey, collection));
+                }
+            }
+            if (isFull || +this.watermark >= end + lateness) {
+                this.discard(collectionKey);
             } else {
-                discard = discard.set(collectionKey, collection);
+                keep = keep.set(collectionKey, collection);
             }
         });
-        if (emitOnDiscard) {
-            discard.forEach((collection, collectionKey) => {
-                toBeEmitted = toBeEmitted.push([collectionKey, collection]);
-            });
-        }
         this.collections = keep;
 
         return toBeEmitted;
     }
 
+    /**
+     * Closes all remaining windows, which is used when a stream ends. When
+     * triggering on discarded windows, those windows not yet emitted are
+     * returned as a list of `KeyedCollection`s.
+     */
+    public flush(): Immutable.List<KeyedCollection<T>> {
+        let toBeEmitted = Immutable.List<KeyedCollection<T>>();
+        if (this.options.trigger === Trigger.onDiscardedWindow) {
+            this.collections.forEach((collection, collectionKey) => {
+                if (!this.closed.has(collectionKey)) {
+                    toBeEmitted = toBeEmitted.push(this.keyed(collectionKey, collection));
+                }
+            });
+        }
+        this.collections = Immutable.Map<string, SortedCollection<T>>();
+        this.sessions = this.sessions.clear();
+        this.counts = this.counts.clear();
+        this.closed = this.closed.clear();
+        this.lastEvents = this.lastEvents.clear();
+        this.neighbours = this.neighbours.clear();
+        this.parts = this.parts.clear();
+        this.watermark = null;
+        return toBeEmitted;
+    }
+
+    /**
+     * The timezone of the window `Index`es, which is UTC unless a calendar
+     * window (e.g. `daily()` or `monthly()`) was supplied with a timezone.
+     */
+    private timezone(): string {
+        return this.options ? this.options.window.timezone() : "Etc/UTC";
+    }
+
+    /**
+     * Returns the ms timestamp at which the window of the collection named
+     * `collectionKey`, which holds `collection`, closes. Count windows aren't
+     * bound by time, but close as soon as they are full.
+     */
+    private windowEnd(collectionKey: string, collection: SortedCollection<T>): number {
+        const w = this.options.window;
+        if (w instanceof SessionWindow) {
+            const begin = collection.firstEvent().timestamp();
+            const end = collection.lastEvent().timestamp();
+            return +w.closesAt(timerange(begin, end));
+        }
+        if (w instanceof CountWindow) {
+            return Infinity;
+        }
+        const [__, windowKey] = this.splitKey(collectionKey);
+        return +util.timeRangeFromIndexString(windowKey, this.timezone()).end();
+    }
+
+    /**
+     * Returns true if the `collection` fills a count window
+     */
+    private isFull(collection: SortedCollection<T>): boolean {
+        const w = this.options.window;
+        return w instanceof CountWindow && collection.size() >= w.size();
+    }
+
+    /**
+     * Forgets the closed window of the collection named `collectionKey`, along
+     * with the session it belongs to, if any.
+     */
+    private discard(collectionKey: string) {
+        const [groupKey, windowKey] = this.splitKey(collectionKey);
+        if (this.sessions.has(groupKey)) {
+            this.sessions = this.sessions.update(groupKey, open =>
+                open.filter(s => s.key !== windowKey)
+            );
+        }
+        this.closed = this.closed.remove(collectionKey);
+        this.neighbours = this.neighbours.remove(collectionKey);
+        this.parts = this.parts.remove(collectionKey);
+    }
+
+    /**
+     * Moves the `Event`s of the session named `from` of the group `groupKey` into
+     * the earlier session named `into`. The joined session keeps the `Event` before
+     * the earlier session and the one after the later session as its neighbours,
+     * and is only closed if both sessions were.
+     */
+    private mergeSession(groupKey: string, into: string, from: string) {
+        const [intoKey, fromKey] = [into, from].map(k => this.collectionKey(groupKey, k));
+        const source = this.collections.get(fromKey);
+        if (source) {
+            const target = this.collections.get(intoKey, new SortedCollection<T>(Immutable.List()));
+            this.collections = this.collections.set(
+                intoKey,
+                source.eventList().reduce((c, e) => c.addEvent(e), target)
+            );
+            this.collections = this.collections.remove(fromKey);
+        }
+        const { previous } = this.neighbours.get(intoKey) || {};
+        const { next } = this.neighbours.get(fromKey) || {};
+        this.neighbours = this.neighbours.set(intoKey, { previous, next });
+        if (!this.closed.has(fromKey)) {
+            this.closed = this.closed.remove(intoKey);
+        }
+        this.closed = this.closed.remove(fromKey);
+        this.neighbours = this.neighbours.remove(fromKey);
+        this.parts = this.parts.remove(fromKey);
+    }
+
+    /**
+     * Builds the `KeyedCollection` emitted for the window named `collectionKey`
+     */
+    private keyed(collectionKey: string, collection: SortedCollection<T>): KeyedCollection<T> {
+        return [collectionKey, collection, this.contextOf(collectionKey, collection)];
+    }
+
+    /**
+     * Returns the `AggregationContext` of the window named `collectionKey`, which
+     * holds `collection`. In a batch context the `Event`s either side of the window
+     * are found in the source collection of its group, whereas when streaming
+     * they are those seen so far.
+     */
+    private contextOf(
+        collectionKey: string,
+        collection: SortedCollection<T>
+    ): AggregationContext<T> {
+        const [groupKey, windowKey] = this.splitKey(collectionKey);
+        const key = this.options
+            ? this.options.window.keyOf(windowKey, collection.timerange())
+            : index(windowKey);
+        const window = key instanceof TimeRange ? key : (key as Index).toTimeRange();
+        const group = _.isNil(groupKey) ? {} : { group: groupKey };
+        if (this.sources && this.sources.has(groupKey)) {
+            const neighbours = neighboursOf(this.sources.get(groupKey), collection, window);
+            return { window, key, ...group, ...neighbours };
+        }
+        return { window, key, ...group, ...this.neighbours.get(collectionKey, {}) };
+    }
+
+    /**
+     * Returns the name of the collection of the window `windowKey` of the group
+     * `groupKey`, which may be `null`, remembering both so that they needn't be
+     * parsed back out of the name
+     */
+    private collectionKey(groupKey: any, windowKey: string): string {
+        const collectionKey = _.isNil(groupKey) ? windowKey : `${groupKey}::${windowKey}`;
+        this.parts = this.parts.set(collectionKey, [groupKey, windowKey]);
+        return collectionKey;
+    }
+
+    /**
+     * Returns the group, or `null`, and window parts of a collection name. Names
+     * not made here, as when constructed from a map of collections, are split.
+     */
+    private splitKey(collectionKey: string): [any, string] {
+        if (this.parts.has(collectionKey)) {
+            return this.parts.get(collectionKey);
+        }
+        const parts = collectionKey.split("::");
+        return parts.length > 1 ? [parts[0], parts[1]] : [null, collectionKey];
+    }
+
+    /**
+     * Returns the names of the windows that the `event` falls within. For most
+     * windows that's the set of `Index`es covering the `Event`, but for sessions
+     * it's the open session of the group `groupKey` which the `Event` continues,
+     * or a new session if it doesn't continue any, and for count windows it
+     * depends on how many `Event`s the group has seen before this one. A late
+     * `Event` which continues two sessions joins them into one.
+     */
+    private windowKeysOf(groupKey: string, event: Event<T>): Immutable.List<string> {
+        const w = this.options.window;
+        const t = time(event.timestamp());
+        if (w instanceof SessionWindow) {
+            const open = this.sessions.get(groupKey, Immutable.List<Session>());
+            const continued = open.filter(s => w.continues(s.range, t));
+            let session: Session;
+            if (continued.isEmpty()) {
+                session = { key: w.sessionKey(t), range: timerange(t, t) };
+            } else {
+                session = {
+                    key: continued.first().key,
+                    range: timerange(
+                        new Date(Math.min(+continued.first().range.begin(), +t)),
+                        new Date(Math.max(+continued.last().range.end(), +t))
+                    )
+                };
+                continued.rest().forEach(s => this.mergeSession(groupKey, session.key, s.key));
+            }
+            this.sessions = this.sessions.set(
+                groupKey,
+                open
+                    .filter(s => !continued.includes(s))
+                    .push(session)
+                    .sortBy(s => +s.range.begin())
+            );
+            return Immutable.List([session.key]);
+        }
+        if (w instanceof CountWindow) {
+            const n = this.counts.get(groupKey, 0);
+            this.counts = this.counts.set(groupKey, n + 1);
+            return w.windowKeys(n);
+        }
+        return w
+            .getIndexSet(t)
+            .toList()
+            .map(i => i.asString());
+    }
+
     private getEventGroups(event: Event<T>): Immutable.List<string> {
-        // Window the data
-        const windowKeyList = this.options.window.getIndexSet(time(event.timestamp())).toList();
         let fn;
         // Group the data
         if (this.group) {
@@ -262,12 +550,44 @@ export class WindowedCollection<T extends Key> extends Base {
             }
         }
         const groupKey = fn ? fn(event) : null;
-        return windowKeyList.map(windowKey =>
-            groupKey ? `${groupKey}::${windowKey}` : `${windowKey}`
-        );
+
+        // Window the data
+        const windowKeyList = this.windowKeysOf(groupKey, event);
+        return windowKeyList.map(windowKey => this.collectionKey(groupKey, windowKey));
     }
 }
 
+/**
+ * Finds the last `Event` of the `source` collection before the `range` and
+ * the first `Event` after those of the window's `collection`.
+ */
+function neighboursOf<T extends Key>(
+    source: SortedCollection<T>,
+    collection: SortedCollection<T>,
+    range: TimeRange
+): AggregationContext<T> {
+    // Index of the first event at or after time t
+    const search = (t: number) => {
+        let lo = 0;
+        let hi = source.size();
+        while (lo < hi) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (+source.at(mid).timestamp() < t) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    };
+    const before = search(+range.begin());
+    const after = search(+collection.lastEvent().timestamp() + 1);
+    return {
+        previous: before > 0 ? source.at(before - 1) : undefined,
+        next: after < source.size() ? source.at(after) : undefined
+    };
+}
+
 function windowFactory<T extends Key>(collectionMap: Immutable.Map<string, SortedCollection<T>>);
 function windowFactory<T extends Key>(
     windowOptions: WindowingOptions,
@@ -279,7 +599,7 @@ function windowFactory<T extends Key>(
 );
 function windowFactory<T extends Key>(
     windowOptions: WindowingOptions,
-    group: string | string[],
+    group: string | string[] | GroupingFunction<T>,
     initialCollection?: SortedCollection<T>
 );
 function windowFactory<T extends Key>(arg1: any, arg2?: any) {
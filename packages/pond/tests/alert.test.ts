@@ -0,0 +1,101 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event } from "../src/event";
+import { stream } from "../src/stream";
+import { time } from "../src/time";
+
+import { AlertOptions } from "../src/types";
+
+/**
+ * Runs the values, one a minute, through an alert, returning
+ * a summary of each alert event emitted
+ */
+const alertsFor = (options: AlertOptions, values: number[]) => {
+    const result = [];
+    const s = stream()
+        .alert(options)
+        .output(e =>
+            result.push({
+                state: e.get("state"),
+                previous: e.get("previous"),
+                reason: e.get("reason"),
+                begin: +e.begin() / 60000,
+                end: +e.end() / 60000
+            })
+        );
+    values.forEach((v, i) => s.addEvent(event(time(i * 60000), Immutable.Map({ value: v }))));
+    return result;
+};
+
+it("can fire and resolve an alert when a value goes above a threshold", () => {
+    const alerts = alertsFor({ name: "high", above: 10 }, [5, 12, 15, 8, 9]);
+    expect(alerts).toEqual([
+        { state: "firing", previous: "ok", reason: "above", begin: 1, end: 1 },
+        { state: "resolved", previous: "firing", reason: "above", begin: 1, end: 3 }
+    ]);
+});
+
+it("can wait for a condition to hold for a duration before firing", () => {
+    const alerts = alertsFor({ below: 0, for: duration("2m") }, [1, -1, 2, -1, -2, -3, 1]);
+    expect(alerts.map(a => a.state)).toEqual(["pending", "ok", "pending", "firing", "resolved"]);
+    expect(alerts[3]).toEqual({
+        state: "firing",
+        previous: "pending",
+        reason: "below",
+        begin: 3,
+        end: 5
+    });
+    expect(alerts[4].end).toEqual(6);
+});
+
+it("can use hysteresis to stop an alert flapping", () => {
+    const values = [9, 11, 9.5, 11, 9.5, 8];
+    expect(alertsFor({ above: 10 }, values).map(a => a.state)).toEqual([
+        "firing",
+        "resolved",
+        "firing",
+        "resolved"
+    ]);
+    expect(alertsFor({ above: 10, hysteresis: 1 }, values).map(a => a.state)).toEqual([
+        "firing",
+        "resolved"
+    ]);
+});
+
+it("can detect absent data", () => {
+    // The gap between 1m and 5m is detected when data resumes
+    const result = [];
+    const s = stream()
+        .alert({ absence: duration("2m") })
+        .output(e => result.push(e));
+    s.addEvent(event(time(60000), Immutable.Map({ value: 1 })));
+    s.addEvent(event(time(300000), Immutable.Map({ value: 2 })));
+    expect(result.map(e => e.get("state"))).toEqual(["firing", "resolved"]);
+    expect(result.map(e => e.get("reason"))).toEqual(["absent", "absent"]);
+    expect(+result[0].begin()).toEqual(60000);
+    expect(+result[0].end()).toEqual(180000);
+    expect(+result[1].end()).toEqual(300000);
+
+    // Events with missing values detect absent data as it happens
+    const alerts = alertsFor({ above: 10, absence: duration("2m") }, [1, null, null, null, 1]);
+    expect(alerts).toEqual([
+        { state: "firing", previous: "ok", reason: "absent", begin: 0, end: 2 },
+        { state: "resolved", previous: "firing", reason: "absent", begin: 0, end: 4 }
+    ]);
+});
+
+it("can detect absent data from the start of a stream", () => {
+    const alerts = alertsFor({ absence: duration("2m") }, [null, null, null, null, null]);
+    expect(alerts).toEqual([
+        { state: "firing", previous: "ok", reason: "absent", begin: 0, end: 2 }
+    ]);
+});
+
+it("checks the alert options", () => {
+    expect(() => stream().alert({ name: "nothing" })).toThrow();
+    expect(() => stream().alert({ above: 1, hysteresis: -1 })).toThrow();
+});
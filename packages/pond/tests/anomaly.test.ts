@@ -0,0 +1,117 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { duration } from "../src/duration";
+import { event } from "../src/event";
+import { stream } from "../src/stream";
+import { time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+import { AnomalyMethod } from "../src/types";
+
+const HOUR = 60 * 60 * 1000;
+
+const SPIKE = [
+    [0, 10],
+    [1000, 12],
+    [2000, 10],
+    [3000, 12],
+    [4000, 30],
+    [5000, 11],
+    [6000, null]
+];
+
+// An outlier, which is followed by a smaller anomaly
+const OUTLIERS = [
+    [0, 10],
+    [1000, 12],
+    [2000, 11],
+    [3000, 100],
+    [4000, 10],
+    [5000, 12],
+    [6000, 11],
+    [7000, 13],
+    [8000, 25]
+];
+
+it("can score values with a rolling z-score", () => {
+    const series = timeSeries({ name: "spike", columns: ["time", "value"], points: SPIKE });
+    const scored = series.detectAnomalies({ window: 4 });
+    expect(scored.at(0).get("value_anomaly_score")).toBeNull();
+    expect(scored.at(1).get("value_anomaly_score")).toBeNull();
+
+    // The mean of 10 and 12 is 11, with a standard deviation of 1
+    expect(scored.at(2).get("value_anomaly_score")).toBeCloseTo(-1, 6);
+    expect(scored.at(2).get("value_anomaly")).toBe(false);
+    expect(scored.at(4).get("value_anomaly_score")).toBeCloseTo(19, 6);
+    expect(scored.at(4).get("value_anomaly")).toBe(true);
+    expect(scored.at(6).get("value_anomaly_score")).toBeNull();
+    expect(scored.at(6).get("value_anomaly")).toBe(false);
+});
+
+it("can score values with the median absolute deviation, ignoring past outliers", () => {
+    const series = timeSeries({ name: "outliers", columns: ["time", "value"], points: OUTLIERS });
+    const zscores = series.detectAnomalies({ window: 5 });
+    const mad = series.detectAnomalies({ window: 5, method: AnomalyMethod.MAD });
+
+    // The outlier inflates the standard deviation, hiding the next
+    // anomaly from the z-score, but not from the MAD score
+    expect(zscores.at(8).get("value_anomaly")).toBe(false);
+    expect(mad.at(8).get("value_anomaly")).toBe(true);
+
+    expect(zscores.at(3).get("value_anomaly")).toBe(true);
+    expect(mad.at(3).get("value_anomaly")).toBe(true);
+
+    // Median 11, deviations 1, 1, 0 so the MAD is 1
+    expect(mad.at(3).get("value_anomaly_score")).toBeCloseTo(0.6745 * 89, 6);
+});
+
+it("can score values against a seasonal baseline", () => {
+    // A daily cycle with a little noise, and a spike at the same hour on day 3
+    const points = _.range(24 * 4).map(h => {
+        const cycle = 100 + 50 * Math.sin((2 * Math.PI * h) / 24) + (h % 5);
+        return [h * HOUR, h === 24 * 3 + 6 ? cycle + 40 : cycle];
+    });
+    const series = timeSeries({ name: "daily", columns: ["time", "value"], points });
+    const scored = series.detectAnomalies({
+        method: AnomalyMethod.Seasonal,
+        season: duration("1d"),
+        seasons: 2
+    });
+
+    // No baseline until the second day
+    expect(scored.at(23).get("value_anomaly_score")).toBeNull();
+    const anomalies = scored.filter(e => e.get("value_anomaly"));
+    expect(anomalies.size()).toBe(1);
+    expect(+anomalies.at(0).timestamp()).toBe((24 * 3 + 6) * HOUR);
+
+    // The same spike is lost in the daily cycle for a rolling z-score
+    const rolling = series.detectAnomalies({ window: 24 });
+    expect(rolling.filter(e => e.get("value_anomaly")).size()).toBe(0);
+});
+
+it("can detect anomalies in a stream", () => {
+    const result = [];
+    const s = stream()
+        .detectAnomalies({ window: 3, threshold: 2 })
+        .output(e => result.push(e));
+    [5, 5, 5, 6, 5, 5].forEach((v, i) =>
+        s.addEvent(event(time(i * 1000), Immutable.Map({ value: v })))
+    );
+
+    // With no spread in the previous values, any change is an anomaly
+    expect(result[2].get("value_anomaly_score")).toBeNull();
+    expect(result[2].get("value_anomaly")).toBe(false);
+    expect(result[3].get("value_anomaly_score")).toBeNull();
+    expect(result[3].get("value_anomaly")).toBe(true);
+    expect(result[4].get("value_anomaly")).toBe(false);
+});
+
+it("checks the anomaly options", () => {
+    const series = timeSeries({ name: "spike", columns: ["time", "value"], points: SPIKE });
+    expect(() => series.detectAnomalies({ window: 1 })).toThrow();
+    expect(() => series.detectAnomalies({ seasons: 0 })).toThrow();
+});
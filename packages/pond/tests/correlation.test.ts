@@ -0,0 +1,98 @@
+declare const it: any;
+declare const expect: any;
+
+import * as _ from "lodash";
+
+import { correlationOf } from "../src/correlation";
+import { duration } from "../src/duration";
+import { period } from "../src/period";
+import { timeSeries } from "../src/timeseries";
+
+const MINUTE = 60 * 1000;
+const EVERY_MINUTE = period(duration("1m"));
+
+const perMinute = (name: string, values: number[], offset: number = 0) =>
+    timeSeries({
+        name,
+        columns: ["time", "value"],
+        points: values.map((v, i) => [i * MINUTE + offset, v])
+    });
+
+it("can find the pearson and spearman correlation of values", () => {
+    expect(correlationOf([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1, 10);
+    expect(correlationOf([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1, 10);
+
+    // Monotonic but not linear, so only the rank correlation is perfect
+    const xs = [1, 2, 3, 4, 5];
+    const ys = xs.map(x => Math.exp(x));
+    expect(correlationOf(xs, ys)).toBeLessThan(0.95);
+    expect(correlationOf(xs, ys, "spearman")).toBeCloseTo(1, 10);
+
+    // Ties are given their average rank
+    expect(correlationOf([1, 2, 2, 3], [1, 2, 2, 3], "spearman")).toBeCloseTo(1, 10);
+
+    // Undefined without variation, or enough pairs
+    expect(correlationOf([1, 1, 1], [1, 2, 3])).toBeNull();
+    expect(correlationOf([1, null, 3], [1, 2, null])).toBeNull();
+});
+
+it("can correlate two series, aligning them first", () => {
+    const values = _.range(30).map(i => Math.sin(i / 5) * 10 + i / 10);
+    const a = perMinute("a", values);
+
+    // Sampled 20 seconds late, so only matches once aligned
+    const b = perMinute(
+        "b",
+        values.map(v => 2 * v + 1),
+        20 * 1000
+    );
+    const c = a.correlate(b, { period: EVERY_MINUTE });
+    expect(c.coefficient).toBeGreaterThan(0.9);
+    expect(c.lag).toBe(0);
+    expect(c.lags).toEqual([{ lag: 0, coefficient: c.coefficient }]);
+});
+
+it("can find the lag at which two series correlate best", () => {
+    const values = _.range(40).map(i => Math.sin(i / 2) * 10 + (i % 7));
+
+    // b follows a three minutes later, so at a lag of 3 they match exactly
+    const a = perMinute("a", values);
+    const b = perMinute("b", [0, 0, 0].concat(values.slice(0, 37)));
+    const c = a.correlate(b, { period: EVERY_MINUTE, maxLag: 5 });
+    expect(c.lags.length).toBe(11);
+    expect(c.lag).toBe(3);
+    expect(c.lagCoefficient).toBeCloseTo(1, 10);
+    expect(Math.abs(c.coefficient)).toBeLessThan(0.9);
+
+    // And the other way round
+    expect(b.correlate(a, { period: EVERY_MINUTE, maxLag: 5, method: "spearman" }).lag).toBe(-3);
+});
+
+it("can correlate all the columns of a series", () => {
+    const series = timeSeries({
+        name: "interfaces",
+        columns: ["time", "in", "out", "errors"],
+        points: [
+            [0, 1, 10, 5],
+            [60000, 2, 21, 3],
+            [120000, 3, 29, 4],
+            [180000, 4, 40, null],
+            [240000, 5, 52, 1]
+        ]
+    });
+    const matrix = series.correlationMatrix();
+    expect(_.keys(matrix)).toEqual(["in", "out", "errors"]);
+    expect(matrix.in.in).toBeCloseTo(1, 10);
+    expect(matrix.in.out).toBeGreaterThan(0.99);
+    expect(matrix.out.in).toBe(matrix.in.out);
+    expect(matrix.in.errors).toBeLessThan(-0.8);
+
+    const ranked = series.correlationMatrix({ fieldSpec: ["in", "out"], method: "spearman" });
+    expect(ranked).toEqual({ in: { in: 1, out: 1 }, out: { in: 1, out: 1 } });
+});
+
+it("checks the correlation options", () => {
+    const a = perMinute("a", [1, 2, 3]);
+    expect(() => a.correlate(a, { period: null })).toThrow();
+    expect(() => a.correlate(a, { period: EVERY_MINUTE, maxLag: -1 })).toThrow();
+});
@@ -0,0 +1,73 @@
+declare const it: any;
+declare const expect: any;
+
+import * as _ from "lodash";
+
+import { duration } from "../src/duration";
+import { period } from "../src/period";
+import { timeSeries } from "../src/timeseries";
+
+const HOUR = 60 * 60 * 1000;
+const DAILY = period(duration("1d"));
+
+const trendOf = (h: number) => 100 + 0.5 * h;
+const cycleOf = (h: number) => 10 * Math.sin((2 * Math.PI * h) / 24);
+
+// Six days of a daily cycle on a rising trend
+const SEASONAL = _.range(24 * 6).map(h => [h * HOUR, trendOf(h) + cycleOf(h)]);
+
+// The same, with a spike on the fourth day
+const SPIKE = 24 * 3 + 9;
+const SPIKED = _.range(24 * 6).map(h => [
+    h * HOUR,
+    trendOf(h) + cycleOf(h) + (h === SPIKE ? 30 : 0)
+]);
+
+// Three days, with one hour missing
+const GAPPED = _.range(24 * 3).map(h => [h * HOUR, h === 30 ? null : trendOf(h) + cycleOf(h)]);
+
+// Less than a day
+const SHORT = _.range(20).map(h => [h * HOUR, h]);
+
+it("can decompose a series into trend, seasonal and residual components", () => {
+    const series = timeSeries({ name: "hourly", columns: ["time", "value"], points: SEASONAL });
+    const components = series.decompose({ period: DAILY });
+    expect(components.size()).toBe(series.size());
+
+    components.forEach((e, h) => {
+        const [trend, seasonal, residual] = ["_trend", "_seasonal", "_residual"].map(s =>
+            e.get(`value${s}`)
+        );
+        expect(trend + seasonal + residual).toBeCloseTo(e.get("value"), 6);
+        expect(Math.abs(trend - trendOf(h))).toBeLessThan(0.5);
+        expect(Math.abs(seasonal - cycleOf(h))).toBeLessThan(0.5);
+    });
+});
+
+it("shows anomalies in the residual", () => {
+    const residuals = timeSeries({ name: "hourly", columns: ["time", "value"], points: SPIKED })
+        .decompose({ period: DAILY, seasonalWindow: 3 })
+        .eventList()
+        .map(e => Math.abs(e.get("value_residual")))
+        .toArray();
+    expect(residuals.indexOf(_.max(residuals))).toBe(SPIKE);
+});
+
+it("skips missing values when decomposing", () => {
+    const series = timeSeries({ name: "hourly", columns: ["time", "value"], points: GAPPED });
+    const components = series.decompose({
+        period: DAILY,
+        trendWindow: duration("1d"),
+        iterations: 3
+    });
+    expect(components.at(30).get("value_trend")).toBeNull();
+    expect(components.at(30).get("value_residual")).toBeNull();
+    expect(components.at(31).get("value_seasonal")).not.toBeNull();
+});
+
+it("checks the decompose options", () => {
+    const series = timeSeries({ name: "hourly", columns: ["time", "value"], points: SHORT });
+    expect(() => series.decompose({ period: DAILY })).toThrow();
+    expect(() => series.decompose({ period: period(duration("1h")), iterations: 0 })).toThrow();
+    expect(() => series.decompose({ period: period(duration("1h")), seasonalWindow: 0 })).toThrow();
+});
@@ -0,0 +1,79 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { duration } from "../src/duration";
+import { event, Event } from "../src/event";
+import { Key } from "../src/key";
+import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
+import { time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+// 100 events, 10s apart, flat except for a spike and a dip
+const points = Immutable.Range(0, 100)
+    .map(i => [i * 10000, i === 37 ? 100 : i === 81 ? -50 : Math.sin(i / 10)])
+    .toArray();
+
+const series = timeSeries({ name: "spiky", columns: ["time", "value"], points });
+
+it("can downsample a TimeSeries with LTTB, keeping spikes", () => {
+    const downsampled = series.downsample({ method: "lttb", targetPoints: 10 });
+
+    expect(downsampled.name()).toEqual("spiky");
+    expect(downsampled.size()).toEqual(10);
+    expect(downsampled.at(0)).toBe(series.at(0));
+    expect(downsampled.at(9)).toBe(series.at(99));
+    expect(downsampled.max()).toEqual(100);
+    expect(downsampled.min()).toEqual(-50);
+});
+
+it("can downsample a TimeSeries keeping the min and max of each bucket", () => {
+    const downsampled = series.downsample({ method: "minmax", targetPoints: 6 });
+    expect(downsampled.size()).toEqual(6);
+    expect(downsampled.max()).toEqual(100);
+    expect(downsampled.min()).toEqual(-50);
+
+    const m4 = series.downsample({ method: "m4", targetPoints: 8 });
+    expect(m4.size()).toEqual(8);
+    expect(m4.at(0)).toBe(series.at(0));
+    expect(m4.at(7)).toBe(series.at(99));
+    expect(m4.max()).toEqual(100);
+});
+
+it("leaves a collection with fewer events than the target alone", () => {
+    const c = series.slice(0, 5).collection();
+    expect(c.downsample({ targetPoints: 10 }).size()).toEqual(5);
+    expect(() => c.downsample({ targetPoints: 2 })).toThrow();
+    expect(() => c.downsample({ method: "m4", targetPoints: 3 })).toThrow();
+});
+
+it("can downsample a stream into buckets", () => {
+    const lttb: Array<Event<Key>> = [];
+    const m4: Array<Event<Key>> = [];
+    const source = stream();
+    source.downsample({ bucket: duration("1m") }).output(e => lttb.push(e));
+    source.downsample({ method: "m4", bucket: duration("1m") }).output(e => m4.push(e));
+
+    series.eventList().forEach(e => source.addEvent(e));
+
+    // LTTB holds back the last two buckets until the stream is flushed
+    expect(lttb.length).toEqual(16);
+    expect(lttb[0]).toBe(series.at(0));
+    source.flush();
+    expect(lttb.length).toEqual(18);
+    expect(lttb[17]).toBe(series.at(99));
+    expect(lttb.map(e => e.get())).toContain(100);
+    expect(lttb.map(e => e.get())).toContain(-50);
+
+    // M4 keeps up to 4 events of each of the 17 buckets, fewer where the
+    // first or last event is also the min or max
+    const buckets = _.countBy(m4, e => Math.floor(+e.timestamp() / 60000));
+    expect(_.size(buckets)).toEqual(17);
+    _.forEach(buckets, n => expect(n).toBeLessThanOrEqual(4));
+    expect(buckets[6]).toEqual(3);
+    expect(m4.map(e => e.get())).toContain(100);
+    expect(m4.map(e => +e.timestamp())).toEqual(m4.map(e => +e.timestamp()).sort((a, b) => a - b));
+});
@@ -0,0 +1,82 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { event } from "../src/event";
+import { expression } from "../src/expression";
+import { time } from "../src/time";
+
+const e = event(
+    time(0),
+    Immutable.fromJS({
+        in: 10,
+        out: 30,
+        capacity: 100,
+        missing: null,
+        name: "link",
+        traffic: { in: { octets: 125 } }
+    })
+);
+
+const evaluate = (s: string) => expression(s).evaluate(e);
+
+it("can evaluate arithmetic with the usual precedence", () => {
+    expect(evaluate("1 + 2 * 3")).toBe(7);
+    expect(evaluate("(1 + 2) * 3")).toBe(9);
+    expect(evaluate("(in + out) / capacity")).toBe(0.4);
+    expect(evaluate("-2 ^ 2")).toBe(-4);
+    expect(evaluate("2 ^ 3 ^ 2")).toBe(512);
+    expect(evaluate("2 ^ -1")).toBe(0.5);
+    expect(evaluate("out % 7 - 1.5e1")).toBe(-13);
+    expect(evaluate("traffic.in.octets * 8")).toBe(1000);
+});
+
+it("can evaluate comparisons, logic and strings", () => {
+    expect(evaluate("in < out && out <= 30")).toBe(true);
+    expect(evaluate("in >= out || !(in == 10)")).toBe(false);
+    expect(evaluate("name == 'link'")).toBe(true);
+    expect(evaluate('name + "-" + "a"')).toBe("link-a");
+    expect(evaluate("in != null")).toBe(true);
+});
+
+it("propagates missing values", () => {
+    expect(evaluate("missing * 2")).toBeNull();
+    expect(evaluate("nosuchfield + 1")).toBeNull();
+    expect(evaluate("in / 0")).toBeNull();
+    expect(evaluate("missing > 1")).toBeNull();
+    expect(evaluate("missing == null")).toBe(true);
+    expect(evaluate("sqrt(-1)")).toBeNull();
+    expect(evaluate("coalesce(missing, nosuchfield, 5)")).toBe(5);
+    expect(evaluate("isnull(missing)")).toBe(true);
+    expect(evaluate("if(missing, 1, 2)")).toBe(2);
+});
+
+it("can call the built-in functions", () => {
+    expect(evaluate("abs(in - out)")).toBe(20);
+    expect(evaluate("round(out / 7, 2)")).toBe(4.29);
+    expect(evaluate("max(in, out, 20)")).toBe(30);
+    expect(evaluate("min(in, out)")).toBe(10);
+    expect(evaluate("if(in > 5, 'high', 'low')")).toBe("high");
+    expect(evaluate("log10(capacity)")).toBe(2);
+});
+
+it("can parse an assignment to a column", () => {
+    expect(expression("util = (in + out) / capacity").target()).toEqual(["util"]);
+    expect(expression("traffic.in.bits = traffic.in.octets * 8").target()).toEqual([
+        "traffic",
+        "in",
+        "bits"
+    ]);
+    expect(expression("in == out").target()).toBeNull();
+});
+
+it("throws on invalid expressions", () => {
+    expect(() => expression("in +")).toThrow(/Expected a value/);
+    expect(() => expression("(in + out")).toThrow(/Expected "\)"/);
+    expect(() => expression("in # out")).toThrow(/Unexpected "#"/);
+    expect(() => expression("eval(in)")).toThrow(/Unknown function "eval"/);
+    expect(() => expression("pow(in)")).toThrow(/Wrong number of arguments/);
+    expect(() => expression("'open")).toThrow(/Unterminated string/);
+    expect(() => expression("a + b = c")).toThrow();
+});
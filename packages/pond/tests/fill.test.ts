@@ -388,3 +388,29 @@ it("can do streaming fill with limit (zero fill)", () => {
     expect(results[6].get("value")).toBeNull();
     expect(results[7].get("value")).toBeNull();
 });
+
+it("can flush events pending a linear fill at the end of a stream", () => {
+    const results: Event[] = [];
+    let ended = false;
+
+    const source = stream()
+        .fill({ method: FillMethod.Linear, fieldSpec: "value" })
+        .output(
+            evt => {
+                const e = evt as Event;
+                results.push(e);
+            },
+            () => (ended = true)
+        );
+    STREAM_EVENTS.forEach(e => source.addEvent(e));
+
+    expect(results.length).toBe(4);
+    expect(ended).toBe(false);
+
+    source.end();
+
+    expect(results.length).toBe(8);
+    expect(results[4].get("value")).toBeNull();
+    expect(results[7].get("value")).toBeNull();
+    expect(ended).toBe(true);
+});
@@ -0,0 +1,154 @@
+declare const it: any;
+declare const expect: any;
+
+import * as _ from "lodash";
+
+import { duration } from "../src/duration";
+import { period } from "../src/period";
+import { timeSeries } from "../src/timeseries";
+
+import { ForecastMethod } from "../src/types";
+
+const HOUR = 60 * 60 * 1000;
+
+// Rising linearly, by two an hour
+const TREND = [
+    [0, 10],
+    [HOUR, 12],
+    [2 * HOUR, 14],
+    [3 * HOUR, 16],
+    [4 * HOUR, 18],
+    [5 * HOUR, 20]
+];
+
+// Five days of a daily cycle on a rising trend, with some noise
+const dailyCycle = (h: number) => 100 + 0.5 * h + 20 * Math.sin((2 * Math.PI * h) / 24) + (h % 3);
+const DAILY = _.range(24 * 5).map(h => [h * HOUR, dailyCycle(h)]);
+
+// Four days of a daily cycle, with a few hours missing
+const GAPS = [30, 31, 32, 60, 95];
+const gappedCycle = (h: number) => 100 + 20 * Math.sin((2 * Math.PI * h) / 24);
+const GAPPED = _.range(24 * 4).map(h => [h * HOUR, _.includes(GAPS, h) ? null : gappedCycle(h)]);
+
+// A four hour season which doubles every fourth value
+const multipliedCycle = (h: number) => (100 + 2 * h) * (h % 4 === 0 ? 2 : 1);
+const MULTIPLIED = _.range(4 * 6).map(h => [h * HOUR, multipliedCycle(h)]);
+
+const SHORT = [
+    [0, 1],
+    [HOUR, 2],
+    [2 * HOUR, 3],
+    [3 * HOUR, 4]
+];
+const ALTERNATING = [
+    [0, 1],
+    [HOUR, -1],
+    [2 * HOUR, 1],
+    [3 * HOUR, -1]
+];
+
+it("can forecast a linear trend", () => {
+    const series = timeSeries({ name: "hourly", columns: ["time", "value"], points: TREND });
+    const forecast = series.forecast({
+        horizon: duration("3h"),
+        period: period(duration("1h"))
+    });
+    expect(forecast.name()).toBe("hourly");
+    expect(forecast.size()).toBe(3);
+    expect(
+        forecast
+            .eventList()
+            .map(e => +e.timestamp() / HOUR)
+            .toArray()
+    ).toEqual([6, 7, 8]);
+    expect(
+        forecast
+            .eventList()
+            .map(e => e.get("value"))
+            .toArray()
+    ).toEqual([22, 24, 26]);
+
+    // A perfect fit, so there's no uncertainty
+    expect(forecast.at(2).get("value_lower")).toBe(26);
+    expect(forecast.at(2).get("value_upper")).toBe(26);
+});
+
+it("can forecast a daily cycle", () => {
+    const series = timeSeries({ name: "hourly", columns: ["time", "value"], points: DAILY });
+    const forecast = series.forecast({
+        horizon: duration("1d"),
+        period: period(duration("1h")),
+        seasonality: 24
+    });
+    expect(forecast.size()).toBe(24);
+    forecast.forEach((e, i) => {
+        const h = 24 * 5 + i;
+        expect(Math.abs(e.get("value") - dailyCycle(h))).toBeLessThan(3);
+        expect(e.get("value_lower")).toBeLessThan(e.get("value"));
+        expect(e.get("value_upper")).toBeGreaterThan(e.get("value"));
+    });
+
+    // The band widens further ahead
+    const width = e => e.get("value_upper") - e.get("value_lower");
+    expect(width(forecast.at(23))).toBeGreaterThan(width(forecast.at(0)));
+
+    // Without the season, the forecast misses the cycle
+    const flat = series.forecast({ horizon: duration("1d"), period: period(duration("1h")) });
+    const error = s =>
+        _.max(
+            s
+                .eventList()
+                .map((e, i) => Math.abs(e.get("value") - dailyCycle(120 + i)))
+                .toArray()
+        );
+    expect(error(flat)).toBeGreaterThan(error(forecast));
+});
+
+it("can forecast a season with missing values", () => {
+    const series = timeSeries({ name: "hourly", columns: ["time", "value"], points: GAPPED });
+    const forecast = series.forecast({
+        horizon: duration("12h"),
+        period: period(duration("1h")),
+        seasonality: 24
+    });
+
+    // Forecast from the last hour, even though its value is missing, and in phase
+    // with the season, despite the gaps
+    expect(+forecast.at(0).timestamp()).toBe(96 * HOUR);
+    forecast.forEach((e, i) => {
+        expect(Math.abs(e.get("value") - gappedCycle(96 + i))).toBeLessThan(3);
+    });
+});
+
+it("can forecast a multiplicative season", () => {
+    const series = timeSeries({ name: "hourly", columns: ["time", "value"], points: MULTIPLIED });
+    const forecast = series.forecast({
+        horizon: duration("4h"),
+        period: period(duration("1h")),
+        seasonality: 4,
+        method: ForecastMethod.Multiplicative,
+        confidence: 0.8
+    });
+    const predicted = forecast.eventList().map(e => e.get("value"));
+    expect(predicted.get(0) / predicted.get(1)).toBeCloseTo(2, 1);
+    expect(Math.abs(predicted.get(3) - multipliedCycle(27))).toBeLessThan(5);
+});
+
+it("checks the forecast options", () => {
+    const short = timeSeries({ name: "hourly", columns: ["time", "value"], points: SHORT });
+    const alternating = timeSeries({
+        name: "hourly",
+        columns: ["time", "value"],
+        points: ALTERNATING
+    });
+    const options = { horizon: duration("1h"), period: period(duration("1h")) };
+    expect(() => short.forecast({ ...options, seasonality: 3 })).toThrow();
+    expect(() => short.forecast({ ...options, confidence: 1 })).toThrow();
+    expect(() =>
+        alternating.forecast({
+            ...options,
+            seasonality: 2,
+            method: ForecastMethod.Multiplicative
+        })
+    ).toThrow();
+});
@@ -12,7 +12,36 @@ declare const describe: any;
 declare const it: any;
 declare const expect: any;
 
-import { avg, filter, percentile, sum } from "../src/functions";
+import * as Immutable from "immutable";
+import * as _ from "lodash";
+
+import { event } from "../src/event";
+import { duration } from "../src/duration";
+import {
+    avg,
+    durationAbove,
+    filter,
+    histogram,
+    histogramPercentile,
+    integral,
+    InterpolationType,
+    mergedHistogram,
+    mergedSketch,
+    mergeHistograms,
+    mergeSketches,
+    percentile,
+    quantileSketch,
+    sketchQuantile,
+    sum,
+    timeWeightedAvg
+} from "../src/functions";
+import { sortedCollection } from "../src/sortedcollection";
+import { time } from "../src/time";
+import { timerange } from "../src/timerange";
+import { stream } from "../src/stream";
+import { timeSeries } from "../src/timeseries";
+import { Trigger } from "../src/types";
+import { window } from "../src/window";
 
 const goodValues = [1, 2, 3, 4, 5];
 const badValues = [1, 2, null, 4, 5];
@@ -95,3 +124,253 @@ describe("Function: percentile()", () => {
         expect(percentile(100)(values)).toEqual(1142.0);
     });
 });
+
+describe("Time aware aggregations", () => {
+    const ramp = sortedCollection(
+        Immutable.List([
+            event(time(0), Immutable.Map({ value: 0 })),
+            event(time(10000), Immutable.Map({ value: 10 })),
+            event(time(20000), Immutable.Map({ value: 20 })),
+            event(time(40000), Immutable.Map({ value: null }))
+        ])
+    );
+
+    it("can integrate a collection with the trapezoidal rule", () => {
+        expect(integral()(ramp)).toBe(200);
+    });
+
+    it("can take the time weighted average of a collection", () => {
+        const uneven = sortedCollection(
+            Immutable.List([
+                event(time(0), Immutable.Map({ value: 10 })),
+                event(time(1000), Immutable.Map({ value: 10 })),
+                event(time(2000), Immutable.Map({ value: 10 })),
+                event(time(12000), Immutable.Map({ value: 0 }))
+            ])
+        );
+        expect(avg()([10, 10, 10, 0])).toBe(7.5);
+        expect(timeWeightedAvg()(uneven)).toBe(5.833333333333333);
+    });
+
+    it("can find the duration above a threshold", () => {
+        expect(durationAbove("value", 5)(ramp)).toBe(15);
+        expect(durationAbove("value", 25)(ramp)).toBe(0);
+    });
+
+    it("can interpolate at the edges of a window", () => {
+        const context = {
+            window: timerange(time(5000), time(15000)),
+            previous: ramp.at(0),
+            next: ramp.at(2)
+        };
+        const middle = ramp.filter(e => +e.timestamp() === 10000);
+        expect(integral()(middle, context)).toBe(100);
+        expect(timeWeightedAvg()(middle, context)).toBe(10);
+        expect(durationAbove("value", 5)(middle, context)).toBe(10);
+
+        // Without neighbours the signal only spans the collection's events
+        expect(integral()(middle, { window: context.window })).toBe(0);
+        expect(timeWeightedAvg()(middle, { window: context.window })).toBe(10);
+    });
+
+    it("can interpolate from an event exactly at the start of a window", () => {
+        // As for a rolling window, which holds the events after its start
+        const context = { window: timerange(time(10000), time(20000)), previous: ramp.at(1) };
+        const end = ramp.filter(e => +e.timestamp() === 20000);
+        expect(integral()(end, context)).toBe(150);
+        expect(timeWeightedAvg()(end, context)).toBe(15);
+    });
+});
+
+describe("Histograms", () => {
+    const collectionOf = (values: number[]) =>
+        sortedCollection(
+            Immutable.List(values.map((v, i) => event(time(i * 1000), Immutable.Map({ value: v }))))
+        );
+
+    it("can count values in fixed width buckets", () => {
+        const h = histogram({ width: 10, min: 0, max: 30 })(
+            collectionOf([-5, 0, 5, 10, 29, 30, 31, null])
+        );
+        expect(h).toEqual({
+            boundaries: [0, 10, 20, 30],
+            counts: [2, 1, 2],
+            underflow: 1,
+            overflow: 1,
+            count: 7,
+            min: -5,
+            max: 31
+        });
+    });
+
+    it("can count values in explicit and log scale buckets", () => {
+        const values = collectionOf([1, 3, 50, 200, 999]);
+        expect(histogram({ boundaries: [0, 2, 100, 1000] })(values).counts).toEqual([1, 2, 2]);
+        const log = histogram({ base: 10, min: 1, max: 1000 })(values);
+        expect(log.boundaries).toEqual([1, 10, 100, 1000]);
+        expect(log.counts).toEqual([2, 1, 2]);
+
+        // Empty windows still have every bucket
+        expect(histogram({ base: 10, min: 1, max: 1000 })(collectionOf([]))).toEqual({
+            boundaries: [1, 10, 100, 1000],
+            counts: [0, 0, 0],
+            underflow: 0,
+            overflow: 0,
+            count: 0,
+            min: null,
+            max: null
+        });
+    });
+
+    it("can estimate percentiles from a histogram", () => {
+        const h = histogram({ width: 10, min: 0, max: 100 })(
+            collectionOf([5, 15, 25, 35, 45, 55, 65, 75, 85, 95])
+        );
+        expect(histogramPercentile(h, 50)).toBe(50);
+        expect(histogramPercentile(h, 95)).toBe(95);
+        expect(histogramPercentile(h, 0)).toBe(5);
+        expect(histogramPercentile(h, 100)).toBe(95);
+        expect(histogramPercentile(mergeHistograms([h, { ...h, count: 0, counts: [] }]), 50)).toBe(
+            50
+        );
+        expect(() => histogramPercentile(h, 101)).toThrow();
+    });
+
+    it("can build a histogram per window of a rollup, and merge them", () => {
+        const series = timeSeries({
+            name: "latency",
+            columns: ["time", "value"],
+            points: [
+                [0, 3],
+                [1000, 12],
+                [2000, 8],
+                [60000, 25],
+                [61000, 40],
+                [62000, 7]
+            ]
+        });
+        const rollup = series.fixedWindowRollup({
+            window: window(duration("1m")),
+            aggregation: { latency: histogram({ boundaries: [0, 10, 20, 50] }, "value") }
+        });
+        expect(rollup.size()).toBe(2);
+        expect(
+            rollup
+                .at(0)
+                .get("latency.counts")
+                .toArray()
+        ).toEqual([2, 1, 0]);
+        expect(
+            rollup
+                .at(1)
+                .get("latency.counts")
+                .toArray()
+        ).toEqual([1, 0, 2]);
+
+        const merged = mergeHistograms(
+            rollup
+                .eventList()
+                .map(e => e.get("latency"))
+                .toArray()
+        );
+        expect(merged.counts).toEqual([3, 1, 2]);
+        expect(merged.min).toBe(3);
+        expect(merged.max).toBe(40);
+
+        // Or merged as an aggregation, e.g. to roll up into larger windows
+        expect(mergedHistogram("latency")(rollup.collection()).count).toBe(6);
+
+        // The middle of the three values is half way into the 20 to 50 bucket
+        expect(histogramPercentile(rollup.at(1).get("latency"), 50)).toBe(27.5);
+
+        expect(() =>
+            mergeHistograms([merged, { ...merged, boundaries: [0, 10, 20, 60] }])
+        ).toThrow();
+    });
+
+    it("checks the histogram options", () => {
+        expect(() => histogram({ width: 10 })).toThrow();
+        expect(() => histogram({ boundaries: [1, 1, 2] })).toThrow();
+        expect(() => histogram({ base: 2, min: 0, max: 8 })).toThrow();
+    });
+});
+
+describe("Quantile sketches", () => {
+    const collectionOf = (values: number[]) =>
+        sortedCollection(
+            Immutable.List(
+                values.map((v, i) =>
+                    event(time(i * 1000), Immutable.Map({ value: v, team: i % 2 ? "a" : "b" }))
+                )
+            )
+        );
+    const values = _.range(1, 1001).map(i => Math.pow(i, 1.5));
+
+    it("can estimate quantiles to within the relative accuracy", () => {
+        const sketch = quantileSketch()(collectionOf(values));
+        expect(sketch.count).toBe(1000);
+        [0, 1, 25, 50, 90, 99, 100].forEach(q => {
+            const exact = percentile(q, InterpolationType.lower)(values);
+            expect(Math.abs(sketchQuantile(sketch, q) - exact) / exact).toBeLessThan(0.01);
+        });
+
+        // A coarser sketch uses fewer buckets
+        const coarse = quantileSketch("value", { relativeAccuracy: 0.1 })(collectionOf(values));
+        expect(_.size(coarse.positive)).toBeLessThan(_.size(sketch.positive));
+        expect(Math.abs(sketchQuantile(coarse, 50) / 11180 - 1)).toBeLessThan(0.1);
+    });
+
+    it("can sketch negative and zero values", () => {
+        const sketch = quantileSketch()(collectionOf([-100, -10, 0, 0, 10, null]));
+        expect(sketch.count).toBe(5);
+        expect(sketch.zero).toBe(2);
+        expect(sketchQuantile(sketch, 0)).toBe(-100);
+        expect(Math.abs(sketchQuantile(sketch, 25) + 10)).toBeLessThan(0.1);
+        expect(sketchQuantile(sketch, 50)).toBe(0);
+        expect(sketchQuantile(sketch, 100)).toBe(10);
+        expect(sketchQuantile(quantileSketch()(collectionOf([])), 50)).toBeNull();
+    });
+
+    it("can merge sketches across groups exactly", () => {
+        const all = collectionOf(values);
+        const perTeam = all.groupBy("team").aggregate({ latency: quantileSketch() });
+        const merged = mergeSketches(
+            perTeam
+                .valueSeq()
+                .map(d => d.get("latency"))
+                .toArray()
+        );
+        expect(merged).toEqual(quantileSketch()(all));
+        expect(() =>
+            mergeSketches([merged, quantileSketch("value", { relativeAccuracy: 0.05 })(all)])
+        ).toThrow();
+    });
+
+    it("can sketch stream windows and merge them", () => {
+        const results = [];
+        const source = stream()
+            .groupByWindow({ window: window(duration("1m")), trigger: Trigger.perEvent })
+            .aggregate({ latency: quantileSketch() })
+            .output(e => results.push(e));
+        values.forEach((v, i) =>
+            source.addEvent(event(time(i * 1000), Immutable.Map({ value: v })))
+        );
+
+        // The last result for each window has all of its values
+        const windows = _.map(
+            _.groupBy(results, e => e.getKey().toString()),
+            _.last
+        );
+        expect(windows.length).toBe(17);
+        const perMinute = sortedCollection(Immutable.List(windows));
+        const sketch = mergedSketch("latency")(perMinute);
+        expect(sketch.count).toBe(1000);
+        expect(Math.abs(sketchQuantile(sketch, 50) / 11180 - 1)).toBeLessThan(0.01);
+    });
+
+    it("checks the sketch options", () => {
+        expect(() => quantileSketch("value", { relativeAccuracy: 0 })).toThrow();
+        expect(() => sketchQuantile(quantileSketch()(collectionOf([1])), -1)).toThrow();
+        expect(() => mergeSketches([])).toThrow();
+    });
+});
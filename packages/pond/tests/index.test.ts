@@ -11,6 +11,9 @@
 declare const it: any;
 declare const expect: any;
 
+import moment from "moment-timezone";
+
+import { duration } from "../src/duration";
 import { index } from "../src/index";
 import { TimeAlignment } from "../src/types";
 
@@ -104,3 +107,40 @@ it("can create an index and get a time from it", done => {
     expect(idx.toTime(TimeAlignment.End).toUTCString()).toBe("Sat, 25 Apr 2009 12:30:00 GMT");
     done();
 });
+
+it("can shift an index by a duration", done => {
+    expect(
+        index("5m-4135541")
+            .shift(duration("1h"))
+            .toString()
+    ).toBe("5m-4135553");
+    expect(
+        index("1d-1234")
+            .shift(duration(-2, "days"))
+            .toString()
+    ).toBe("1d-1232");
+    expect(
+        index("2014-09-17")
+            .shift(duration("7d"))
+            .toString()
+    ).toBe("2014-09-24");
+    expect(
+        index("2017-W36")
+            .shift(duration("7d"))
+            .toString()
+    ).toBe("2017-W37");
+    expect(
+        index("2014-09")
+            .shift(duration("30d"))
+            .toString()
+    ).toBe("2014-10");
+    done();
+});
+
+it("can shift a day index across a daylight savings change", done => {
+    const idx = index("2017-03-10", "America/Chicago");
+    const shifted = idx.shift(duration("7d"));
+    expect(shifted.toString()).toBe("2017-03-17");
+    expect(+shifted.begin()).toBe(+moment.tz("2017-03-17", "America/Chicago"));
+    done();
+});
@@ -11,7 +11,7 @@ import { period } from "../src/period";
 import { sortedCollection } from "../src/sortedcollection";
 import { time } from "../src/time";
 
-import { AlignmentMethod } from "../src/types";
+import { AlignmentMethod, CounterMode } from "../src/types";
 
 const DATA2 = [
     [0, 1],
@@ -134,3 +134,48 @@ it("can output a null rate when data has nulls", () => {
     expect(rates.at(2).get("in_rate")).toEqual(null);
     expect(rates.at(3).get("in_rate")).toEqual(1);
 });
+
+const COUNTER = [
+    [0, 4294967000],
+    [30000, 4294967290],
+    [60000, 200],
+    [90000, 500]
+];
+
+const counterCollection = () =>
+    sortedCollection(
+        Immutable.List(COUNTER.map(e => event(time(e[0]), Immutable.Map({ in: e[1] }))))
+    );
+
+it("can calculate the rate of a counter that wraps around", () => {
+    const rates = counterCollection().rate({ fieldSpec: "in", counter: CounterMode.Wrap });
+    expect(rates.size()).toEqual(3);
+    expect(rates.at(0).get("in_rate")).toEqual(290 / 30);
+    expect(rates.at(1).get("in_rate")).toEqual(206 / 30);
+    expect(rates.at(2).get("in_rate")).toEqual(10);
+
+    const rates64 = counterCollection().rate({
+        fieldSpec: "in",
+        counter: CounterMode.Wrap,
+        counterMax: Math.pow(2, 33)
+    });
+    expect(rates64.at(1).get("in_rate")).toEqual((Math.pow(2, 33) - 4294967290 + 200) / 30);
+});
+
+it("can calculate the rate of a counter that is reset", () => {
+    const rates = counterCollection().rate({ fieldSpec: "in", counter: CounterMode.Reset });
+    expect(rates.at(0).get("in_rate")).toEqual(290 / 30);
+    expect(rates.at(1).get("in_rate")).toEqual(200 / 30);
+    expect(rates.at(2).get("in_rate")).toEqual(10);
+});
+
+it("can calculate the increase of a counter", () => {
+    const increases = counterCollection().rate({
+        fieldSpec: "in",
+        counter: CounterMode.Increase
+    });
+    expect(increases.at(0).get("in_increase")).toEqual(290);
+    expect(increases.at(1).get("in_increase")).toEqual(200);
+    expect(increases.at(2).get("in_increase")).toEqual(300);
+    expect(increases.at(2).get("in_rate")).toBeUndefined();
+});
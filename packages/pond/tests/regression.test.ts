@@ -0,0 +1,121 @@
+declare const it: any;
+declare const expect: any;
+
+import * as _ from "lodash";
+
+import { polynomialRoots } from "../src/regression";
+import { timeSeries } from "../src/timeseries";
+
+const HOUR = 60 * 60 * 1000;
+
+const START = 1500000000000;
+
+// Rising 3.6 per hour, or 0.001 per second, with a missing value
+const LINE = [
+    [START, 50],
+    [START + HOUR, 53.6],
+    [START + 2 * HOUR, null],
+    [START + 3 * HOUR, 60.8],
+    [START + 4 * HOUR, 64.4]
+];
+
+// A parabola, with some noise
+const CURVE = _.range(10).map(h => [
+    START + h * HOUR,
+    5 + 2 * h - 0.5 * h * h + (h % 2 ? 0.1 : -0.1)
+]);
+
+// Disk usage rising 1% an hour
+const FILLING = _.range(11).map(h => [START + h * HOUR, 50 + h]);
+
+// Disk usage falling 2% an hour
+const DRAINING = [
+    [START, 60],
+    [START + HOUR, 58],
+    [START + 2 * HOUR, 56]
+];
+
+// Disk usage which levels off at 96%
+const LEVELLING = _.range(5).map(h => [START + h * HOUR, 80 + 8 * h - h * h]);
+
+it("can fit a straight line to a column", () => {
+    const series = timeSeries({ name: "disk", columns: ["time", "value"], points: LINE });
+    const { origin, slope, intercept, r2, fitted } = series.fit();
+    expect(+origin).toBe(START);
+    expect(slope).toBeCloseTo(0.001, 10);
+    expect(intercept).toBeCloseTo(50, 8);
+    expect(r2).toBeCloseTo(1, 10);
+    expect(fitted.at(1).get("value_fit")).toBeCloseTo(53.6, 8);
+    expect(fitted.at(2).get("value_fit")).toBeNull();
+});
+
+it("can fit a line to a deep column", () => {
+    const series = timeSeries({
+        name: "traffic",
+        columns: ["time", "in"],
+        points: [
+            [0, { bytes: 10, packets: 1 }],
+            [1000, { bytes: 12, packets: 2 }],
+            [2000, { bytes: 14, packets: 3 }]
+        ]
+    });
+    const { slope, fitted } = series.fit({ fieldSpec: "in.bytes" });
+    expect(slope).toBeCloseTo(2, 10);
+    expect(fitted.at(2).get("in.bytes_fit")).toBeCloseTo(14, 10);
+    expect(fitted.at(2).get("in.packets")).toBe(3);
+    expect(fitted.columns()).toEqual(["in"]);
+});
+
+it("can fit a polynomial to a column", () => {
+    const series = timeSeries({ name: "disk", columns: ["time", "value"], points: CURVE });
+    const line = series.fit();
+    const curve = series.fit({ degree: 2 });
+    expect(curve.r2).toBeGreaterThan(0.999);
+    expect(line.r2).toBeLessThan(curve.r2);
+
+    // Coefficients are in seconds since the origin
+    const hours = curve.coefficients.map((c, k) => c * Math.pow(3600, k));
+    expect(hours[0]).toBeCloseTo(5, 0);
+    expect(hours[1]).toBeCloseTo(2, 0);
+    expect(hours[2]).toBeCloseTo(-0.5, 1);
+});
+
+it("can predict the time until a threshold is reached", () => {
+    // 1% an hour, reaching 100% 50 hours after the start, or 40 after the last value
+    const disk = timeSeries({ name: "disk", columns: ["time", "value"], points: FILLING });
+    expect(+disk.timeUntil(100)).toBe(40 * HOUR);
+
+    // Never, once trending down
+    const draining = timeSeries({ name: "disk", columns: ["time", "value"], points: DRAINING });
+    expect(draining.timeUntil(100)).toBeNull();
+
+    // A curve which levels off before reaching the threshold
+    const curve = timeSeries({ name: "disk", columns: ["time", "value"], points: LEVELLING });
+    expect(curve.timeUntil(100, { degree: 2 })).toBeNull();
+    expect(+curve.timeUntil(95, { degree: 2 })).toBe(1 * HOUR);
+});
+
+it("can find the real roots of a polynomial", () => {
+    // (x + 3)(x - 1)(x - 2)
+    const roots = polynomialRoots([6, -7, 0, 1]);
+    expect(roots.length).toBe(3);
+    [-3, 1, 2].forEach((x, i) => expect(roots[i]).toBeCloseTo(x, 9));
+    expect(polynomialRoots([1, 0, 1])).toEqual([]);
+    expect(polynomialRoots([-4, 2])).toEqual([2]);
+});
+
+it("checks the fit options", () => {
+    const series = timeSeries({ name: "disk", columns: ["time", "value"], points: DRAINING });
+    expect(() => series.fit({ degree: 0 })).toThrow();
+    expect(() => series.fit({ degree: 3 })).toThrow();
+
+    const empty = timeSeries({
+        name: "disk",
+        columns: ["time", "value"],
+        points: [
+            [START, null],
+            [START + HOUR, null]
+        ]
+    });
+    expect(() => empty.fit()).toThrow();
+});
@@ -0,0 +1,94 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event } from "../src/event";
+import { avg, count, integral, stdev, sum } from "../src/functions";
+import { sortedCollection } from "../src/sortedcollection";
+import { time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+const DATA = [
+    [0, 1],
+    [30000, 3],
+    [60000, 10],
+    [90000, 40],
+    [150000, 70],
+    [180000, 130]
+];
+
+const collection = () =>
+    sortedCollection(
+        Immutable.List(DATA.map(e => event(time(e[0]), Immutable.Map({ value: e[1] }))))
+    );
+
+it("can take a rolling average over a number of events", () => {
+    const rolled = collection().rolling({
+        window: 3,
+        aggregation: { value: ["value", avg()], n: ["value", count()] }
+    });
+
+    expect(rolled.size()).toEqual(DATA.length);
+    expect(+rolled.at(0).timestamp()).toEqual(0);
+    expect(rolled.at(0).get("value")).toEqual(1);
+    expect(rolled.at(1).get("value")).toEqual(2);
+    expect(rolled.at(2).get("value")).toEqual(14 / 3);
+    expect(rolled.at(5).get("value")).toEqual(80);
+    expect(rolled.at(5).get("n")).toEqual(3);
+});
+
+it("can take a rolling sum over a duration", () => {
+    const rolled = collection().rolling({
+        window: duration("1m"),
+        aggregation: { total: ["value", sum()], n: ["value", count()] }
+    });
+
+    // The window is the minute up to and including each event
+    expect(rolled.at(1).get("total")).toEqual(4);
+    expect(rolled.at(2).get("total")).toEqual(13);
+    expect(rolled.at(3).get("total")).toEqual(50);
+    expect(rolled.at(4).get("total")).toEqual(70);
+    expect(rolled.at(4).get("n")).toEqual(1);
+    expect(rolled.at(5).get("total")).toEqual(200);
+});
+
+it("can use time aware aggregations in a rolling window", () => {
+    const rolled = collection().rolling({
+        window: duration("1m"),
+        aggregation: { area: integral() }
+    });
+
+    // The value at the start of the window is interpolated from the event before it
+    expect(rolled.at(2).get("area")).toEqual(60 + 195);
+    expect(rolled.at(4).get("area")).toEqual(((40 + 70) / 2) * 60);
+});
+
+it("can take a rolling standard deviation of a TimeSeries", () => {
+    const series = timeSeries({
+        name: "series",
+        columns: ["time", "value"],
+        points: DATA
+    });
+    const rolled = series.rolling({
+        window: 2,
+        aggregation: { value: ["value", stdev()] }
+    });
+
+    expect(rolled.name()).toEqual("series");
+    expect(rolled.size()).toEqual(series.size());
+    expect(rolled.at(0).get()).toEqual(0);
+    expect(rolled.at(1).get()).toEqual(1);
+    expect(rolled.at(5).get()).toEqual(30);
+});
+
+it("requires a positive whole number of events in a window", () => {
+    expect(() => collection().rolling({ window: 0, aggregation: {} })).toThrow();
+    expect(() => collection().rolling({ window: 1.5, aggregation: {} })).toThrow();
+});
+
+it("requires a positive window duration", () => {
+    expect(() => collection().rolling({ window: duration(0), aggregation: {} })).toThrow();
+    expect(() => collection().rolling({ window: duration(-1000), aggregation: {} })).toThrow();
+});
@@ -0,0 +1,131 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { duration } from "../src/duration";
+import { event } from "../src/event";
+import { sortedCollection } from "../src/sortedcollection";
+import { stream } from "../src/stream";
+import { time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+import { SmoothingMethod } from "../src/types";
+
+const collectionOf = (points: number[][]) =>
+    sortedCollection(
+        Immutable.List(points.map(e => event(time(e[0]), Immutable.Map({ value: e[1] }))))
+    );
+
+it("can take an EWMA with a half life, taking into account irregular sampling", () => {
+    const smoothed = collectionOf([
+        [0, 0],
+        [30000, 10],
+        [90000, 10],
+        [120000, null]
+    ]).smooth({
+        fieldSpec: "value",
+        halfLife: duration("30s")
+    });
+
+    expect(smoothed.size()).toEqual(4);
+    expect(smoothed.at(0).get("value")).toEqual(0);
+    expect(smoothed.at(0).get("value_smoothed")).toEqual(0);
+    expect(smoothed.at(1).get("value_smoothed")).toEqual(5);
+
+    // Two half lives have passed, so the weight of the previous level is a quarter
+    expect(smoothed.at(2).get("value_smoothed")).toEqual(8.75);
+    expect(smoothed.at(3).get("value_smoothed")).toBeNull();
+});
+
+it("can use double exponential smoothing", () => {
+    const smoothed = collectionOf([
+        [0, 1],
+        [1000, 2],
+        [2000, 3]
+    ]).smooth({
+        fieldSpec: "value",
+        method: SmoothingMethod.DoubleExponential,
+        alpha: 0.5,
+        beta: 0.5,
+        suffix: "_holt"
+    });
+
+    expect(smoothed.at(0).get("value_holt")).toEqual(1);
+    expect(smoothed.at(1).get("value_holt")).toEqual(1.5);
+    expect(smoothed.at(2).get("value_holt")).toEqual(0.5 * 3 + 0.5 * (1.5 + 0.25));
+});
+
+it("can use Savitzky-Golay smoothing on a TimeSeries", () => {
+    // A quadratic is fitted exactly by a polynomial of degree 2, even when
+    // the events are irregularly spaced
+    const points = [0, 1, 3, 4, 6, 7, 9].map(t => [t * 1000, t * t]);
+    const series = timeSeries({ name: "squares", columns: ["time", "value"], points });
+    const smoothed = series.smooth({
+        fieldSpec: "value",
+        method: SmoothingMethod.SavitzkyGolay,
+        windowSize: 5,
+        degree: 2
+    });
+
+    expect(smoothed.size()).toEqual(7);
+    smoothed.forEach(e => {
+        expect(e.get("value_smoothed")).toBeCloseTo(e.get("value"), 6);
+    });
+
+    // With a degree of 0, it's a centered moving average
+    const averaged = collectionOf([
+        [0, 0],
+        [1000, 9],
+        [2000, 0],
+        [3000, 9],
+        [4000, 0]
+    ]).smooth({
+        fieldSpec: "value",
+        method: SmoothingMethod.SavitzkyGolay,
+        windowSize: 3,
+        degree: 0
+    });
+    expect(averaged.size()).toEqual(5);
+    expect(averaged.at(0).get("value_smoothed")).toBeCloseTo(3, 6);
+    expect(averaged.at(1).get("value_smoothed")).toBeCloseTo(3, 6);
+    expect(averaged.at(2).get("value_smoothed")).toBeCloseTo(6, 6);
+    expect(averaged.at(4).get("value_smoothed")).toBeCloseTo(3, 6);
+});
+
+it("can use Savitzky-Golay smoothing in a stream, emitting the last events on flush", () => {
+    const result = [];
+    const s = stream()
+        .smooth({
+            fieldSpec: "value",
+            method: SmoothingMethod.SavitzkyGolay,
+            windowSize: 3,
+            degree: 1
+        })
+        .output(e => result.push(e));
+
+    [
+        [0, 1],
+        [1000, 2],
+        [2000, 3],
+        [3000, 4]
+    ].forEach(([t, v]) => s.addEvent(event(time(t), Immutable.Map({ value: v }))));
+    expect(result.length).toEqual(3);
+
+    s.flush();
+    expect(result.length).toEqual(4);
+    expect(result.map(e => e.get("value_smoothed"))).toEqual(
+        [1, 2, 3, 4].map(v => expect.closeTo(v, 6))
+    );
+});
+
+it("checks the smoothing options", () => {
+    expect(() => collectionOf([]).smooth({ fieldSpec: "value" })).toThrow();
+    expect(() =>
+        collectionOf([]).smooth({
+            fieldSpec: "value",
+            method: SmoothingMethod.SavitzkyGolay,
+            windowSize: 4
+        })
+    ).toThrow();
+});
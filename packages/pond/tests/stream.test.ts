@@ -10,15 +10,17 @@ import moment from "moment";
 import { Collection } from "../src/collection";
 import { duration } from "../src/duration";
 import { event, Event } from "../src/event";
-import { avg, count, sum } from "../src/functions";
+import { avg, count, integral, sum } from "../src/functions";
 import { Index } from "../src/index";
+import { Key } from "../src/key";
 import { period } from "../src/period";
 import { stream } from "../src/stream";
 import { time, Time } from "../src/time";
 import { Trigger } from "../src/types";
-import { window } from "../src/window";
+import { TimeRange } from "../src/timerange";
+import { countWindow, session, window } from "../src/window";
 
-import { AlignmentMethod } from "../src/types";
+import { AlignmentMethod, CounterMode } from "../src/types";
 
 const streamingEvents = [
     event(time(0), Immutable.Map({ count: 5, value: 1 })),
@@ -73,6 +75,44 @@ describe("Streaming", () => {
         expect(result[6].get("value_rate")).toEqual(0.016666666666666666);
     });
 
+    it("can do streaming rates of a counter that is reset", () => {
+        const result = [];
+        const s = stream()
+            .rate({ fieldSpec: "value", counter: CounterMode.Reset })
+            .output(e => result.push(e));
+
+        [
+            [0, 100],
+            [60000, 160],
+            [120000, 30],
+            [180000, 90]
+        ].forEach(([t, v]) => s.addEvent(event(time(t), Immutable.Map({ value: v }))));
+
+        expect(result.length).toBe(3);
+        expect(result[0].get("value_rate")).toEqual(1);
+        expect(result[1].get("value_rate")).toEqual(0.5);
+        expect(result[2].get("value_rate")).toEqual(1);
+    });
+
+    it("can do a streaming rolling average", () => {
+        const result: Array<Event<Time>> = [];
+        const s = stream<Time>()
+            .rolling({
+                window: duration("1m"),
+                aggregation: { value: ["value", avg()] }
+            })
+            .output(e => result.push(e as Event<Time>));
+
+        streamingEvents.forEach(e => s.addEvent(e));
+
+        expect(result.length).toBe(streamingEvents.length);
+        expect(result[0].get("value")).toEqual(1);
+        expect(result[1].get("value")).toEqual(2);
+        expect(result[2].get("value")).toEqual(6.5);
+        expect(+result[10].timestamp()).toEqual(300000);
+        expect(result[10].get("value")).toEqual(450);
+    });
+
     it("can do build keyed collection pairs", () => {
         const eventsIn = [
             event(time(Date.UTC(2015, 2, 14, 7, 57, 0)), Immutable.Map({ in: 3, out: 1 })),
@@ -174,6 +214,330 @@ describe("Streaming", () => {
         expect(result["30m-792400"].get("in_avg")).toEqual(4.5);
         expect(result["30m-792400"].get("out_avg")).toEqual(8);
     });
+    it("can do streaming aggregation of sessions", () => {
+        const eventsIn = [
+            event(time(Date.UTC(2015, 2, 14, 7, 57, 0)), Immutable.Map({ in: 3 })),
+            event(time(Date.UTC(2015, 2, 14, 7, 58, 0)), Immutable.Map({ in: 9 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 10, 0)), Immutable.Map({ in: 6 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 40, 0)), Immutable.Map({ in: 4 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 45, 0)), Immutable.Map({ in: 5 })),
+            event(time(Date.UTC(2015, 2, 14, 9, 30, 0)), Immutable.Map({ in: 0 }))
+        ];
+
+        const results: Array<Event<TimeRange>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: session(duration("15m")),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate<TimeRange>({
+                in_sum: ["in", sum()]
+            })
+            .output(evt => {
+                results.push(evt as Event<TimeRange>);
+            });
+
+        eventsIn.forEach(e => source.addEvent(e));
+
+        expect(results.length).toBe(2);
+        expect(results[0].get("in_sum")).toEqual(18);
+        expect(+results[0].getKey().begin()).toBe(Date.UTC(2015, 2, 14, 7, 57, 0));
+        expect(+results[0].getKey().end()).toBe(Date.UTC(2015, 2, 14, 8, 10, 0));
+        expect(results[1].get("in_sum")).toEqual(9);
+        expect(+results[1].getKey().begin()).toBe(Date.UTC(2015, 2, 14, 8, 40, 0));
+    });
+
+    it("can add out of order events to the sessions they fall within", () => {
+        const minutes = (m: number) => Date.UTC(2015, 2, 14, 8, m, 0);
+        const results: Array<Event<TimeRange>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: session(duration("5m")),
+                trigger: Trigger.onDiscardedWindow,
+                watermark: duration("30m")
+            })
+            .aggregate<TimeRange>({ n: ["in", count()] })
+            .output(evt => results.push(evt as Event<TimeRange>));
+
+        // The event at 4m continues the first session, even though a later one has begun,
+        // and the one at 24m joins the two sessions either side of it
+        [0, 2, 20, 4, 28, 24, 60, 100].forEach(m =>
+            source.addEvent(event(time(minutes(m)), Immutable.Map({ in: m })))
+        );
+        source.flush();
+
+        expect(results.map(e => [+e.getKey().begin(), +e.getKey().end(), e.get("n")])).toEqual([
+            [minutes(0), minutes(4), 3],
+            [minutes(20), minutes(28), 3],
+            [minutes(60), minutes(60), 1],
+            [minutes(100), minutes(100), 1]
+        ]);
+    });
+
+    it("can do streaming aggregation over a count of events", () => {
+        const results: Array<Event<TimeRange>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: countWindow(4),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate<TimeRange>({
+                value_avg: ["value", avg()]
+            })
+            .output(evt => {
+                results.push(evt as Event<TimeRange>);
+            });
+
+        streamingEvents.forEach(e => source.addEvent(e));
+
+        expect(results.length).toBe(2);
+        expect(results[0].get("value_avg")).toEqual(13.5);
+        expect(+results[0].getKey().begin()).toBe(0);
+        expect(+results[0].getKey().end()).toBe(90000);
+        expect(results[1].get("value_avg")).toEqual(152.5);
+        expect(+results[1].getKey().begin()).toBe(120000);
+    });
+
+    it("can hold windows open for out of order events using a watermark", () => {
+        const eventsIn = [
+            event(time(Date.UTC(2015, 2, 14, 7, 57, 0)), Immutable.Map({ in: 3 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 1, 0)), Immutable.Map({ in: 5 })),
+            event(time(Date.UTC(2015, 2, 14, 7, 59, 0)), Immutable.Map({ in: 9 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 6, 0)), Immutable.Map({ in: 1 }))
+        ];
+
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("30m")),
+                trigger: Trigger.onDiscardedWindow,
+                watermark: duration("5m")
+            })
+            .aggregate({ in_sum: ["in", sum()] })
+            .output(evt => results.push(evt as Event<Index>));
+
+        eventsIn.forEach(e => source.addEvent(e));
+
+        expect(results.length).toBe(1);
+        expect(results[0].getKey().toString()).toBe("30m-792399");
+        expect(results[0].get("in_sum")).toBe(12);
+    });
+
+    it("can re-emit windows for late events and route later events to a side output", () => {
+        const eventsIn = [
+            event(time(Date.UTC(2015, 2, 14, 7, 57, 0)), Immutable.Map({ in: 3 })),
+            event(time(Date.UTC(2015, 2, 14, 7, 58, 0)), Immutable.Map({ in: 9 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 1, 0)), Immutable.Map({ in: 5 })),
+            event(time(Date.UTC(2015, 2, 14, 7, 59, 0)), Immutable.Map({ in: 12 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 20, 0)), Immutable.Map({ in: 1 })),
+            event(time(Date.UTC(2015, 2, 14, 7, 50, 0)), Immutable.Map({ in: 100 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 31, 0)), Immutable.Map({ in: 0 }))
+        ];
+
+        const results: Array<Event<Index>> = [];
+        const lateEvents: Array<Event<Key>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("30m")),
+                trigger: Trigger.onDiscardedWindow,
+                allowedLateness: duration("10m"),
+                onLateEvent: e => lateEvents.push(e)
+            })
+            .aggregate({ in_avg: ["in", avg()] })
+            .output(evt => results.push(evt as Event<Index>));
+
+        eventsIn.forEach(e => source.addEvent(e));
+
+        expect(results.length).toBe(3);
+        expect(results[0].getKey().toString()).toBe("30m-792399");
+        expect(results[0].get("in_avg")).toBe(6);
+        expect(results[1].getKey().toString()).toBe("30m-792399");
+        expect(results[1].get("in_avg")).toBe(8);
+        expect(results[2].getKey().toString()).toBe("30m-792400");
+        expect(results[2].get("in_avg")).toBe(3);
+
+        expect(lateEvents.length).toBe(1);
+        expect(lateEvents[0].get("in")).toBe(100);
+    });
+
+    it("can flush the remaining windows at the end of a stream", () => {
+        const results: Array<Event<Index>> = [];
+        let ended = 0;
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({ value_sum: ["value", sum()] })
+            .output(
+                evt => results.push(evt as Event<Index>),
+                () => (ended += 1)
+            );
+
+        streamingEvents.forEach(e => source.addEvent(e));
+        expect(results.length).toBe(5);
+
+        source.flush();
+        expect(results.length).toBe(6);
+        expect(results[5].getKey().toString()).toBe("1m-5");
+        expect(results[5].get("value_sum")).toBe(510);
+        expect(ended).toBe(0);
+
+        source.end();
+        expect(results.length).toBe(6);
+        expect(ended).toBe(1);
+    });
+
+    it("can flush an aligned event at the end of a stream", () => {
+        const results = [];
+        const source = stream()
+            .align({
+                fieldSpec: "value",
+                period: period(duration("1m")),
+                method: AlignmentMethod.Linear
+            })
+            .output(e => results.push(e));
+
+        source.addEvent(event(time(30000), Immutable.Map({ value: 1 })));
+        source.addEvent(event(time(120000), Immutable.Map({ value: 4 })));
+        expect(results.length).toBe(1);
+
+        source.end();
+        expect(results.length).toBe(2);
+        expect(+results[1].timestamp()).toBe(120000);
+        expect(results[1].get("value")).toBe(4);
+    });
+
+    it("can do streaming aggregation per group", () => {
+        const eventsIn = [
+            event(time(Date.UTC(2015, 2, 14, 7, 57, 0)), Immutable.Map({ host: "a", in: 3 })),
+            event(time(Date.UTC(2015, 2, 14, 7, 58, 0)), Immutable.Map({ host: "b", in: 9 })),
+            event(time(Date.UTC(2015, 2, 14, 7, 59, 0)), Immutable.Map({ host: "a", in: 6 })),
+            event(time(Date.UTC(2015, 2, 14, 8, 0, 0)), Immutable.Map({ host: "b", in: 4 }))
+        ];
+
+        const keys = [];
+        stream<Time>()
+            .groupByWindow({
+                window: window(duration("30m")),
+                trigger: Trigger.perEvent,
+                groupBy: "host"
+            })
+            .output((collection, key) => keys.push(key))
+            .addEvent(eventsIn[0]);
+        expect(keys).toEqual(["a::30m-792399"]);
+
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("30m")),
+                trigger: Trigger.onDiscardedWindow,
+                groupBy: "host"
+            })
+            .aggregate({ in_sum: ["in", sum()] })
+            .output(evt => results.push(evt as Event<Index>));
+
+        eventsIn.forEach(e => source.addEvent(e));
+
+        expect(results.length).toBe(2);
+        expect(results[0].getKey().toString()).toBe("30m-792399");
+        expect(results[0].get("host")).toBe("a");
+        expect(results[0].get("in_sum")).toBe(9);
+        expect(results[1].get("host")).toBe("b");
+        expect(results[1].get("in_sum")).toBe(9);
+    });
+
+    it("can tag aggregations with the original group value", () => {
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onDiscardedWindow,
+                groupBy: "host"
+            })
+            .aggregate({ in_sum: ["in", sum()] })
+            .output(evt => results.push(evt as Event<Index>));
+
+        // Numeric groups, including zero, and groups containing the key separator
+        [
+            [0, 1],
+            [0, "a::b"],
+            [30000, 1],
+            [30000, 0],
+            [60000, 1]
+        ].forEach(([t, host]) =>
+            source.addEvent(event(time(t as number), Immutable.Map({ host, in: 2 })))
+        );
+        source.flush();
+
+        expect(results.map(e => [e.getKey().toString(), e.get("host"), e.get("in_sum")])).toEqual([
+            ["1m-0", 1, 4],
+            ["1m-0", "a::b", 2],
+            ["1m-0", 0, 2],
+            ["1m-1", 1, 2]
+        ]);
+    });
+
+    it("can do streaming aggregation grouped by a function", () => {
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onDiscardedWindow,
+                groupBy: e => (e.get("value") % 2 === 0 ? "even" : "odd")
+            })
+            .aggregate({ count: ["value", count()] })
+            .output(evt => results.push(evt as Event<Index>));
+
+        streamingEvents.forEach(e => source.addEvent(e));
+        source.flush();
+
+        const groups = results.map(e => `${e.getKey().toString()} ${e.get("group")}`);
+        expect(groups.slice(0, 3)).toEqual(["1m-0 odd", "1m-1 even", "1m-2 even"]);
+        expect(results.length).toBe(6);
+    });
+
+    it("can do streaming aggregation with function aggregations", () => {
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({
+                "value.range": collection => collection.max("value") - collection.min("value"),
+                "value.avg": ["value", avg()]
+            })
+            .output(evt => results.push(evt as Event<Index>));
+
+        streamingEvents.forEach(e => source.addEvent(e));
+
+        expect(results.length).toBe(5);
+        expect(results[0].get(["value", "range"])).toBe(2);
+        expect(results[0].get(["value", "avg"])).toBe(2);
+        expect(results[1].get(["value", "range"])).toBe(30);
+    });
+
+    it("can do streaming aggregation with time aware aggregations", () => {
+        const results: Array<Event<Index>> = [];
+        const source = stream<Time>()
+            .groupByWindow({
+                window: window(duration("1m")),
+                trigger: Trigger.onDiscardedWindow
+            })
+            .aggregate({
+                area: integral()
+            })
+            .output(evt => results.push(evt as Event<Index>));
+
+        streamingEvents.forEach(e => source.addEvent(e));
+
+        // Each window is interpolated up to the first event of the next window
+        expect(results.length).toBe(5);
+        expect(results[0].get("area")).toBe(255);
+        expect(results[1].get("area")).toBe(2400);
+    });
+
     it("can do streaming event remapping", () => {
         const eventsIn = [
             event(time(Date.UTC(2015, 2, 14, 7, 57, 0)), Immutable.Map({ a: 1 })),
@@ -284,6 +648,19 @@ describe("Streaming", () => {
         expect(result[2].get("c")).toBe(9);
     });
 
+    it("can derive event fields from expressions", () => {
+        const result = [];
+        const s = stream()
+            .derive({ expressions: "traffic.bits = traffic.octets * 8" })
+            .output(e => result.push(e));
+
+        s.addEvent(event(time(0), Immutable.fromJS({ traffic: { octets: 5 } })));
+        s.addEvent(event(time(1000), Immutable.fromJS({ traffic: { octets: null } })));
+
+        expect(result[0].get("traffic.bits")).toBe(40);
+        expect(result[1].get("traffic.bits")).toBeNull();
+    });
+
     it("can collapse of specific event fields", () => {
         const DATA = [
             [1471824030000, 1, 2, 3],
@@ -19,10 +19,11 @@ import Moment = moment.Moment;
 import { collection, Collection } from "../src/collection";
 import { duration } from "../src/duration";
 import { event, Event, indexedEvent, timeEvent, timeRangeEvent } from "../src/event";
-import { avg, max, sum } from "../src/functions";
+import { avg, count, durationAbove, integral, max, sum, timeWeightedAvg } from "../src/functions";
 import { index, Index } from "../src/index";
+import { period } from "../src/period";
 import { time, Time } from "../src/time";
-import { timerange } from "../src/timerange";
+import { TimeRange, timerange } from "../src/timerange";
 import {
     indexedSeries,
     timeRangeSeries,
@@ -30,8 +31,8 @@ import {
     timeSeries,
     TimeSeriesWireFormat
 } from "../src/timeseries";
-import { TimeAlignment } from "../src/types";
-import { window } from "../src/window";
+import { ArithmeticAlignment, JoinType, TimeAlignment } from "../src/types";
+import { session, window } from "../src/window";
 
 const EVENT_DATA = {
     name: "avg temps",
@@ -903,6 +904,95 @@ describe("Merging two timeseries together", () => {
     });
 });
 
+describe("Joining timeseries together", () => {
+    const traffic = timeSeries({
+        name: "traffic",
+        columns: ["time", "value"],
+        points: [
+            [0, 10],
+            [60000, 20],
+            [120000, 30],
+            [180000, 40]
+        ]
+    });
+    const errors = timeSeries({
+        name: "errors",
+        columns: ["time", "value"],
+        points: [
+            [0, 1],
+            [50000, 2],
+            [120000, 3],
+            [240000, 4]
+        ]
+    });
+
+    it("can inner, left and outer join timeseries on their keys", () => {
+        const prefixes = ["traffic", "errors"];
+        const seriesList = [traffic, errors];
+
+        const inner = TimeSeries.timeSeriesListJoin<Time>({ name: "inner", seriesList, prefixes });
+        expect(inner.name()).toBe("inner");
+        expect(inner.size()).toBe(2);
+        expect(
+            inner
+                .at(1)
+                .timestamp()
+                .getTime()
+        ).toBe(120000);
+        expect(inner.at(1).get("traffic_value")).toBe(30);
+        expect(inner.at(1).get("errors_value")).toBe(3);
+
+        const left = TimeSeries.timeSeriesListJoin<Time>({
+            seriesList,
+            prefixes,
+            type: JoinType.Left
+        });
+        expect(left.size()).toBe(4);
+        expect(left.at(1).get("traffic_value")).toBe(20);
+        expect(left.at(1).get("errors_value")).toBeNull();
+
+        const outer = TimeSeries.timeSeriesListJoin<Time>({
+            seriesList,
+            prefixes,
+            type: JoinType.Outer
+        });
+        expect(outer.size()).toBe(6);
+        expect(
+            outer
+                .at(1)
+                .timestamp()
+                .getTime()
+        ).toBe(50000);
+        expect(outer.at(1).get("traffic_value")).toBeNull();
+        expect(outer.at(5).get("errors_value")).toBe(4);
+    });
+
+    it("can as-of join timeseries within a tolerance", () => {
+        const joined = TimeSeries.timeSeriesListJoin<Time>({
+            seriesList: [traffic, errors],
+            prefixes: ["traffic", "errors"],
+            type: JoinType.AsOf,
+            tolerance: duration("30s")
+        });
+        expect(joined.size()).toBe(4);
+        expect(joined.at(0).get("errors_value")).toBe(1);
+        expect(joined.at(1).get("errors_value")).toBe(2);
+        expect(joined.at(2).get("errors_value")).toBe(3);
+        expect(joined.at(3).get("errors_value")).toBeNull();
+
+        const unlimited = TimeSeries.timeSeriesListJoin<Time>({
+            seriesList: [traffic, errors],
+            prefixes: ["traffic", "errors"],
+            type: JoinType.AsOf
+        });
+        expect(unlimited.at(3).get("errors_value")).toBe(3);
+    });
+
+    it("requires prefixes to join timeseries with the same columns", () => {
+        expect(() => TimeSeries.timeSeriesListJoin({ seriesList: [traffic, errors] })).toThrow();
+    });
+});
+
 describe("Summing two timeseries together", () => {
     it("can merge two timeseries into a new timeseries that is the sum", () => {
         const part1 = timeSeries(sumPart1);
@@ -1058,6 +1148,18 @@ describe("Select specific columns in a TimeSeries", () => {
         });
         expect(newSeries.columns()).toEqual(["new_uptime"]);
     });
+
+    it("can derive columns from expressions", () => {
+        const ts = timeSeries(sumPart1);
+        const derived = ts.derive({
+            expressions: ["total = in + out", "share = round(in / total * 100, 1)"]
+        });
+        expect(derived.columns()).toEqual(["in", "out", "total", "share"]);
+        expect(derived.at(0).get("total")).toBe(7);
+        expect(derived.at(0).get("share")).toBe(14.3);
+        expect(derived.at(3).get("share")).toBe(30.8);
+        expect(() => ts.derive({ expressions: "in + out" })).toThrow(/must assign to a column/);
+    });
 });
 
 describe("Remapping Events in a TimeSeries", () => {
@@ -1157,6 +1259,257 @@ describe("Remapping Events in a TimeSeries", () => {
     });
 });
 
+describe("Shifting a TimeSeries and comparing it with the past", () => {
+    const daily = indexedSeries({
+        name: "visits",
+        columns: ["index", "value"],
+        points: [
+            ["2017-09-04", 100],
+            ["2017-09-05", 120],
+            ["2017-09-06", 80],
+            ["2017-09-07", 90],
+            ["2017-09-08", 110],
+            ["2017-09-09", 40],
+            ["2017-09-10", 30],
+            ["2017-09-11", 125],
+            ["2017-09-12", 120],
+            ["2017-09-13", 0],
+            ["2017-09-14", null]
+        ]
+    });
+
+    it("can shift the keys of a TimeSeries by a duration", () => {
+        const series = timeSeries({
+            name: "series",
+            columns: ["time", "value"],
+            points: [
+                [1400425951000, 1],
+                [1400425952000, 2]
+            ]
+        });
+        const shifted = series.shift(duration("1h"));
+        expect(+shifted.at(0).timestamp()).toBe(1400425951000 + 3600000);
+        expect(shifted.at(1).get()).toBe(2);
+
+        const ranges = timeRangeSeries({
+            name: "ranges",
+            columns: ["timerange", "value"],
+            points: [[[1400425951000, 1400425952000], 1]]
+        });
+        const shiftedRange = ranges
+            .shift(duration(-1000))
+            .at(0)
+            .getKey() as TimeRange;
+        expect(+shiftedRange.begin()).toBe(1400425950000);
+        expect(+shiftedRange.end()).toBe(1400425951000);
+
+        const shiftedDays = daily.shift(duration("7d"));
+        expect(shiftedDays.at(0).indexAsString()).toBe("2017-09-11");
+        expect(shiftedDays.at(0).get()).toBe(100);
+    });
+
+    it("can add lag and lead columns", () => {
+        const lagged = daily.lag(2).lead(1);
+        expect(lagged.at(0).get("value_lag_2")).toBeNull();
+        expect(lagged.at(1).get("value_lag_2")).toBeNull();
+        expect(lagged.at(2).get("value_lag_2")).toBe(100);
+        expect(lagged.at(0).get("value_lead_1")).toBe(120);
+        expect(lagged.at(10).get("value_lead_1")).toBeNull();
+        expect(lagged.at(3).get("value")).toBe(90);
+        expect(() => daily.lag(0)).toThrow();
+        expect(() => daily.lead(-1)).toThrow();
+    });
+
+    it("can compare each day with the same day of the week before", () => {
+        const compared = daily.compareToPrevious({ period: duration("7d") });
+        expect(compared.size()).toBe(11);
+        expect(compared.at(0).get("value_previous")).toBeNull();
+        expect(compared.at(0).get("value_delta")).toBeNull();
+        expect(compared.at(7).indexAsString()).toBe("2017-09-11");
+        expect(compared.at(7).get("value_previous")).toBe(100);
+        expect(compared.at(7).get("value_delta")).toBe(25);
+        expect(compared.at(7).get("value_pct_change")).toBe(25);
+        expect(compared.at(8).get("value_pct_change")).toBe(0);
+        expect(compared.at(9).get("value_delta")).toBe(-80);
+        expect(compared.at(9).get("value_pct_change")).toBe(-100);
+        expect(compared.at(10).get("value_delta")).toBeNull();
+        expect(compared.name()).toBe("visits");
+    });
+
+    it("can compare deep fields with the previous period", () => {
+        const traffic = timeSeries({
+            name: "traffic",
+            columns: ["time", "in"],
+            points: [
+                [0, { bytes: 10, packets: 1 }],
+                [60000, { bytes: 15, packets: 2 }],
+                [120000, { bytes: 12, packets: 3 }]
+            ]
+        });
+        const compared = traffic.compareToPrevious({
+            period: duration("1m"),
+            fieldSpec: "in.bytes"
+        });
+        expect(compared.at(0).get("in.bytes_previous")).toBeNull();
+        expect(compared.at(1).get("in.bytes_previous")).toBe(10);
+        expect(compared.at(1).get("in.bytes_delta")).toBe(5);
+        expect(compared.at(2).get("in.bytes_pct_change")).toBe(-20);
+        expect(compared.at(2).get("in.packets")).toBe(3);
+        expect(compared.columns()).toEqual(["in"]);
+    });
+});
+
+describe("Arithmetic between TimeSeries", () => {
+    const requests = timeSeries({
+        name: "requests",
+        columns: ["time", "value"],
+        points: [
+            [0, 200],
+            [30000, 400],
+            [60000, 0],
+            [90000, 100]
+        ]
+    });
+    const errors = timeSeries({
+        name: "errors",
+        columns: ["time", "value", "host"],
+        points: [
+            [0, 10],
+            [30000, 20],
+            [60000, 5],
+            [120000, 1]
+        ].map(p => [...p, "a"])
+    });
+
+    it("can combine TimeSeries with matching keys", () => {
+        const percentage = errors.divide(requests).multiply(100);
+        expect(percentage.name()).toBe("errors");
+        expect(percentage.size()).toBe(4);
+        expect(percentage.at(0).get()).toBe(5);
+        expect(percentage.at(1).get()).toBe(5);
+        expect(percentage.at(0).get("host")).toBe("a");
+
+        // Dividing by zero and a missing Event are both null
+        expect(percentage.at(2).get()).toBeNull();
+        expect(percentage.at(3).get()).toBeNull();
+
+        expect(
+            requests
+                .add(errors)
+                .at(1)
+                .get()
+        ).toBe(420);
+        expect(
+            requests
+                .subtract(errors)
+                .at(1)
+                .get()
+        ).toBe(380);
+        expect(
+            requests
+                .subtract(errors)
+                .at(3)
+                .get()
+        ).toBeNull();
+    });
+
+    it("can combine a TimeSeries with a scalar", () => {
+        const withNull = timeSeries({
+            name: "series",
+            columns: ["time", "in", "out"],
+            points: [
+                [0, 1, 2],
+                [1000, null, 4]
+            ]
+        });
+        const doubled = withNull.multiply(2, { fieldSpec: ["in", "out"] });
+        expect(doubled.at(0).get("in")).toBe(2);
+        expect(doubled.at(0).get("out")).toBe(4);
+        expect(doubled.at(1).get("in")).toBeNull();
+        expect(doubled.at(1).get("out")).toBe(8);
+    });
+
+    it("can combine deep fields of TimeSeries", () => {
+        const traffic = (name: string, bytes: number[]) =>
+            timeSeries({
+                name,
+                columns: ["time", "in"],
+                points: bytes.map((b, i) => [i * 1000, { bytes: b, packets: i }])
+            });
+        const a = traffic("a", [10, 20, null]);
+        const b = traffic("b", [1, 2, 3]);
+
+        const plusFive = a.add(5, { fieldSpec: "in.bytes" });
+        expect(plusFive.at(0).get("in.bytes")).toBe(15);
+        expect(plusFive.at(1).get("in.packets")).toBe(1);
+        expect(plusFive.columns()).toEqual(["in"]);
+
+        const summed = a.add(b, { fieldSpec: "in.bytes" });
+        expect(summed.at(0).get("in.bytes")).toBe(11);
+        expect(summed.at(1).get("in.bytes")).toBe(22);
+        expect(summed.at(2).get("in.bytes")).toBeNull();
+        expect(summed.at(2).get("in.packets")).toBe(2);
+        expect(summed.columns()).toEqual(["in"]);
+    });
+
+    it("leaves the other columns alone when combining TimeSeries", () => {
+        const withOperand = timeSeries({
+            name: "series",
+            columns: ["time", "value", "operand_0"],
+            points: [
+                [0, 1, 5],
+                [30000, 2, 6]
+            ]
+        });
+        const summed = withOperand.add(requests);
+        expect(summed.columns()).toEqual(["value", "operand_0"]);
+        expect(summed.at(1).get()).toBe(402);
+        expect(summed.at(1).get("operand_0")).toBe(6);
+    });
+
+    it("can combine TimeSeries as of each Event", () => {
+        const late = timeSeries({
+            name: "late",
+            columns: ["time", "value"],
+            points: [
+                [5000, 1],
+                [35000, 2]
+            ]
+        });
+        const summed = late.add(errors, {
+            alignment: ArithmeticAlignment.AsOf,
+            tolerance: duration("10s")
+        });
+        expect(summed.at(0).get()).toBe(11);
+        expect(summed.at(1).get()).toBe(22);
+
+        const tooOld = late.add(errors, {
+            alignment: ArithmeticAlignment.AsOf,
+            tolerance: duration("1s")
+        });
+        expect(tooOld.at(0).get()).toBeNull();
+    });
+
+    it("can combine TimeSeries after aligning them to a period", () => {
+        const irregular = timeSeries({
+            name: "irregular",
+            columns: ["time", "value"],
+            points: [
+                [-5000, 0],
+                [25000, 300],
+                [55000, 600]
+            ]
+        });
+        const summed = irregular.add(requests, {
+            alignment: ArithmeticAlignment.Period,
+            period: period(duration("30s"))
+        });
+        expect(summed.size()).toBe(2);
+        expect(summed.at(0).get()).toBe(50 + 200);
+        expect(summed.at(1).get()).toBe(350 + 400);
+    });
+});
+
 describe("Rollups", () => {
     it("can generate 1 day fixed window averages over a TimeSeries", () => {
         const timeseries = timeSeries(sept2014Data);
@@ -1172,6 +1525,86 @@ describe("Rollups", () => {
         expect(dailyAvg.at(4).get()).toBe(51.85);
     });
 
+    it("can generate monthly, weekly and yearly rollups over a TimeSeries", () => {
+        const timeseries = timeSeries(sept2014Data);
+
+        const monthlyAvg = timeseries.monthlyRollup({
+            aggregation: { value: ["value", avg()] }
+        });
+        expect(monthlyAvg.size()).toBe(1);
+        expect(monthlyAvg.at(0).indexAsString()).toBe("2014-09");
+
+        const weeklyCount = timeseries.weeklyRollup({
+            aggregation: { value: ["value", count()] }
+        });
+        expect(weeklyCount.size()).toBe(1);
+        expect(weeklyCount.at(0).indexAsString()).toBe("2014-W36");
+        expect(weeklyCount.at(0).get()).toBe(timeseries.size());
+
+        const yearlyMax = timeseries.yearlyRollup({
+            aggregation: { value: ["value", max()] }
+        });
+        expect(yearlyMax.size()).toBe(1);
+        expect(yearlyMax.at(0).indexAsString()).toBe("2014");
+        expect(yearlyMax.at(0).get()).toBe(timeseries.max("value"));
+    });
+
+    it("can generate a rollup with a function aggregation", () => {
+        const timeseries = timeSeries(sept2014Data);
+        const dailyCounts = timeseries.fixedWindowRollup({
+            window: window(duration("1d")),
+            aggregation: {
+                value: ["value", avg()],
+                count: collection => collection.size()
+            }
+        });
+
+        expect(dailyCounts.size()).toBe(5);
+        expect(dailyCounts.at(0).get("value")).toBe(46.875);
+        expect(dailyCounts.at(0).get("count")).toBe(24);
+    });
+
+    it("can generate a rollup with time aware aggregations", () => {
+        const timeseries = timeSeries({
+            name: "ramp",
+            columns: ["time", "value"],
+            points: [
+                [0, 0],
+                [90000, 90]
+            ]
+        });
+        const rollup = timeseries.fixedWindowRollup({
+            window: window(duration("1m")),
+            aggregation: {
+                area: integral(),
+                avg: timeWeightedAvg(),
+                above: durationAbove("value", 30)
+            }
+        });
+
+        // The ramp is interpolated to 60 at the edge between the two windows
+        expect(rollup.size()).toBe(2);
+        expect(rollup.at(0).get("area")).toBe(1800);
+        expect(rollup.at(0).get("avg")).toBe(30);
+        expect(rollup.at(0).get("above")).toBe(30);
+        expect(rollup.at(1).get("area")).toBe(2250);
+        expect(rollup.at(1).get("avg")).toBe(75);
+        expect(rollup.at(1).get("above")).toBe(30);
+
+        // The areas of the windows add up to the area of the whole series
+        expect(integral()(timeseries.collection())).toBe(4050);
+    });
+
+    it("can generate a daily rollup of time weighted averages", () => {
+        const timeseries = timeSeries(sept2014Data);
+        const dailyAvg = timeseries.dailyRollup({
+            aggregation: { value: timeWeightedAvg() }
+        });
+        expect(dailyAvg.size()).toBe(5);
+        expect(dailyAvg.at(0).get()).toBeGreaterThan(0);
+        expect(dailyAvg.at(0).get()).not.toBe(46.875);
+    });
+
     it("can make Collections for each day in the TimeSeries", () => {
         const timeseries = timeSeries(sept2014Data);
         const eachDay = window(duration("1d"));
@@ -1181,6 +1614,12 @@ describe("Rollups", () => {
         expect(collections["1d-16318"].size()).toBe(20);
     });
 
+    it("can make Collections for each session in the TimeSeries", () => {
+        const timeseries = timeSeries(sept2014Data);
+        const collections = timeseries.collectByWindow({ window: session(duration("2h")) });
+        expect(collections["session-1409529600000"].size()).toBe(timeseries.size());
+    });
+
     it("can correctly use atTime()", () => {
         const t = new Date(1476803711641);
 
@@ -0,0 +1,97 @@
+declare const it: any;
+declare const expect: any;
+
+import * as Immutable from "immutable";
+
+import { event } from "../src/event";
+import { stream } from "../src/stream";
+import { time } from "../src/time";
+import { timeSeries } from "../src/timeseries";
+
+import { TransformMethod } from "../src/types";
+
+const DATA = [
+    [0, 4],
+    [1000, 2],
+    [2000, null],
+    [3000, 6],
+    [4000, 8]
+];
+
+const transformed = (method: TransformMethod, suffix: string) =>
+    timeSeries({ name: "values", columns: ["time", "value"], points: DATA })
+        .transform({ method })
+        .eventList()
+        .map(e => e.get(`value${suffix}`))
+        .toArray();
+
+it("can take the cumulative sum, minimum and maximum", () => {
+    expect(transformed(TransformMethod.CumulativeSum, "_cumsum")).toEqual([4, 6, null, 12, 20]);
+    expect(transformed(TransformMethod.CumulativeMin, "_cummin")).toEqual([4, 2, null, 2, 2]);
+    expect(transformed(TransformMethod.CumulativeMax, "_cummax")).toEqual([4, 4, null, 6, 8]);
+});
+
+it("can take the difference and percent change, skipping missing values", () => {
+    expect(transformed(TransformMethod.Difference, "_diff")).toEqual([null, -2, null, 4, 2]);
+    expect(transformed(TransformMethod.PercentChange, "_pct_change")).toEqual([
+        null,
+        -50,
+        null,
+        200,
+        expect.closeTo(33.333, 3)
+    ]);
+});
+
+it("can normalize to the first value, to a z-score and to 0..1", () => {
+    expect(transformed(TransformMethod.NormalizeToFirst, "_normalized")).toEqual([
+        1,
+        0.5,
+        null,
+        1.5,
+        2
+    ]);
+
+    // Values 4, 2, 6, 8 have a mean of 5 and standard deviation of sqrt(5)
+    const zscores = transformed(TransformMethod.ZScore, "_zscore");
+    expect(zscores[0]).toBeCloseTo(-1 / Math.sqrt(5), 6);
+    expect(zscores[2]).toBeNull();
+    expect(zscores[4]).toBeCloseTo(3 / Math.sqrt(5), 6);
+
+    expect(transformed(TransformMethod.MinMax, "_scaled")).toEqual([1 / 3, 0, null, 2 / 3, 1]);
+});
+
+it("can transform deep fields of a TimeSeries with a custom suffix", () => {
+    const series = timeSeries({
+        name: "traffic",
+        columns: ["time", "in", "out"],
+        points: [
+            [0, { bytes: 10 }, 1],
+            [1000, { bytes: 15 }, 2],
+            [2000, { bytes: 12 }, 3]
+        ]
+    });
+    const diffs = series.transform({
+        fieldSpec: ["in.bytes", "out"],
+        method: TransformMethod.Difference,
+        suffix: "_delta"
+    });
+    expect(diffs.at(1).get("in.bytes_delta")).toEqual(5);
+    expect(diffs.at(2).get("in.bytes_delta")).toEqual(-3);
+    expect(diffs.at(2).get("out_delta")).toEqual(1);
+    expect(diffs.at(2).get("in.bytes")).toEqual(12);
+});
+
+it("can normalize a stream using the values so far", () => {
+    const result = [];
+    const s = stream()
+        .transform({ method: TransformMethod.MinMax })
+        .output(e => result.push(e));
+
+    [5, 10, 0, 5].forEach((v, i) => s.addEvent(event(time(i * 1000), Immutable.Map({ value: v }))));
+    expect(result.map(e => e.get("value_scaled"))).toEqual([0, 1, 0, 0.5]);
+});
+
+it("checks the transform method", () => {
+    const series = timeSeries({ name: "values", columns: ["time", "value"], points: DATA });
+    expect(() => series.transform({ method: undefined })).toThrow();
+});
@@ -57,4 +57,25 @@ describe("Util", () => {
         expect(+decodedPeriod.offset()).toBe(1234);
         expect(+decodedIndex).toBe(5002093);
     });
+
+    it("can get the timerange of a week index string", () => {
+        expect(Util.isWeekIndexString("2017-W36")).toBe(true);
+        expect(Util.isWeekIndexString("2017-W36-7")).toBe(true);
+        expect(Util.isWeekIndexString("2017-W36-8")).toBe(false);
+        expect(Util.isWeekIndexString("2017-09")).toBe(false);
+
+        const isoWeek = Util.timeRangeFromIndexString("2017-W36");
+        expect(isoWeek.begin().toISOString()).toBe("2017-09-04T00:00:00.000Z");
+        expect(isoWeek.end().toISOString()).toBe("2017-09-10T23:59:59.999Z");
+
+        const sundayWeek = Util.timeRangeFromIndexString("2017-W36-7", "America/New_York");
+        expect(sundayWeek.begin().toISOString()).toBe("2017-09-10T04:00:00.000Z");
+    });
+
+    it("can name a field alongside another", () => {
+        const fieldPath = ["in", "bytes"];
+        expect(Util.suffixedPath(fieldPath, "_rate")).toEqual(["in", "bytes_rate"]);
+        expect(Util.suffixedPath(["value"], "_fit")).toEqual(["value_fit"]);
+        expect(fieldPath).toEqual(["in", "bytes"]);
+    });
 });
@@ -5,7 +5,8 @@ declare const expect: any;
 import { duration } from "../src/duration";
 import { period } from "../src/period";
 import { time } from "../src/time";
-import { daily, window } from "../src/window";
+import { timerange } from "../src/timerange";
+import { countWindow, daily, monthly, weekly, window, yearly } from "../src/window";
 
 import Util from "../src/util";
 
@@ -88,6 +89,102 @@ describe("Window", () => {
         ).toBe("2015-04-22");
     });
 
+    it("can create a week index for a date", () => {
+        const t = time("2017-09-12T12:00:00Z");
+        expect(
+            weekly()
+                .getIndexSet(t)
+                .first()
+                .asString()
+        ).toBe("2017-W37");
+        expect(
+            weekly("Etc/UTC", 7)
+                .getIndexSet(t)
+                .first()
+                .asString()
+        ).toBe("2017-W36-7");
+
+        const idx = weekly("Etc/UTC", 7)
+            .getIndexSet(t)
+            .first();
+        expect(idx.begin().toISOString()).toBe("2017-09-10T00:00:00.000Z");
+        expect(idx.end().toISOString()).toBe("2017-09-16T23:59:59.999Z");
+    });
+
+    it("can find all the weeks within a timerange", () => {
+        const range = timerange(time("2017-08-30T00:00:00Z"), time("2017-09-12T00:00:00Z"));
+        const indexes = weekly()
+            .getIndexSet(range)
+            .toList()
+            .map(i => i.asString());
+        expect(indexes.toJS()).toEqual(["2017-W35", "2017-W36", "2017-W37"]);
+    });
+
+    it("can create a month index for a date", () => {
+        const t = time(1429673400000);
+        expect(
+            monthly()
+                .getIndexSet(t)
+                .first()
+                .asString()
+        ).toBe("2015-04");
+        expect(
+            monthly("America/Los_Angeles")
+                .getIndexSet(time("2015-05-01T03:00:00Z"))
+                .first()
+                .asString()
+        ).toBe("2015-04");
+    });
+
+    it("can create a month index in a timezone", () => {
+        const idx = monthly("America/New_York")
+            .getIndexSet(time("2015-04-22T02:28:00Z"))
+            .first();
+        expect(idx.begin().toISOString()).toBe("2015-04-01T04:00:00.000Z");
+        expect(idx.end().toISOString()).toBe("2015-05-01T03:59:59.999Z");
+    });
+
+    it("can create a year index for a date", () => {
+        const t = time(1429673400000);
+        expect(
+            yearly()
+                .getIndexSet(t)
+                .first()
+                .asString()
+        ).toBe("2015");
+        const range = timerange(time("2014-06-01T00:00:00Z"), time("2016-02-01T00:00:00Z"));
+        expect(yearly().getIndexSet(range).size).toBe(3);
+    });
+
+    it("can find the count windows that an event falls within", () => {
+        expect(countWindow(10).toString()).toBe("count-10");
+        expect(
+            countWindow(10)
+                .every(5)
+                .toString()
+        ).toBe("count-10@5");
+        expect(
+            countWindow(10)
+                .windowKeys(13)
+                .toJS()
+        ).toEqual(["count-10-1"]);
+        expect(
+            countWindow(10, 5)
+                .windowKeys(13)
+                .toJS()
+        ).toEqual(["count-10@5-1", "count-10@5-2"]);
+        expect(
+            countWindow(10, 5)
+                .windowKeys(3)
+                .toJS()
+        ).toEqual(["count-10@5-0"]);
+        expect(() => countWindow(0)).toThrow();
+    });
+
+    it("can't create a week window with an invalid week start", () => {
+        expect(() => weekly("Etc/UTC", 8)).toThrow();
+    });
+
     /*
     it("can create a month index for a date", () => {
         const date = new Date(1429673400000);
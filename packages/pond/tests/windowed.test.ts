@@ -11,10 +11,11 @@ const map = Immutable.Map;
 
 import { duration } from "../src/duration";
 import { event } from "../src/event";
-import { keep, sum } from "../src/functions";
+import { keep, max, sum } from "../src/functions";
 import { sortedCollection } from "../src/sortedcollection";
 import { time } from "../src/time";
-import { window } from "../src/window";
+import { TimeRange } from "../src/timerange";
+import { countWindow, session, window } from "../src/window";
 
 describe("Windowed", () => {
     it("can build a WindowedCollection", () => {
@@ -154,4 +155,190 @@ describe("Windowed", () => {
         expect(rolledUp.at(2).get("total")).toBe(5);
         expect(rolledUp.at(3).get("total")).toBe(10);
     });
+
+    it("can aggregate windows with functions, multiple fields and nested destinations", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:28:00Z"), map({ in: 1, out: 2 })),
+                event(time("2015-04-22T02:29:00Z"), map({ in: 3, out: 6 })),
+                event(time("2015-04-22T02:30:00Z"), map({ in: 5, out: 10 }))
+            ])
+        );
+
+        const rolledUp = eventCollection
+            .window({ window: window(duration("30m")) })
+            .aggregate({
+                total: [["in", "out"], sum()],
+                "stats.size": collection => collection.size(),
+                "stats.in_max": ["in", max()]
+            })
+            .get("all");
+
+        expect(rolledUp.size()).toBe(2);
+        expect(
+            rolledUp
+                .at(0)
+                .get("total")
+                .toJS()
+        ).toEqual({ in: 4, out: 8 });
+        expect(rolledUp.at(0).get(["stats", "size"])).toBe(2);
+        expect(rolledUp.at(0).get(["stats", "in_max"])).toBe(3);
+        expect(rolledUp.at(1).get(["stats", "size"])).toBe(1);
+    });
+
+    it("can aggregate groups with nested destinations", () => {
+        const rolledUp = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:28:00Z"), map({ team: "raptors", score: 3 })),
+                event(time("2015-04-22T02:29:00Z"), map({ team: "raptors", score: 4 }))
+            ])
+        )
+            .groupBy("team")
+            .aggregate({ "score.total": ["score", sum()] });
+        expect(rolledUp.getIn(["raptors", "score", "total"])).toBe(7);
+    });
+
+    it("can group and window a Collection with one set of options", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:28:00Z"), map({ team: "raptors", score: 3 })),
+                event(time("2015-04-22T02:29:00Z"), map({ team: "wildcats", score: 3 })),
+                event(time("2015-04-22T02:30:00Z"), map({ team: "raptors", score: 5 }))
+            ])
+        );
+
+        const windowedCollection = eventCollection.window({
+            window: window(duration("30m")),
+            groupBy: "team"
+        });
+        expect(windowedCollection.get("raptors::30m-794260").size()).toEqual(1);
+        expect(windowedCollection.get("wildcats::30m-794260").size()).toEqual(1);
+        expect(windowedCollection.get("raptors::30m-794261").size()).toEqual(1);
+    });
+
+    it("can window a Collection into sessions", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:00:00Z"), map({ user: "a", clicks: 1 })),
+                event(time("2015-04-22T02:10:00Z"), map({ user: "a", clicks: 2 })),
+                event(time("2015-04-22T02:25:00Z"), map({ user: "b", clicks: 3 })),
+                event(time("2015-04-22T03:30:00Z"), map({ user: "a", clicks: 4 })),
+                event(time("2015-04-22T03:40:00Z"), map({ user: "b", clicks: 5 }))
+            ])
+        );
+
+        const sessions = eventCollection.window({ window: session(duration("30m")) });
+        expect(sessions.get("all::session-1429668000000").size()).toEqual(3);
+        expect(sessions.get("all::session-1429673400000").size()).toEqual(2);
+
+        const perUser = eventCollection
+            .groupBy("user")
+            .window({ window: session(duration("30m")) })
+            .aggregate<TimeRange>({ total: ["clicks", sum()] });
+
+        const a = perUser.get("a");
+        expect(a.size()).toEqual(2);
+        expect(a.at(0).get("total")).toEqual(3);
+        expect(
+            a
+                .at(0)
+                .getKey()
+                .begin()
+                .toISOString()
+        ).toEqual("2015-04-22T02:00:00.000Z");
+        expect(
+            a
+                .at(0)
+                .getKey()
+                .end()
+                .toISOString()
+        ).toEqual("2015-04-22T02:10:00.000Z");
+        expect(a.at(1).get("total")).toEqual(4);
+
+        const b = perUser.get("b");
+        expect(b.size()).toEqual(2);
+        expect(b.at(0).get("total")).toEqual(3);
+        expect(b.at(1).get("total")).toEqual(5);
+    });
+
+    it("can limit the length of a session", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:00:00Z"), map({ value: 1 })),
+                event(time("2015-04-22T02:20:00Z"), map({ value: 2 })),
+                event(time("2015-04-22T02:40:00Z"), map({ value: 3 })),
+                event(time("2015-04-22T03:00:00Z"), map({ value: 4 })),
+                event(time("2015-04-22T03:20:00Z"), map({ value: 5 }))
+            ])
+        );
+
+        const sessions = eventCollection
+            .window({ window: session(duration("30m"), duration("1h")) })
+            .ungroup();
+        expect(sessions["session-1429668000000"].size()).toEqual(3);
+        expect(sessions["session-1429671600000"].size()).toEqual(2);
+    });
+
+    it("can't get an index set from a session window", () => {
+        expect(() => session(duration("30m")).getIndexSet(time())).toThrow();
+    });
+
+    it("can window a Collection into tumbling windows of a count of events", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:00:00Z"), map({ value: 1 })),
+                event(time("2015-04-22T02:01:00Z"), map({ value: 2 })),
+                event(time("2015-04-22T02:05:00Z"), map({ value: 3 })),
+                event(time("2015-04-22T02:06:00Z"), map({ value: 4 })),
+                event(time("2015-04-22T02:10:00Z"), map({ value: 5 }))
+            ])
+        );
+
+        const rolledUp = eventCollection
+            .window({ window: countWindow(2) })
+            .aggregate<TimeRange>({ total: ["value", sum()] })
+            .get("all");
+
+        expect(rolledUp.size()).toEqual(3);
+        expect(rolledUp.at(0).get("total")).toEqual(3);
+        expect(rolledUp.at(1).get("total")).toEqual(7);
+        expect(rolledUp.at(2).get("total")).toEqual(5);
+        expect(
+            rolledUp
+                .at(1)
+                .getKey()
+                .begin()
+                .toISOString()
+        ).toEqual("2015-04-22T02:05:00.000Z");
+        expect(
+            rolledUp
+                .at(1)
+                .getKey()
+                .end()
+                .toISOString()
+        ).toEqual("2015-04-22T02:06:00.000Z");
+    });
+
+    it("can window a Collection into sliding windows of a count of events", () => {
+        const eventCollection = sortedCollection(
+            Immutable.List([
+                event(time("2015-04-22T02:00:00Z"), map({ value: 1 })),
+                event(time("2015-04-22T02:01:00Z"), map({ value: 2 })),
+                event(time("2015-04-22T02:05:00Z"), map({ value: 3 })),
+                event(time("2015-04-22T02:06:00Z"), map({ value: 4 })),
+                event(time("2015-04-22T02:10:00Z"), map({ value: 5 }))
+            ])
+        );
+
+        const windowed = eventCollection.window({ window: countWindow(3).every(1) });
+        expect(windowed.get("all::count-3@1-0").size()).toEqual(3);
+        expect(windowed.get("all::count-3@1-2").size()).toEqual(3);
+        expect(
+            windowed
+                .get("all::count-3@1-2")
+                .at(0)
+                .get("value")
+        ).toEqual(3);
+        expect(windowed.get("all::count-3@1-4").size()).toEqual(1);
+    });
 });